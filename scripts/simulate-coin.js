@@ -0,0 +1,115 @@
+// Coin pulse simulator CLI - injects pulse trains through /api/admin/coin-simulator.
+// The server must be running in simulation mode (no GPIO).
+//
+// Auth: an API token with the diagnostics:write scope (Admin > Security Configuration > API Tokens)
+//   export PISOWIFI_TOKEN=pwt_...
+//
+// Usage:
+//   node scripts/simulate-coin.js coin 5                  one 5-pulse coin
+//   node scripts/simulate-coin.js bill 2                  one 2-pulse bill
+//   node scripts/simulate-coin.js coin 1 --bounce 5       contact bounce 5ms after each pulse
+//   node scripts/simulate-coin.js coin 5 --interval 40 --width 20
+//   node scripts/simulate-coin.js coin 5 --mac aa:bb:cc:dd:ee:ff --finalize
+//   node scripts/simulate-coin.js --json '[{"kind":"coin","pulses":5},{"kind":"bill","pulses":2,"delay_ms":800}]'
+//
+// Options: --url (default http://localhost:3000), --token, --interval, --width, --bounce,
+//          --delay, --repeat N (N separate coins, 800ms apart), --mac, --finalize
+
+const http = require('http');
+const https = require('https');
+
+function parseArgs(argv) {
+    const opts = { positional: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--finalize') opts.finalize = true;
+        else if (arg.startsWith('--')) opts[arg.slice(2)] = argv[++i];
+        else opts.positional.push(arg);
+    }
+    return opts;
+}
+
+function buildTrains(opts) {
+    if (opts.json) return JSON.parse(opts.json);
+
+    const [kind = 'coin', pulses = '1'] = opts.positional;
+    if (kind !== 'coin' && kind !== 'bill') throw new Error(`Unknown kind "${kind}" (use coin or bill)`);
+
+    const repeat = Math.max(1, parseInt(opts.repeat || '1', 10));
+    const trains = [];
+    for (let i = 0; i < repeat; i++) {
+        trains.push({
+            kind,
+            pulses: Number(pulses),
+            interval_ms: opts.interval !== undefined ? Number(opts.interval) : undefined,
+            width_ms: opts.width !== undefined ? Number(opts.width) : undefined,
+            bounce_ms: opts.bounce !== undefined ? Number(opts.bounce) : undefined,
+            delay_ms: i === 0 ? Number(opts.delay || 0) : 800
+        });
+    }
+    return trains;
+}
+
+function post(url, token, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL('/api/admin/coin-simulator', url);
+        const data = JSON.stringify(body);
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(data),
+                'Authorization': `Bearer ${token}`
+            }
+        }, (res) => {
+            let raw = '';
+            res.on('data', (chunk) => raw += chunk);
+            res.on('end', () => {
+                let json = null;
+                try { json = JSON.parse(raw); } catch (e) {}
+                resolve({ status: res.statusCode, body: json || raw });
+            });
+        });
+        req.on('error', reject);
+        req.write(data);
+        req.end();
+    });
+}
+
+(async () => {
+    const opts = parseArgs(process.argv.slice(2));
+    const url = opts.url || process.env.PISOWIFI_URL || 'http://localhost:3000';
+    const token = opts.token || process.env.PISOWIFI_TOKEN;
+    if (!token) {
+        console.error('Missing API token: set PISOWIFI_TOKEN or pass --token');
+        process.exit(1);
+    }
+
+    try {
+        const body = { trains: buildTrains(opts) };
+        if (opts.mac) body.mac = opts.mac;
+        if (opts.finalize) body.finalize = true;
+
+        const res = await post(url, token, body);
+        if (res.status !== 200) {
+            console.error(`STATUS: ${res.status}`, res.body && res.body.error ? res.body.error : res.body);
+            process.exit(1);
+        }
+
+        const result = res.body;
+        console.log(`Sent ${result.pulses_sent} pulse(s) in ${result.duration_ms}ms`);
+        for (const event of result.events) {
+            if (event.type === 'coin') {
+                console.log(`  coin: credit ${event.credit} (coin pulses ${event.signature.coin}, bill pulses ${event.signature.bill})`);
+            } else {
+                console.log(`  ${event.classification}: ${event.pulses} pulse(s)${event.reasons && event.reasons.length ? ` - ${event.reasons.join('; ')}` : ''}`);
+            }
+        }
+        if (result.pending_amount !== null && result.pending_amount !== undefined) console.log(`Pending amount: P${result.pending_amount}`);
+        if (result.finalized) console.log('Finalized:', JSON.stringify(result.finalized));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+})();
@@ -1,6 +1,7 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
+const cors = require('cors');
 const { initDb, db } = require('./database/db');
 const path = require('path');
 const fs = require('fs');
@@ -22,6 +23,27 @@ const systemService = require('./services/systemService');
 const logService = require('./services/logService');
 const chatService = require('./services/chatService');
 const walledGardenService = require('./services/walledGardenService');
+const adminSessionService = require('./services/adminSessionService');
+const passwordService = require('./services/passwordService');
+const adminAccountService = require('./services/adminAccountService');
+const authThrottleService = require('./services/authThrottleService');
+const totpService = require('./services/totpService');
+const auditService = require('./services/auditService');
+const apiTokenService = require('./services/apiTokenService');
+const coinSessionService = require('./services/coinSessionService');
+const pulseAnalyzerService = require('./services/pulseAnalyzerService');
+const coinCalibrationService = require('./services/coinCalibrationService');
+const coinSimulatorService = require('./services/coinSimulatorService');
+const promoService = require('./services/promoService');
+const loyaltyService = require('./services/loyaltyService');
+const timeTransferService = require('./services/timeTransferService');
+const dataPlanService = require('./services/dataPlanService');
+const fairUseService = require('./services/fairUseService');
+const accessScheduleService = require('./services/accessScheduleService');
+const voucherPrintService = require('./services/voucherPrintService');
+const resellerService = require('./services/resellerService');
+const voucherThrottleService = require('./services/voucherThrottleService');
+const sharedVoucherService = require('./services/sharedVoucherService');
 const crypto = require('crypto');
 const os = require('os');
 
@@ -44,6 +66,22 @@ console.log('------------------');
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
+// CORS: the admin panel and portal are served by this app, so only same-origin pages (plus any
+// origins listed in the cors_allowed_origins setting, comma-separated) get CORS headers.
+app.use(cors((req, callback) => {
+    const origin = req.headers.origin;
+    if (!origin) return callback(null, { origin: false });
+
+    let allowed = false;
+    try {
+        allowed = new URL(origin).host === req.headers.host;
+    } catch (e) {}
+    if (!allowed) {
+        const extra = String(configService.get('cors_allowed_origins') || '').split(',').map(o => o.trim()).filter(Boolean);
+        allowed = extra.includes(origin);
+    }
+    callback(null, { origin: allowed, credentials: allowed });
+}));
 // Trust reverse proxies so req.ip/req.ips/X-Forwarded-For are usable
 app.set('trust proxy', true);
 
@@ -99,6 +137,9 @@ app.get('/portal', (req, res) => {
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/admin.html'));
 });
+app.get('/reseller', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/reseller.html'));
+});
 
 // Initialize Database & Services
 (async () => {
@@ -128,14 +169,20 @@ app.get('/admin', (req, res) => {
         await pppoeServerService.init(networkService.wanInterface); // Initialize PPPoE Server
         
         // Restore sessions for active users after restart
-        const activeUsers = db.prepare('SELECT mac_address, ip_address, download_speed, upload_speed FROM users WHERE time_remaining > 0 AND is_paused = 0').all();
+        const activeUsers = db.prepare('SELECT * FROM users WHERE time_remaining > 0 AND is_paused = 0').all();
         console.log(`Restoring ${activeUsers.length} active sessions...`);
         for (const user of activeUsers) {
+            if (!accessScheduleService.isOpen(user)) continue; // Left blocked; the session monitor pauses it until the window opens
             await networkService.allowUser(user.mac_address);
             if (user.ip_address) {
-                await bandwidthService.setLimit(user.ip_address, user.download_speed, user.upload_speed);
+                const speeds = fairUseService.speedsFor(user);
+                await bandwidthService.setLimit(user.ip_address, speeds.download, speeds.upload);
             }
         }
+
+        // Credit coins that were inserted before a crash/restart but never finalized
+        const recoveredCoinSessions = await recoverOrphanedCoinSessions();
+        if (recoveredCoinSessions > 0) console.log(`Recovered ${recoveredCoinSessions} pending coin session(s)`);
         
         console.log(`System initialized with WAN: ${networkService.wanInterface}`);
         
@@ -157,16 +204,6 @@ function generateClientId() {
     return crypto.randomBytes(16).toString('hex');
 }
 
-function generateUserCode() {
-    // Generate a 6-character alphanumeric code (Capital letters + Numbers, excluding easily confused ones)
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; 
-    let code = '';
-    for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return `CJ-${code}`;
-}
-
 function normalizeIp(ip) {
     if (!ip || typeof ip !== 'string') return ip;
     return ip.replace(/^::ffff:/, '');
@@ -184,13 +221,15 @@ function getClientIp(req) {
     return normalizeIp(req.ip);
 }
 
+// Address of the TCP connection itself. Brute-force throttles key on this: X-Forwarded-For
+// is client-controlled and would give a guesser a fresh budget per header value
+function getConnectionIp(req) {
+    return normalizeIp(req.socket.remoteAddress) || getClientIp(req);
+}
+
+// Customer codes come from VoucherService (same alphabet and CSPRNG as voucher codes)
 function generateUniqueUserCode() {
-    let userCode = null;
-    while (true) {
-        userCode = generateUserCode();
-        const existing = db.prepare('SELECT id FROM users WHERE user_code = ?').get(userCode);
-        if (!existing) return userCode;
-    }
+    return voucherService.generateUniqueUserCode();
 }
 
 function getTcClassIdFromIp(ip) {
@@ -208,12 +247,18 @@ function getTcClassIdFromIp(ip) {
 let lastTick = Date.now();
 
 // Prepare statements once (Performance Optimization)
-const selectActiveUsers = db.prepare('SELECT id, mac_address, ip_address, time_remaining, total_data_up, total_data_down FROM users WHERE time_remaining > 0 AND is_paused = 0');
-const updateTime = db.prepare('UPDATE users SET time_remaining = ? WHERE id = ?');
-const expireUser = db.prepare('UPDATE users SET time_remaining = 0, is_connected = 0 WHERE id = ?');
+const selectActiveUsers = db.prepare(`
+    SELECT id, mac_address, ip_address, time_remaining, total_data_up, total_data_down, data_remaining,
+           download_speed, upload_speed, fup_threshold_mb, fup_download_speed, fup_upload_speed, fup_throttled, shared_voucher_id
+    FROM users WHERE time_remaining > 0 AND is_paused = 0
+`);
+// Lapsing voucher time is used up first
+const updateTime = db.prepare('UPDATE users SET time_remaining = ?, expiring_seconds = MAX(0, COALESCE(expiring_seconds, 0) - ?) WHERE id = ?');
+const expireUser = db.prepare('UPDATE users SET time_remaining = 0, is_connected = 0, expiring_seconds = 0, time_expires_at = NULL WHERE id = ?');
 const updateTraffic = db.prepare('UPDATE users SET total_data_up = ?, total_data_down = ? WHERE id = ?');
 const updateTrafficActivity = db.prepare('UPDATE users SET last_traffic_at = CURRENT_TIMESTAMP WHERE id = ?');
 const pauseUser = db.prepare('UPDATE users SET is_paused = 1, is_connected = 0 WHERE id = ?');
+const updateDataRemaining = db.prepare('UPDATE users SET data_remaining = ? WHERE id = ? AND data_remaining IS NOT NULL');
 
 // Traffic Cache to calculate deltas
 // Key: mac_address, Value: { dl: last_dl_bytes, ul: last_ul_bytes }
@@ -222,6 +267,33 @@ const trafficCache = {};
 // Counter for traffic sync (run every 5s)
 let trafficSyncCounter = 0;
 
+// Data allowance used up: pause (time is kept until more data is bought) or expire, per data_cap_action
+async function endDataCappedSession(user) {
+    const { action } = dataPlanService.getSettings();
+    if (action === 'expire') expireUser.run(user.id);
+    else pauseUser.run(user.id);
+
+    await networkService.blockUser(user.mac_address, user.ip_address);
+    if (user.ip_address) {
+        await bandwidthService.removeLimit(user.ip_address);
+    }
+    delete trafficCache[user.mac_address];
+    console.log(`[Session] User ${user.mac_address} used up the data allowance (${action === 'expire' ? 'expired' : 'paused'}).`);
+    io.emit('data_exhausted', { mac: user.mac_address, action });
+}
+
+// Fair-use: throttle once the window's downloads pass the plan threshold, restore when they age out
+async function applyFairUse(user) {
+    const change = fairUseService.evaluate(user);
+    if (!change) return;
+
+    const throttled = change === 'throttle';
+    const speeds = fairUseService.speedsFor({ ...user, fup_throttled: throttled ? 1 : 0 });
+    if (user.ip_address) await bandwidthService.setLimit(user.ip_address, speeds.download, speeds.upload);
+    console.log(`[Session] User ${user.mac_address} ${throttled ? `passed the fair-use threshold (${user.fup_threshold_mb} MB). Throttled` : 'is back under the fair-use threshold. Restored'} to ${speeds.download}/${speeds.upload} kbps.`);
+    io.emit('fair_use_update', { mac: user.mac_address, throttled });
+}
+
 const countdownLoop = async () => {
     try {
         const now = Date.now();
@@ -231,6 +303,18 @@ const countdownLoop = async () => {
         
         // Only run update if at least 1 second has passed
         if (deltaSeconds >= 1) {
+            // 0. Shared vouchers count down once per pool; members keep a copy of the pool's time
+            const usedUp = sharedVoucherService.tick(deltaSeconds);
+            for (const member of usedUp) {
+                expireUser.run(member.id);
+                await networkService.blockUser(member.mac_address, member.ip_address);
+                if (member.ip_address) {
+                    await bandwidthService.removeLimit(member.ip_address);
+                }
+                console.log(`[Session] User ${member.mac_address} expired (shared voucher used up). Connection removed.`);
+                delete trafficCache[member.mac_address];
+            }
+
             // 1. Get all active, unpaused users
             const users = selectActiveUsers.all();
             
@@ -243,8 +327,8 @@ const countdownLoop = async () => {
             }
 
             for (const user of users) {
-                // Decrement by actual elapsed time
-                const newTime = user.time_remaining - deltaSeconds;
+                // Decrement by actual elapsed time (shared voucher members were counted down with their pool)
+                const newTime = user.shared_voucher_id ? user.time_remaining : user.time_remaining - deltaSeconds;
                 
                 if (newTime <= 0) {
                     // Time Expired
@@ -258,7 +342,7 @@ const countdownLoop = async () => {
                     delete trafficCache[user.mac_address];
                 } else {
                     // Update time
-                    updateTime.run(newTime, user.id);
+                    if (!user.shared_voucher_id) updateTime.run(newTime, deltaSeconds, user.id);
                     
                     // Update Traffic & Check Idle (only if stats fetched)
                     if (trafficStats) {
@@ -288,6 +372,19 @@ const countdownLoop = async () => {
                         }
 
                         trafficCache[user.mac_address] = { dl: dlStat.bytes || 0, ul: ulStat.bytes || 0 };
+
+                        // Data-capped plans: spend the allowance (both directions)
+                        if (user.data_remaining !== null && user.data_remaining !== undefined) {
+                            const dataLeft = Math.max(0, user.data_remaining - dlDelta - ulDelta);
+                            if (dataLeft !== user.data_remaining) updateDataRemaining.run(dataLeft, user.id);
+                            if (dataLeft <= 0) {
+                                await endDataCappedSession(user);
+                                continue;
+                            }
+                        }
+
+                        fairUseService.record(user.id, dlDelta);
+                        await applyFairUse(user);
                         
                         // Auto-Pause on Idle is handled by SessionService (checkIdleUsers)
                     }
@@ -318,8 +415,7 @@ setInterval(async () => {
 }, 60000);
 
 // --- Coin Listener ---
-let currentCoinUser = null;
-let coinTimeout = null;
+// Per-slot coin sessions live in coinSessionService
 
 function formatMac(mac) {
     return typeof mac === 'string' ? mac.toLowerCase() : mac;
@@ -385,52 +481,65 @@ function computeBestRateForAmount(totalAmount) {
     };
 }
 
-async function finalizeCoinSession(reason) {
-    if (!currentCoinUser) return { success: false, error: 'No active coin session' };
+async function finalizeCoinSession(slot, reason) {
+    const session = coinSessionService.release(slot);
+    if (!session) return { success: false, error: 'No active coin session' };
+
+    // Only the main slot is gated by the local relay
+    if (slot === coinSessionService.hardwareSlot) hardwareService.setRelay(false);
 
-    const mac = formatMac(currentCoinUser.mac);
-    const ip = currentCoinUser.ip;
-    const clientId = currentCoinUser.clientId;
-    const amount = Number(currentCoinUser.pendingAmount) || 0;
-    const saleSource = currentCoinUser.lastSource || currentCoinUser.targetDeviceId || 'hardware';
-    const sourceAmounts = currentCoinUser.sourceAmounts || {};
+    return creditCoinSession(session, reason);
+}
 
-    if (coinTimeout) clearTimeout(coinTimeout);
-    coinTimeout = null;
-    hardwareService.setRelay(false);
-    currentCoinUser = null;
+// Record the sale and add the bought time. The sales, the time and removing the stored session are
+// one transaction, so a crash either leaves the session for recovery or leaves nothing to redo.
+async function creditCoinSession(session, reason) {
+    const slot = session.slot;
+    const mac = formatMac(session.mac);
+    const ip = session.ip;
+    const clientId = session.clientId;
+    const amount = Number(session.pendingAmount) || 0;
+    const saleSource = session.lastSource || slot;
+    const sourceAmounts = session.sourceAmounts || {};
 
     if (amount <= 0) {
-        io.emit('coin_finalized', { mac, amount: 0, secondsAdded: 0, reason });
+        coinSessionService.forget(session);
+        io.emit('coin_finalized', { mac, slot, amount: 0, secondsAdded: 0, reason });
         return { success: true, amount: 0, secondsAdded: 0 };
     }
 
-    try {
-        // Record sales per source
-        const sources = sourceAmounts;
-        // Fallback if sourceAmounts is empty but amount > 0 (should not happen, but safe fallback)
-        if (Object.keys(sources).length === 0) {
-            sources[saleSource] = amount;
-        }
+    // Calculate best time and speeds using Greedy logic, plus any promo running when the session started
+    const best = calculateCoinTime(amount, clientId, slot, coinSessionService.startedAt(session));
+    const promoId = best.promo ? best.promo.id : null;
 
-        const insertSale = db.prepare('INSERT INTO sales (amount, mac_address, source) VALUES (?, ?, ?)');
-        
+    // Record sales per source
+    const sources = sourceAmounts;
+    // Fallback if sourceAmounts is empty but amount > 0 (should not happen, but safe fallback)
+    if (Object.keys(sources).length === 0) {
+        sources[saleSource] = amount;
+    }
+
+    const insertSale = db.prepare('INSERT INTO sales (amount, mac_address, source, promo_id, bonus_minutes) VALUES (?, ?, ?, ?, ?)');
+    const recordSales = () => {
+        // The promo covers the whole purchase; its bonus is booked once, on the first row
+        let bonusMinutes = best.bonus_minutes;
         for (const [src, amt] of Object.entries(sources)) {
             if (amt > 0) {
-                insertSale.run(amt, mac, src);
+                insertSale.run(amt, mac, src, promoId, bonusMinutes);
+                bonusMinutes = 0;
             }
         }
-    } catch (err) {
-        console.error('[Sales] Error recording sale:', err);
-    }
+    };
     
-    // Calculate best time and speeds using Greedy logic
-    const best = calculateTimeFromRates(amount, clientId);
     const minutesToAdd = Number(best.minutes) || 0;
     const secondsToAdd = minutesToAdd * 60;
 
     if (secondsToAdd <= 0) {
-        io.emit('coin_finalized', { mac, amount, secondsAdded: 0, reason });
+        db.transaction(() => {
+            recordSales();
+            coinSessionService.remove(session);
+        })();
+        io.emit('coin_finalized', { mac, slot, amount, secondsAdded: 0, reason });
         return { success: false, error: 'No rate available for this amount' };
     }
 
@@ -446,6 +555,8 @@ async function finalizeCoinSession(reason) {
     }
     let userCode = user ? user.user_code : null;
     if (!userCode) userCode = generateUniqueUserCode();
+    const dataRemaining = dataPlanService.nextRemaining(user, best.data_mb);
+    const schedule = accessScheduleService.nextSchedule(user, best);
 
     const prevUpload = (user && user.upload_speed != null) ? Number(user.upload_speed) : 1024;
     const prevDownload = (user && user.download_speed != null) ? Number(user.download_speed) : 5120;
@@ -467,35 +578,85 @@ async function finalizeCoinSession(reason) {
         }
     }
 
-    if (user) {
-        db.prepare(`
-            UPDATE users 
-            SET time_remaining = time_remaining + ?, 
-                total_time = total_time + ?,
-                upload_speed = COALESCE(?, upload_speed), 
-                download_speed = COALESCE(?, download_speed), 
-                is_paused = 0,
-                user_code = COALESCE(user_code, ?),
-                ip_address = COALESCE(?, ip_address),
-                client_id = ?,
-                is_connected = 1,
-                last_active_at = CURRENT_TIMESTAMP,
-                last_traffic_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `).run(secondsToAdd, secondsToAdd, uploadSpeed, downloadSpeed, userCode, ip, clientId, user.id);
-    } else {
-        db.prepare(`
-            INSERT INTO users (mac_address, ip_address, client_id, time_remaining, total_time, upload_speed, download_speed, is_paused, is_connected, user_code, last_active_at, last_traffic_at) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, 0, 1, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        `).run(mac, ip, clientId, secondsToAdd, secondsToAdd, uploadSpeed, downloadSpeed, userCode);
+    db.transaction(() => {
+        recordSales();
+        if (user) {
+            db.prepare(`
+                UPDATE users 
+                SET time_remaining = time_remaining + ?, 
+                    total_time = total_time + ?,
+                    data_remaining = ?,
+                    upload_speed = COALESCE(?, upload_speed), 
+                    download_speed = COALESCE(?, download_speed), 
+                    fup_threshold_mb = ?,
+                    fup_download_speed = ?,
+                    fup_upload_speed = ?,
+                    fup_throttled = 0,
+                    access_start_time = ?,
+                    access_end_time = ?,
+                    access_days = ?,
+                    is_paused = 0,
+                    user_code = COALESCE(user_code, ?),
+                    ip_address = COALESCE(?, ip_address),
+                    client_id = ?,
+                    is_connected = 1,
+                    last_active_at = CURRENT_TIMESTAMP,
+                    last_traffic_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(secondsToAdd, secondsToAdd, dataRemaining, uploadSpeed, downloadSpeed,
+                   best.fup_threshold_mb, best.fup_download_speed, best.fup_upload_speed,
+                   schedule.access_start_time, schedule.access_end_time, schedule.access_days, userCode, ip, clientId, user.id);
+        } else {
+            db.prepare(`
+                INSERT INTO users (mac_address, ip_address, client_id, time_remaining, total_time, data_remaining, upload_speed, download_speed, fup_threshold_mb, fup_download_speed, fup_upload_speed, access_start_time, access_end_time, access_days, is_paused, is_connected, user_code, last_active_at, last_traffic_at) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 1, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            `).run(mac, ip, clientId, secondsToAdd, secondsToAdd, dataRemaining, uploadSpeed, downloadSpeed,
+                   best.fup_threshold_mb, best.fup_download_speed, best.fup_upload_speed,
+                   schedule.access_start_time, schedule.access_end_time, schedule.access_days, userCode);
+        }
+        coinSessionService.remove(session);
+    })();
+
+    try {
+        for (const [src, amt] of Object.entries(sourceAmounts)) {
+            loyaltyService.earn({ userCode, mac, amount: amt, source: src, reference: session.id });
+        }
+    } catch (e) {
+        console.error('[Loyalty] Error crediting points:', e);
     }
 
-    await networkService.allowUser(mac, ip);
-    if (ip) await bandwidthService.setLimit(ip, downloadSpeed, uploadSpeed);
+    // Outside the plan's access window the time is kept: the device stays blocked and the session monitor pauses it until the window opens
+    if (accessScheduleService.isOpen(schedule)) {
+        await networkService.allowUser(mac, ip);
+        if (ip) await bandwidthService.setLimit(ip, downloadSpeed, uploadSpeed);
+    }
 
     io.emit('user_code_generated', { mac, code: userCode });
-    io.emit('coin_finalized', { mac, amount, secondsAdded: secondsToAdd, reason });
-    return { success: true, amount, minutesAdded: minutesToAdd, secondsAdded: secondsToAdd };
+    io.emit('coin_finalized', { mac, slot, amount, secondsAdded: secondsToAdd, bonusMinutes: best.bonus_minutes, promo: best.promo ? best.promo.name : null, reason });
+    return { success: true, amount, minutesAdded: minutesToAdd, secondsAdded: secondsToAdd, dataMb: best.data_mb, bonusMinutes: best.bonus_minutes, promoId };
+}
+
+// Credit coin sessions left pending by a crash or restart
+async function recoverOrphanedCoinSessions() {
+    const orphaned = coinSessionService.loadOrphaned();
+    for (const session of orphaned) {
+        try {
+            if (session.pendingAmount <= 0) {
+                coinSessionService.forget(session);
+                continue;
+            }
+            const result = await creditCoinSession(session, 'recovered');
+            if (result.success) {
+                logService.info('SYSTEM', `Recovered pending coin session: P${session.pendingAmount} at ${session.slot} credited to ${session.mac} (${result.minutesAdded} mins, started ${session.startedAt})`);
+            } else {
+                logService.error('SYSTEM', `Recovered pending coin session: P${session.pendingAmount} at ${session.slot} for ${session.mac} could not be credited: ${result.error}`);
+            }
+        } catch (e) {
+            console.error('[Coin] Recovery error:', e);
+            logService.error('SYSTEM', `Failed to recover pending coin session ${session.id} (P${session.pendingAmount} for ${session.mac}): ${e.message}`);
+        }
+    }
+    return orphaned.length;
 }
 
 // Helper: Calculate best time for a given amount using available rates
@@ -528,7 +689,16 @@ function calculateTimeFromRates(amount, deviceId = null) {
         
         let remainingAmount = amount;
         let totalMinutes = 0;
+        let totalDataMb = 0;
+        let dataOnly = false;
         let maxRateUsed = null;
+
+        // Data allowance: the purchase is capped if any rate used is; data-only rates (0 minutes) get the validity window
+        const addData = (rate, count) => {
+            const mb = Number(rate.data_mb) || 0;
+            if (mb > 0) totalDataMb += count * mb;
+            if (mb > 0 && !(Number(rate.minutes) > 0)) dataOnly = true;
+        };
         
         // 2. Greedy approach: match largest denominations first
         for (const rate of rates) {
@@ -536,6 +706,7 @@ function calculateTimeFromRates(amount, deviceId = null) {
                 const count = Math.floor(remainingAmount / rate.amount);
                 totalMinutes += count * rate.minutes;
                 remainingAmount -= count * rate.amount;
+                addData(rate, count);
                 
                 if (!maxRateUsed) maxRateUsed = rate; // Capture properties of the largest rate used
             }
@@ -546,73 +717,142 @@ function calculateTimeFromRates(amount, deviceId = null) {
             const baseRate = rates.find(r => r.amount === 1);
             if (baseRate) {
                 totalMinutes += remainingAmount * baseRate.minutes;
+                addData(baseRate, remainingAmount);
                 if (!maxRateUsed) maxRateUsed = baseRate;
             }
         }
 
         return {
             minutes: totalMinutes,
+            data_mb: totalDataMb,
+            data_only: dataOnly,
             upload_speed: maxRateUsed ? maxRateUsed.upload_speed : null,
-            download_speed: maxRateUsed ? maxRateUsed.download_speed : null
+            download_speed: maxRateUsed ? maxRateUsed.download_speed : null,
+            ...fairUseService.policyOf(maxRateUsed),
+            ...accessScheduleService.scheduleOf(maxRateUsed)
         };
     } catch (err) {
         console.error('Error calculating rates:', err);
-        return { minutes: 0, upload_speed: null, download_speed: null };
+        return { minutes: 0, data_mb: 0, data_only: false, upload_speed: null, download_speed: null, ...fairUseService.policyOf(null), ...accessScheduleService.scheduleOf(null) };
+    }
+}
+
+// Rates plus the best promo active for the slot at `at`
+function calculateCoinTime(amount, deviceId, slot, at = new Date()) {
+    const best = calculateTimeFromRates(amount, deviceId);
+    const baseMinutes = Number(best.minutes) || 0;
+    let promo = { bonusMinutes: 0, promo: null };
+    if (baseMinutes > 0) {
+        try {
+            promo = promoService.apply(amount, baseMinutes, slot, at);
+        } catch (e) {
+            console.error('[Promo] Error applying promo rules:', e);
+        }
     }
+    const minutes = baseMinutes + promo.bonusMinutes;
+    return {
+        ...best,
+        minutes: best.data_only ? Math.max(minutes, dataPlanService.planMinutes(0, best.data_mb)) : minutes,
+        base_minutes: baseMinutes,
+        bonus_minutes: promo.bonusMinutes,
+        promo: promo.promo
+    };
+}
+
+// 'hardware' or 'subvendo:<device_id>' of a registered sub-vendo
+function coinSlotExists(slot) {
+    if (slot === coinSessionService.hardwareSlot) return true;
+    if (typeof slot !== 'string' || !slot.startsWith('subvendo:')) return false;
+    return !!db.prepare('SELECT id FROM sub_vendo_devices WHERE device_id = ?').get(slot.substring('subvendo:'.length));
 }
 
-async function handleCoinPulseEvent(pulseCount, source) {
+/**
+ * @param {number} pulseCount Peso value by plain pulse counting (used when the slot isn't calibrated)
+ * @param {string} source 'hardware' or 'subvendo:<device_id>'
+ * @param {{coin: number, bill: number}} [signature] Raw pulse counts, converted with the slot's denomination table
+ * @param {Object} [stats] Pulse statistics (hardware only)
+ */
+async function handleCoinPulseEvent(pulseCount, source, signature = null, stats = {}) {
     const pulses = Number(pulseCount) || 0;
     if (pulses <= 0) return;
 
-    io.emit('coin_pulse', { pulses, source });
+    const slot = source || coinSessionService.hardwareSlot;
+    const sig = signature || { coin: pulses, bill: 0 };
 
-    if (currentCoinUser) {
-        const mode = currentCoinUser.selectionMode || configService.get('vendo_selection_mode') || 'auto';
-        if (mode === 'manual' && currentCoinUser.targetDeviceId) {
-             // Check if source matches target
-             // Source for local is 'hardware', for subvendo is 'subvendo:ID'
-             if (source !== currentCoinUser.targetDeviceId) {
-                 console.log(`[Coin] Ignored pulse from ${source} (Target: ${currentCoinUser.targetDeviceId})`);
-                 return; 
-             }
-        }
+    // While calibrating, the train is a sample for the wizard, not money
+    if (coinCalibrationService.isCapturing(slot)) {
+        const sample = coinCalibrationService.capture(slot, sig, stats);
+        console.log(`[Calibration] ${slot} captured ${sample.pulses} ${sample.kind} pulse(s)`);
+        io.emit('coin_calibration_sample', { slot, sample });
+        return;
+    }
 
-        currentCoinUser.lastSource = source || currentCoinUser.lastSource || 'hardware';
-        currentCoinUser.pendingAmount += pulses;
-        
-        // Track per-source amount
-        const src = source || 'hardware';
-        if (!currentCoinUser.sourceAmounts) currentCoinUser.sourceAmounts = {};
-        if (!currentCoinUser.sourceAmounts[src]) currentCoinUser.sourceAmounts[src] = 0;
-        currentCoinUser.sourceAmounts[src] += pulses;
+    const { amount } = coinCalibrationService.toAmount(slot, sig, pulses);
+    io.emit('coin_pulse', { pulses, amount, source });
 
-        const totalAmount = currentCoinUser.pendingAmount;
+    // Source for local is 'hardware', for subvendo is 'subvendo:ID' - the same as the slot key
+    const session = coinSessionService.resolveForSource(source);
+    if (session) {
+        const totalAmount = coinSessionService.addPulses(session, source, amount);
 
-        const best = calculateTimeFromRates(totalAmount, currentCoinUser.clientId);
+        const best = calculateCoinTime(totalAmount, session.clientId, session.slot, coinSessionService.startedAt(session));
         const minutes = best.minutes;
-        currentCoinUser.pendingMinutes = minutes;
+        session.pendingMinutes = minutes;
 
-        console.log(`[Coin] ${source || 'unknown'} | User ${currentCoinUser.mac} | Total: P${totalAmount} | Time: ${minutes} mins`);
+        console.log(`[Coin] ${source || 'unknown'} | Slot ${session.slot} | User ${session.mac} | Total: P${totalAmount} | Time: ${minutes} mins${best.promo ? ` (+${best.bonus_minutes} ${best.promo.name})` : ''}`);
 
         io.emit('coin_pending_update', {
-            mac: currentCoinUser.mac,
+            mac: session.mac,
+            slot: session.slot,
             amount: totalAmount,
-            minutes: minutes
+            minutes: minutes,
+            data_mb: best.data_mb,
+            bonus_minutes: best.bonus_minutes,
+            promo: best.promo ? best.promo.name : null
         });
 
-        if (coinTimeout) clearTimeout(coinTimeout);
-        coinTimeout = setTimeout(() => {
-            finalizeCoinSession('timeout').catch(e => console.error('[Coin] Finalize error:', e));
-        }, 30000);
+        const slot = session.slot;
+        coinSessionService.setTimer(session, 30000, () => {
+            finalizeCoinSession(slot, 'timeout').catch(e => console.error('[Coin] Finalize error:', e));
+        });
     } else {
         console.log(`[Coin] ${source || 'unknown'} pulse ignored: No user in Insert Coin mode`);
     }
 }
 
-coinService.on('coin', async (pulseCount) => {
+coinService.on('coin', async (pulseCount, signature, stats) => {
     console.log(`Hardware Coin Event: ${pulseCount} pulses`);
-    await handleCoinPulseEvent(pulseCount, 'hardware');
+    await handleCoinPulseEvent(pulseCount, 'hardware', signature, stats);
+});
+
+// Noise is only logged; suspected tampering is recorded, reported to admins and can trip the slot
+coinService.on('anomaly', async (event) => {
+    if (event.classification !== 'tamper') {
+        console.log(`[Coin] Ignored ${event.pulses} ${event.classification} pulse(s) from ${event.source}`);
+        return;
+    }
+
+    try {
+        const settings = pulseAnalyzerService.getSettings();
+        const tripRelay = settings.tripRelay && event.source === coinSessionService.hardwareSlot;
+        const eventId = pulseAnalyzerService.recordEvent({ ...event, relayTripped: tripRelay });
+        const message = `Coin slot tamper suspected at ${event.source}: ${event.reasons.join('; ')}`
+            + (tripRelay ? ` - slot disabled for ${settings.tripRelayMinutes} minute(s)` : '');
+
+        logService.critical('SYSTEM', message);
+        io.emit('admin_alert', { type: 'coin_tamper', event_id: eventId, message });
+
+        if (tripRelay) {
+            coinService.trip(settings.tripRelayMinutes);
+            // Credit what the customer already inserted legitimately, then keep the acceptor off
+            if (coinSessionService.get(event.source)) {
+                await finalizeCoinSession(event.source, 'tamper');
+            }
+            hardwareService.setRelay(false);
+        }
+    } catch (e) {
+        console.error('[Coin] Error handling tamper event:', e);
+    }
 });
 
 // Middleware: Check Session & Seamless Reconnection
@@ -697,7 +937,7 @@ app.use(async (req, res, next) => {
     if (user) {
         req.user = user; // Always attach user so API can return status (even if paused/expired)
 
-        if (user.time_remaining > 0 && user.is_paused === 0) {
+        if (user.time_remaining > 0 && user.is_paused === 0 && accessScheduleService.isOpen(user)) {
             // Initialize session_expiry if not set
             if (!user.session_expiry) {
                 const sessionTimeoutMinutes = Number(configService.get('session_timeout_minutes')) || 30; // Default 30 minutes
@@ -714,7 +954,8 @@ app.use(async (req, res, next) => {
                  if (user.ip_address && user.ip_address !== clientIp) {
                      await bandwidthService.removeLimit(user.ip_address);
                  }
-                 await bandwidthService.setLimit(clientIp, user.download_speed, user.upload_speed);
+                 const speeds = fairUseService.speedsFor(user);
+                 await bandwidthService.setLimit(clientIp, speeds.download, speeds.upload);
             }
             
             // Sync IP if changed
@@ -833,217 +1074,654 @@ io.on('connection', (socket) => {
 
 // --- Auth Helper ---
 function isAuthenticated(req, res, next) {
-    // Check for admin session cookie
-    if (req.cookies.admin_session === 'true') {
+    // API tokens (scripts / back-office): Authorization: Bearer <token>
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        const token = apiTokenService.authenticate(authHeader.slice(7).trim(), getClientIp(req));
+        if (!token) return res.status(401).json({ error: 'Invalid or expired API token' });
+        req.admin = { id: token.admin_id, username: token.username, role: token.role };
+        req.apiToken = token;
+        return next();
+    }
+
+    // Validate the server-side admin session referenced by the cookie
+    const session = adminSessionService.validate(req.cookies[adminSessionService.cookieName]);
+    if (session) {
+        req.admin = { id: session.admin_id, username: session.username, role: session.role };
+        req.adminSession = session;
         return next();
     }
     res.status(401).json({ error: 'Unauthorized' });
 }
 
+// Role check (use after isAuthenticated). Passes if the admin's role has ANY of the given permissions.
+// API tokens additionally need a matching scope (<permission>:read for GET, <permission>:write otherwise).
+function requirePermission(...permissions) {
+    return (req, res, next) => {
+        const role = req.admin && req.admin.role;
+        const granted = permissions.filter(p => adminAccountService.hasPermission(role, p));
+        if (granted.length === 0) {
+            return res.status(403).json({ error: 'Forbidden: your account role cannot perform this action' });
+        }
+        if (req.apiToken && !granted.some(p => apiTokenService.allows(req.apiToken, p, req.method))) {
+            return res.status(403).json({ error: 'Forbidden: API token is missing the required scope' });
+        }
+        next();
+    };
+}
+
+// CSRF check for cookie-authenticated, state-changing /api/admin requests.
+// admin.html echoes the admin_csrf cookie in X-CSRF-Token; it must match the token stored on the session.
+function csrfProtection(req, res, next) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+    // Bearer tokens are not sent automatically by browsers, so they cannot be forged cross-site
+    if ((req.headers.authorization || '').startsWith('Bearer ')) return next();
+
+    const session = adminSessionService.validate(req.cookies[adminSessionService.cookieName]);
+    if (!session) return next(); // isAuthenticated will answer 401
+
+    if (!adminSessionService.verifyCsrf(session, req.headers['x-csrf-token'])) {
+        logService.warn('SYSTEM', `Blocked admin request with missing/invalid CSRF token: ${req.method} ${req.originalUrl} (IP: ${getClientIp(req)})`);
+        return res.status(403).json({ error: 'Invalid CSRF token. Reload the admin panel and try again.' });
+    }
+    next();
+}
+
+// Browser session only (use after isAuthenticated) - for account security actions API tokens must not reach
+function requireSession(req, res, next) {
+    if (req.apiToken) return res.status(403).json({ error: 'Forbidden: not available to API tokens' });
+    next();
+}
+
+// Record a configuration change in the audit trail (use after isAuthenticated)
+function audit(req, entityType, action, entityId, before, after) {
+    auditService.record({ admin: req.admin, ip: getClientIp(req), entityType, entityId, action, before, after });
+}
+
+// Current values of the given setting keys, for before/after audit snapshots
+function settingsSnapshot(keys) {
+    const snapshot = {};
+    keys.forEach(key => { snapshot[key] = configService.get(key); });
+    return auditService.snapshot(snapshot);
+}
+
 // --- Routes ---
 
+app.use('/api/admin', csrfProtection);
+
 // 0. Admin Auth
-app.post('/api/auth/login', (req, res) => {
-    const { username, password } = req.body;
-    const admin = db.prepare('SELECT * FROM admins WHERE username = ?').get(username);
-    
-    // Simple check (In production use bcrypt.compare)
-    if (admin && admin.password_hash === password) {
-        logService.info('SYSTEM', `Admin login successful (User: ${username})`);
-        res.cookie('admin_session', 'true', { httpOnly: true, maxAge: 24 * 60 * 60 * 1000 });
-        res.json({ success: true });
-    } else {
-        logService.warn('SYSTEM', `Admin login failed (User: ${username})`);
-        res.status(401).json({ error: 'Invalid credentials' });
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Username and password required' });
     }
-});
-
-app.post('/api/auth/logout', (req, res) => {
-    logService.info('SYSTEM', 'Admin logout');
-    res.clearCookie('admin_session');
-    res.json({ success: true });
-});
+    const clientIp = getClientIp(req);
+    const throttleKeys = authThrottleService.keysFor('login', getConnectionIp(req), username);
 
-const resetTokens = new Map(); // Token -> Expiry Timestamp
+    const lock = authThrottleService.check(throttleKeys);
+    if (lock.locked) {
+        res.set('Retry-After', String(lock.retryAfterSeconds));
+        return res.status(429).json({ error: authThrottleService.lockoutMessage(lock.retryAfterSeconds) });
+    }
 
-app.get('/api/auth/security-question', (req, res) => {
     try {
-        let admin = db.prepare('SELECT security_question FROM admins WHERE id = 1').get();
-        
-        // Self-healing: If no question, set default
-        if (!admin || !admin.security_question) {
-            console.log('No security question found. Seeding default...');
-            db.prepare('UPDATE admins SET security_question = ?, security_answer = ? WHERE id = 1')
-              .run('What is the name of your first pet?', 'admin');
-            admin = { security_question: 'What is the name of your first pet?' };
-        }
+        const admin = db.prepare('SELECT * FROM admins WHERE username = ?').get(username);
+    
+        if (admin && admin.is_active !== 0 && await passwordService.verify(password, admin.password_hash)) {
+            authThrottleService.recordSuccess(throttleKeys);
+
+            // Migrate legacy plaintext (or weaker) hashes on first successful login
+            if (passwordService.needsRehash(admin.password_hash)) {
+                try {
+                    db.prepare('UPDATE admins SET password_hash = ? WHERE id = ?').run(await passwordService.hash(password), admin.id);
+                    logService.info('SYSTEM', `Admin password hash upgraded (User: ${username})`);
+                } catch (e) {
+                    console.error('Failed to upgrade admin password hash:', e);
+                }
+            }
+
+            // Password is correct but 2FA is on: hand back a short-lived challenge instead of a session
+            if (totpService.isEnabled(admin)) {
+                const challenge = totpService.createChallenge(admin.id);
+                logService.info('SYSTEM', `Admin password accepted, waiting for 2FA code (User: ${username})`);
+                return res.json({ success: false, twoFactorRequired: true, challenge });
+            }
 
-        if (admin && admin.security_question) {
-            res.json({ hasQuestion: true, question: admin.security_question });
+            const session = adminSessionService.create(admin.id, clientIp, req.headers['user-agent']);
+            logService.info('SYSTEM', `Admin login successful (User: ${username})`);
+            adminSessionService.setCookies(res, session);
+            res.json({ success: true });
         } else {
-            // Should not happen due to self-healing
-            res.json({ hasQuestion: false });
+            logService.warn('SYSTEM', `Admin login failed (User: ${username}, IP: ${clientIp})`);
+            const result = authThrottleService.recordFailure(throttleKeys, `admin login from ${clientIp}`);
+            if (result.locked) {
+                res.set('Retry-After', String(result.retryAfterSeconds));
+                return res.status(429).json({ error: authThrottleService.lockoutMessage(result.retryAfterSeconds) });
+            }
+            res.status(401).json({ error: 'Invalid credentials' });
         }
     } catch (e) {
-        console.error('Error fetching security question:', e);
-        res.status(500).json({ error: 'Failed to fetch security question' });
+        console.error('Admin login error:', e);
+        res.status(500).json({ error: 'Login failed' });
     }
 });
 
-app.post('/api/auth/verify-security', (req, res) => {
-    const { answer } = req.body;
-    try {
-        const admin = db.prepare('SELECT security_answer FROM admins WHERE id = 1').get();
-        if (!admin || !admin.security_answer) {
-            return res.status(400).json({ error: 'No security question configured' });
-        }
+// Second login step for accounts with 2FA (TOTP code or a recovery code)
+app.post('/api/auth/login/2fa', (req, res) => {
+    const { challenge, code } = req.body;
+    const clientIp = getClientIp(req);
 
-        if (admin.security_answer.toLowerCase().trim() === answer.toLowerCase().trim()) {
-            const token = crypto.randomBytes(32).toString('hex');
-            resetTokens.set(token, Date.now() + 300000); // 5 minutes validity
-            logService.info('SYSTEM', 'Security question verified successfully');
-            res.json({ success: true, token });
-        } else {
-            logService.warn('SYSTEM', 'Security question verification failed');
-            res.status(401).json({ error: 'Wrong answer' });
-        }
-    } catch (e) {
-        logService.error('SYSTEM', `Security verification error: ${e.message}`);
-        res.status(500).json({ error: 'Verification failed' });
+    const pending = totpService.getChallenge(challenge);
+    if (!pending) return res.status(401).json({ error: 'Login expired. Please enter your password again.' });
+
+    const admin = db.prepare('SELECT * FROM admins WHERE id = ?').get(pending.adminId);
+    if (!admin || admin.is_active === 0) {
+        totpService.consumeChallenge(challenge);
+        return res.status(401).json({ error: 'Invalid credentials' });
     }
-});
 
-app.post('/api/auth/reset-credentials', (req, res) => {
-    const { token, username, password, security_question, security_answer } = req.body;
-    
-    if (!resetTokens.has(token) || resetTokens.get(token) < Date.now()) {
-        logService.warn('SYSTEM', 'Password reset attempt with invalid/expired token');
-        return res.status(401).json({ error: 'Invalid or expired reset token' });
+    const throttleKeys = authThrottleService.keysFor('totp', getConnectionIp(req), admin.username);
+    const lock = authThrottleService.check(throttleKeys);
+    if (lock.locked) {
+        res.set('Retry-After', String(lock.retryAfterSeconds));
+        return res.status(429).json({ error: authThrottleService.lockoutMessage(lock.retryAfterSeconds) });
     }
 
-    if (!username || !password || !security_question || !security_answer) {
-        return res.status(400).json({ error: 'All fields are required' });
+    const method = totpService.verifyForAdmin(admin, code);
+    if (!method) {
+        logService.warn('SYSTEM', `Admin 2FA code rejected (User: ${admin.username}, IP: ${clientIp})`);
+        const result = authThrottleService.recordFailure(throttleKeys, `2FA code from ${clientIp}`);
+        if (result.locked) {
+            totpService.consumeChallenge(challenge);
+            res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(429).json({ error: authThrottleService.lockoutMessage(result.retryAfterSeconds) });
+        }
+        return res.status(401).json({ error: 'Invalid code' });
     }
 
-    try {
-        db.prepare(`
-            UPDATE admins 
-            SET username = ?, password_hash = ?, security_question = ?, security_answer = ? 
-            WHERE id = 1
-        `).run(username, password, security_question, security_answer);
-        
-        resetTokens.delete(token); // Consume token
-        logService.critical('SYSTEM', `Admin credentials reset via security question (New User: ${username})`);
-        res.json({ success: true });
-    } catch (e) {
-        console.error(e);
-        logService.error('SYSTEM', `Failed to reset credentials: ${e.message}`);
-        res.status(500).json({ error: 'Failed to reset credentials' });
+    totpService.consumeChallenge(challenge);
+    authThrottleService.recordSuccess(throttleKeys);
+    if (method === 'recovery') {
+        logService.warn('SYSTEM', `Admin logged in with a recovery code (User: ${admin.username}, ${totpService.countRecoveryCodes(admin.id)} left)`);
     }
+
+    const session = adminSessionService.create(admin.id, clientIp, req.headers['user-agent']);
+    logService.info('SYSTEM', `Admin login successful with 2FA (User: ${admin.username})`);
+    adminSessionService.setCookies(res, session);
+    res.json({ success: true });
 });
 
-// Logs API
-app.get('/api/logs', isAuthenticated, async (req, res) => {
-    const { source, limit } = req.query;
-    const limitVal = parseInt(limit) || 100;
-    try {
-        let logs = [];
-        switch (source) {
-            case 'pppoe':
-                logs = await logService.getPppoeLogs(limitVal);
-                break;
-            case 'vouchers':
-                logs = logService.getVoucherLogs(limitVal);
-                break;
-            case 'errors':
-                logs = logService.getCriticalErrors(limitVal);
-                break;
-            case 'system':
-            default:
-                logs = logService.getSystemLogs(limitVal);
-                break;
-        }
-        res.json(logs);
-    } catch (e) {
-        console.error("API Logs Error:", e);
-        // Ensure we send a JSON response even on error
-        res.status(500).json({ 
-            error: "Failed to fetch logs", 
-            message: e.message, 
-            stack: process.env.NODE_ENV === 'development' ? e.stack : undefined 
-        });
+app.post('/api/auth/logout', (req, res) => {
+    adminSessionService.revoke(req.cookies[adminSessionService.cookieName]);
+    logService.info('SYSTEM', 'Admin logout');
+    adminSessionService.clearCookies(res);
+    res.json({ success: true });
+});
+
+// Current admin (used by the admin panel to hide menus the role cannot use)
+app.get('/api/auth/me', isAuthenticated, (req, res) => {
+    // Re-issue the CSRF cookie (covers sessions that predate it or a cleared cookie)
+    if (req.adminSession) {
+        adminSessionService.setCsrfCookie(res, adminSessionService.ensureCsrfToken(req.adminSession));
     }
+    res.json({
+        id: req.admin.id,
+        username: req.admin.username,
+        role: req.admin.role,
+        permissions: adminAccountService.getPermissions(req.admin.role),
+        token_scopes: req.apiToken ? req.apiToken.scopes : undefined
+    });
 });
 
-// Chat APIs
-app.get('/api/admin/chat/conversations', isAuthenticated, (req, res) => {
+// Admin Accounts (Owner only)
+app.get('/api/admin/accounts', isAuthenticated, requirePermission('accounts'), (req, res) => {
     try {
-        const convos = chatService.getAllConversations();
-        res.json(convos);
+        res.json({ roles: adminAccountService.roles, accounts: adminAccountService.list() });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.get('/api/admin/chat/history/:mac', isAuthenticated, (req, res) => {
+app.post('/api/admin/accounts', isAuthenticated, requirePermission('accounts'), async (req, res) => {
     try {
-        const history = chatService.getMessages(req.params.mac);
-        // Mark as read when admin fetches full history
-        chatService.markAsRead(req.params.mac);
-        res.json(history);
+        if ((req.body || {}).role === 'reseller') throw new Error('Create reseller logins under Resellers');
+        const account = await adminAccountService.create(req.body || {});
+        audit(req, 'admin_account', 'create', account.id, null, account);
+        logService.warn('SYSTEM', `Admin account created (User: ${account.username}, Role: ${account.role}) by ${req.admin.username}`);
+        res.json({ success: true, account });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        res.status(400).json({ success: false, error: e.message });
     }
 });
 
-// --- System Routes ---
-
-// Update Admin Credentials
-app.post('/api/admin/security/credentials', isAuthenticated, (req, res) => {
-    const { username, password, security_question, security_answer } = req.body;
-    if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
-    
+app.put('/api/admin/accounts/:id', isAuthenticated, requirePermission('accounts'), async (req, res) => {
     try {
-        let sql = 'UPDATE admins SET username = ?, password_hash = ?';
-        const params = [username, password];
-
-        if (security_question && security_answer) {
-            sql += ', security_question = ?, security_answer = ?';
-            params.push(security_question, security_answer);
+        const before = adminAccountService.sanitize(adminAccountService.get(Number(req.params.id)));
+        const role = (req.body || {}).role;
+        if (before && role !== undefined && role !== before.role && (role === 'reseller' || before.role === 'reseller')) {
+            throw new Error('Reseller logins are managed under Resellers');
         }
-
-        sql += ' WHERE id = 1';
-        db.prepare(sql).run(...params);
-        
-        logService.warn('SYSTEM', `Admin credentials updated (User: ${username})`);
-        res.json({ success: true });
+        const account = await adminAccountService.update(Number(req.params.id), req.body || {});
+        audit(req, 'admin_account', 'update', account.id, before, { ...account, password_changed: !!(req.body || {}).password });
+        logService.warn('SYSTEM', `Admin account updated (User: ${account.username}, Role: ${account.role}, Active: ${account.is_active}) by ${req.admin.username}`);
+        res.json({ success: true, account });
     } catch (e) {
-        console.error(e);
-        logService.error('SYSTEM', `Failed to update credentials: ${e.message}`);
-        res.status(500).json({ error: 'Failed to update credentials' });
+        res.status(400).json({ success: false, error: e.message });
     }
 });
 
-// System Maintenance
-app.get('/api/admin/system/verify', isAuthenticated, async (req, res) => {
+app.delete('/api/admin/accounts/:id', isAuthenticated, requirePermission('accounts'), (req, res) => {
+    const id = Number(req.params.id);
+    if (id === req.admin.id) return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
     try {
-        const results = await systemService.verifyConfiguration();
-        res.json(results);
+        const before = adminAccountService.sanitize(adminAccountService.get(id));
+        const removed = adminAccountService.remove(id);
+        if (!removed) return res.status(404).json({ success: false, error: 'Account not found' });
+        audit(req, 'admin_account', 'delete', id, before, null);
+        logService.warn('SYSTEM', `Admin account ${id} deleted by ${req.admin.username}`);
+        res.json({ success: true });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        res.status(400).json({ success: false, error: e.message });
     }
 });
 
-app.post('/api/admin/system/reboot', isAuthenticated, async (req, res) => {
+// Owner can switch off 2FA for an account that lost its phone and recovery codes
+app.delete('/api/admin/accounts/:id/2fa', isAuthenticated, requirePermission('accounts'), (req, res) => {
     try {
-        await systemService.reboot();
+        const account = adminAccountService.get(Number(req.params.id));
+        if (!account) return res.status(404).json({ success: false, error: 'Account not found' });
+        totpService.disable(account.id);
+        adminSessionService.revokeAll(account.id);
+        logService.critical('SYSTEM', `2FA disabled for ${account.username} by ${req.admin.username}`);
         res.json({ success: true });
     } catch (e) {
-        res.status(500).json({ error: e.message });
+        res.status(500).json({ success: false, error: e.message });
     }
 });
 
-app.post('/api/admin/system/reset', isAuthenticated, async (req, res) => {
+// Two-Factor Authentication (own account, any role)
+app.get('/api/admin/security/2fa', isAuthenticated, requireSession, (req, res) => {
+    try {
+        res.json(totpService.getStatus(req.admin.id));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.post('/api/admin/security/2fa/enroll', isAuthenticated, requireSession, (req, res) => {
+    try {
+        const { secret, otpauthUri } = totpService.beginEnrollment(req.admin.id);
+        res.json({ success: true, secret, otpauthUri });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+app.post('/api/admin/security/2fa/confirm', isAuthenticated, requireSession, (req, res) => {
+    try {
+        const recoveryCodes = totpService.confirmEnrollment(req.admin.id, (req.body || {}).code);
+        logService.warn('SYSTEM', `2FA enabled (User: ${req.admin.username})`);
+        res.json({ success: true, recoveryCodes });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+app.post('/api/admin/security/2fa/recovery-codes', isAuthenticated, requireSession, (req, res) => {
+    try {
+        const admin = adminAccountService.get(req.admin.id);
+        if (!totpService.isEnabled(admin)) return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+        if (!totpService.verifyForAdmin(admin, (req.body || {}).code, { allowRecovery: false })) {
+            return res.status(401).json({ success: false, error: 'Invalid code' });
+        }
+        const recoveryCodes = totpService.regenerateRecoveryCodes(admin.id);
+        logService.warn('SYSTEM', `2FA recovery codes regenerated (User: ${admin.username})`);
+        res.json({ success: true, recoveryCodes });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+app.post('/api/admin/security/2fa/disable', isAuthenticated, requireSession, async (req, res) => {
+    const { password, code } = req.body || {};
+    try {
+        const admin = adminAccountService.get(req.admin.id);
+        if (!totpService.isEnabled(admin)) return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+        if (!await passwordService.verify(password, admin.password_hash) || !totpService.verifyForAdmin(admin, code)) {
+            return res.status(401).json({ success: false, error: 'Password or code is incorrect' });
+        }
+        totpService.disable(admin.id);
+        logService.critical('SYSTEM', `2FA disabled (User: ${admin.username})`);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// API Tokens (created/revoked from a logged-in browser; the raw token is only returned once)
+app.get('/api/admin/api-tokens', isAuthenticated, requirePermission('security'), (req, res) => {
+    try {
+        res.json({ scopes: apiTokenService.availableScopes, tokens: apiTokenService.list() });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.post('/api/admin/api-tokens', isAuthenticated, requirePermission('security'), requireSession, (req, res) => {
+    try {
+        const { name, scopes, expires_in_days } = req.body || {};
+        const { token, record } = apiTokenService.create({ adminId: req.admin.id, name, scopes, expiresInDays: expires_in_days });
+        audit(req, 'api_token', 'create', record.id, null, record);
+        logService.warn('SYSTEM', `API token "${record.name}" created by ${req.admin.username} (Scopes: ${record.scopes.join(', ')})`);
+        res.json({ success: true, token, record });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+app.delete('/api/admin/api-tokens/:id', isAuthenticated, requirePermission('security'), (req, res) => {
+    try {
+        const before = apiTokenService.get(Number(req.params.id));
+        if (!apiTokenService.revoke(Number(req.params.id))) return res.status(404).json({ success: false, error: 'Token not found' });
+        audit(req, 'api_token', 'delete', req.params.id, before, null);
+        logService.warn('SYSTEM', `API token "${before.name}" revoked by ${req.admin.username}`);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Admin Sessions
+app.get('/api/admin/security/sessions', isAuthenticated, requirePermission('security'), (req, res) => {
+    try {
+        const sessions = adminSessionService.listActive().map(s => ({
+            ...s,
+            current: s.id === req.adminSession.id
+        }));
+        res.json(sessions);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.delete('/api/admin/security/sessions/:id', isAuthenticated, requirePermission('security'), (req, res) => {
+    try {
+        adminSessionService.revokeById(Number(req.params.id));
+        logService.warn('SYSTEM', `Admin session ${req.params.id} revoked by ${req.admin.username}`);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Sign out everywhere (including the current browser)
+app.post('/api/admin/security/sessions/revoke-all', isAuthenticated, requirePermission('security'), (req, res) => {
+    try {
+        const count = adminSessionService.revokeAll();
+        logService.warn('SYSTEM', `All admin sessions signed out by ${req.admin.username} (${count} revoked)`);
+        adminSessionService.clearCookies(res);
+        res.json({ success: true, count });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+const resetTokens = new Map(); // Token -> Expiry Timestamp
+
+app.get('/api/auth/security-question', (req, res) => {
+    try {
+        const admin = adminAccountService.getPrimaryOwner();
+
+        // With 2FA on, recovery uses an authenticator or recovery code instead of the question
+        if (totpService.isEnabled(admin)) {
+            return res.json({ hasQuestion: false, method: 'totp' });
+        }
+
+        // No default answer is seeded here: a guessable answer would let anyone reset the owner account
+        if (admin && admin.security_question && admin.security_answer) {
+            res.json({ hasQuestion: true, method: 'question', question: admin.security_question });
+        } else {
+            res.json({ hasQuestion: false });
+        }
+    } catch (e) {
+        console.error('Error fetching security question:', e);
+        res.status(500).json({ error: 'Failed to fetch security question' });
+    }
+});
+
+// Password recovery guesses only lock the guessing IP; tell the admins when that happens
+function alertRecoveryLockout(result, clientIp) {
+    if (result.lockouts.length === 0) return;
+    const { minutes, count } = result.lockouts[0];
+    io.emit('admin_alert', { type: 'recovery_bruteforce', message: `Password recovery locked for ${clientIp} for ${minutes} min after repeated wrong answers (#${count})` });
+}
+
+app.post('/api/auth/verify-security', async (req, res) => {
+    const { answer } = req.body || {};
+    const clientIp = getClientIp(req);
+    // Per connection IP only: the flow always targets the primary owner, so a per-user key would let
+    // anyone on the LAN keep recovery locked. Repeated lockouts alert the admins instead
+    const throttleKeys = authThrottleService.keysFor('security', getConnectionIp(req));
+
+    const lock = authThrottleService.check(throttleKeys);
+    if (lock.locked) {
+        res.set('Retry-After', String(lock.retryAfterSeconds));
+        return res.status(429).json({ error: authThrottleService.lockoutMessage(lock.retryAfterSeconds) });
+    }
+
+    try {
+        const admin = adminAccountService.getPrimaryOwner();
+
+        if (totpService.isEnabled(admin)) {
+            const method = totpService.verifyForAdmin(admin, req.body.code);
+            if (!method) {
+                logService.warn('SYSTEM', `Password reset 2FA code rejected (IP: ${clientIp})`);
+                const result = authThrottleService.recordFailure(throttleKeys, `password reset 2FA code from ${clientIp}`);
+                alertRecoveryLockout(result, clientIp);
+                if (result.locked) {
+                    res.set('Retry-After', String(result.retryAfterSeconds));
+                    return res.status(429).json({ error: authThrottleService.lockoutMessage(result.retryAfterSeconds) });
+                }
+                return res.status(401).json({ error: 'Invalid code' });
+            }
+
+            authThrottleService.recordSuccess(throttleKeys);
+            const token = crypto.randomBytes(32).toString('hex');
+            resetTokens.set(token, Date.now() + 300000); // 5 minutes validity
+            logService.warn('SYSTEM', `Password reset verified with ${method === 'recovery' ? 'a recovery code' : '2FA code'}`);
+            return res.json({ success: true, token });
+        }
+
+        if (!admin || !admin.security_answer) {
+            return res.status(400).json({ error: 'No security question configured' });
+        }
+
+        const normalized = passwordService.normalizeAnswer(answer);
+        const isLegacy = !passwordService.isHashed(admin.security_answer);
+        const stored = isLegacy ? passwordService.normalizeAnswer(admin.security_answer) : admin.security_answer;
+
+        if (await passwordService.verify(normalized, stored)) {
+            authThrottleService.recordSuccess(throttleKeys);
+
+            // The factory default answer is public knowledge; it must be changed before it can reset anything
+            if (normalized === 'admin') {
+                logService.warn('SYSTEM', `Security question reset refused: default answer still set (IP: ${clientIp})`);
+                return res.status(403).json({ error: 'The default security answer cannot be used. Log in and set your own security answer first.' });
+            }
+
+            if (isLegacy) {
+                db.prepare('UPDATE admins SET security_answer = ? WHERE id = ?').run(await passwordService.hash(normalized), admin.id);
+            }
+
+            const token = crypto.randomBytes(32).toString('hex');
+            resetTokens.set(token, Date.now() + 300000); // 5 minutes validity
+            logService.info('SYSTEM', 'Security question verified successfully');
+            res.json({ success: true, token });
+        } else {
+            logService.warn('SYSTEM', `Security question verification failed (IP: ${clientIp})`);
+            const result = authThrottleService.recordFailure(throttleKeys, `security question from ${clientIp}`);
+            alertRecoveryLockout(result, clientIp);
+            if (result.locked) {
+                res.set('Retry-After', String(result.retryAfterSeconds));
+                return res.status(429).json({ error: authThrottleService.lockoutMessage(result.retryAfterSeconds) });
+            }
+            res.status(401).json({ error: 'Wrong answer' });
+        }
+    } catch (e) {
+        logService.error('SYSTEM', `Security verification error: ${e.message}`);
+        res.status(500).json({ error: 'Verification failed' });
+    }
+});
+
+app.post('/api/auth/reset-credentials', async (req, res) => {
+    const { token, username, password, security_question, security_answer } = req.body || {};
+    
+    if (typeof token !== 'string' || !resetTokens.has(token) || resetTokens.get(token) < Date.now()) {
+        logService.warn('SYSTEM', 'Password reset attempt with invalid/expired token');
+        return res.status(401).json({ error: 'Invalid or expired reset token' });
+    }
+
+    if (![username, password, security_question, security_answer].every(v => typeof v === 'string' && v)) {
+        return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    try {
+        const owner = adminAccountService.getPrimaryOwner();
+        if (!owner) return res.status(400).json({ error: 'No owner account found' });
+
+        const passwordHash = await passwordService.hash(password);
+        const answerHash = await passwordService.hash(passwordService.normalizeAnswer(security_answer));
+        db.prepare(`
+            UPDATE admins 
+            SET username = ?, password_hash = ?, security_question = ?, security_answer = ?, is_active = 1 
+            WHERE id = ?
+        `).run(username, passwordHash, security_question, answerHash, owner.id);
+        
+        resetTokens.delete(token); // Consume token
+        adminSessionService.revokeAll(owner.id);
+        logService.critical('SYSTEM', `Admin credentials reset via security question (New User: ${username})`);
+        res.json({ success: true });
+    } catch (e) {
+        console.error(e);
+        logService.error('SYSTEM', `Failed to reset credentials: ${e.message}`);
+        res.status(500).json({ error: 'Failed to reset credentials' });
+    }
+});
+
+// Logs API
+app.get('/api/logs', isAuthenticated, requirePermission('logs'), async (req, res) => {
+    const { source, limit } = req.query;
+    const limitVal = parseInt(limit) || 100;
+    try {
+        let logs = [];
+        switch (source) {
+            case 'pppoe':
+                logs = await logService.getPppoeLogs(limitVal);
+                break;
+            case 'vouchers':
+                logs = logService.getVoucherLogs(limitVal);
+                break;
+            case 'errors':
+                logs = logService.getCriticalErrors(limitVal);
+                break;
+            case 'system':
+            default:
+                logs = logService.getSystemLogs(limitVal);
+                break;
+        }
+        res.json(logs);
+    } catch (e) {
+        console.error("API Logs Error:", e);
+        // Ensure we send a JSON response even on error
+        res.status(500).json({ 
+            error: "Failed to fetch logs", 
+            message: e.message, 
+            stack: process.env.NODE_ENV === 'development' ? e.stack : undefined 
+        });
+    }
+});
+
+// Chat APIs
+app.get('/api/admin/chat/conversations', isAuthenticated, requirePermission('chat'), (req, res) => {
+    try {
+        const convos = chatService.getAllConversations();
+        res.json(convos);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.get('/api/admin/chat/history/:mac', isAuthenticated, requirePermission('chat'), (req, res) => {
+    try {
+        const history = chatService.getMessages(req.params.mac);
+        // Mark as read when admin fetches full history
+        chatService.markAsRead(req.params.mac);
+        res.json(history);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- System Routes ---
+
+// Update Admin Credentials
+app.post('/api/admin/security/credentials', isAuthenticated, requirePermission('security'), async (req, res) => {
+    const { username, password, security_question, security_answer } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return res.status(400).json({ error: 'Username and password required' });
+    }
+    if ((security_question !== undefined && typeof security_question !== 'string') || (security_answer !== undefined && typeof security_answer !== 'string')) {
+        return res.status(400).json({ error: 'Invalid security question or answer' });
+    }
+
+    try {
+        const taken = db.prepare('SELECT id FROM admins WHERE username = ? AND id != ?').get(username, req.admin.id);
+        if (taken) return res.status(400).json({ error: `Username ${username} already exists` });
+
+        let sql = 'UPDATE admins SET username = ?, password_hash = ?';
+        const params = [username, await passwordService.hash(password)];
+
+        if (security_question && security_answer) {
+            sql += ', security_question = ?, security_answer = ?';
+            params.push(security_question, await passwordService.hash(passwordService.normalizeAnswer(security_answer)));
+        }
+
+        sql += ' WHERE id = ?';
+        params.push(req.admin.id);
+        db.prepare(sql).run(...params);
+        
+        // Force every browser of this account (including this one) to sign in with the new credentials
+        adminSessionService.revokeAll(req.admin.id);
+        adminSessionService.clearCookies(res);
+        logService.warn('SYSTEM', `Admin credentials updated (User: ${username})`);
+        res.json({ success: true });
+    } catch (e) {
+        console.error(e);
+        logService.error('SYSTEM', `Failed to update credentials: ${e.message}`);
+        res.status(500).json({ error: 'Failed to update credentials' });
+    }
+});
+
+// System Maintenance
+app.get('/api/admin/system/verify', isAuthenticated, requirePermission('diagnostics'), async (req, res) => {
+    try {
+        const results = await systemService.verifyConfiguration();
+        res.json(results);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.post('/api/admin/system/reboot', isAuthenticated, requirePermission('system'), async (req, res) => {
+    try {
+        await systemService.reboot();
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.post('/api/admin/system/reset', isAuthenticated, requirePermission('system'), async (req, res) => {
     try {
         await systemService.factoryReset();
         res.json({ success: true });
@@ -1052,7 +1730,7 @@ app.post('/api/admin/system/reset', isAuthenticated, async (req, res) => {
     }
 });
 
-app.post('/api/admin/system/upgrade', isAuthenticated, async (req, res) => {
+app.post('/api/admin/system/upgrade', isAuthenticated, requirePermission('system'), async (req, res) => {
     // type: local or online
     const { type } = req.body;
     try {
@@ -1064,7 +1742,7 @@ app.post('/api/admin/system/upgrade', isAuthenticated, async (req, res) => {
 });
 
 // 0.1 Dashboard Stats
-app.get('/api/admin/dashboard', isAuthenticated, async (req, res) => {
+app.get('/api/admin/dashboard', isAuthenticated, requirePermission('dashboard'), async (req, res) => {
     res.set('Cache-Control', 'no-store');
     // Basic System Stats
     // Active Sessions Detail (Removed)
@@ -1090,7 +1768,7 @@ app.get('/api/admin/dashboard', isAuthenticated, async (req, res) => {
 });
 
 // PPPoE Profiles API
-app.get('/api/admin/pppoe/profiles', isAuthenticated, (req, res) => {
+app.get('/api/admin/pppoe/profiles', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
         const profiles = pppoeServerService.getProfiles();
         res.json(profiles);
@@ -1099,27 +1777,32 @@ app.get('/api/admin/pppoe/profiles', isAuthenticated, (req, res) => {
     }
 });
 
-app.post('/api/admin/pppoe/profiles', isAuthenticated, (req, res) => {
+app.post('/api/admin/pppoe/profiles', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
         const profile = pppoeServerService.addProfile(req.body);
+        audit(req, 'pppoe_profile', 'create', profile.id, null, profile);
         res.json({ success: true, profile });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
-app.put('/api/admin/pppoe/profiles/:id', isAuthenticated, (req, res) => {
+app.put('/api/admin/pppoe/profiles/:id', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
+        const before = pppoeServerService.getProfile(req.params.id);
         const profile = pppoeServerService.updateProfile(req.params.id, req.body);
+        audit(req, 'pppoe_profile', 'update', req.params.id, before, profile);
         res.json({ success: true, profile });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
-app.delete('/api/admin/pppoe/profiles/:id', isAuthenticated, (req, res) => {
+app.delete('/api/admin/pppoe/profiles/:id', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
+        const before = pppoeServerService.getProfile(req.params.id);
         pppoeServerService.deleteProfile(req.params.id);
+        audit(req, 'pppoe_profile', 'delete', req.params.id, before, null);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -1127,7 +1810,7 @@ app.delete('/api/admin/pppoe/profiles/:id', isAuthenticated, (req, res) => {
 });
 
 // 0.1.5 Network Interfaces
-app.get('/api/admin/network-interfaces', isAuthenticated, async (req, res) => {
+app.get('/api/admin/network-interfaces', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
         const interfaces = await monitoringService.getNetworkInterfaces();
         res.json(interfaces);
@@ -1138,12 +1821,14 @@ app.get('/api/admin/network-interfaces', isAuthenticated, async (req, res) => {
 });
 
 // 0.1.6 Update WAN Interface
-app.post('/api/admin/settings/wan', isAuthenticated, async (req, res) => {
+app.post('/api/admin/settings/wan', isAuthenticated, requirePermission('network'), async (req, res) => {
     const { interface: iface } = req.body;
     if (!iface) return res.status(400).json({ error: 'Interface is required' });
     
     try {
+        const before = settingsSnapshot(['wan_interface']);
         networkService.saveWanInterface(iface);
+        audit(req, 'setting', 'update', 'wan_interface', before, { wan_interface: iface });
         res.json({ success: true, wan_interface: iface });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -1151,7 +1836,7 @@ app.post('/api/admin/settings/wan', isAuthenticated, async (req, res) => {
 });
 
 // System Time & NTP API
-app.get('/api/admin/system/time', isAuthenticated, async (req, res) => {
+app.get('/api/admin/system/time', isAuthenticated, requirePermission('dashboard'), async (req, res) => {
     try {
         const settings = await systemService.getTimeSettings();
         res.json(settings);
@@ -1160,9 +1845,11 @@ app.get('/api/admin/system/time', isAuthenticated, async (req, res) => {
     }
 });
 
-app.post('/api/admin/system/time', isAuthenticated, async (req, res) => {
+app.post('/api/admin/system/time', isAuthenticated, requirePermission('system'), async (req, res) => {
     try {
+        const before = await systemService.getTimeSettings().catch(() => null);
         await systemService.saveTimeSettings(req.body);
+        audit(req, 'system_time', 'update', null, before, req.body);
         res.json({ success: true });
     } catch (e) {
         console.error('API Error /api/admin/system/time:', e);
@@ -1170,7 +1857,7 @@ app.post('/api/admin/system/time', isAuthenticated, async (req, res) => {
     }
 });
 
-app.get('/api/admin/system/timezones', isAuthenticated, async (req, res) => {
+app.get('/api/admin/system/timezones', isAuthenticated, requirePermission('system'), async (req, res) => {
     try {
         const timezones = await systemService.getTimezones();
         res.json(timezones);
@@ -1180,7 +1867,7 @@ app.get('/api/admin/system/timezones', isAuthenticated, async (req, res) => {
 });
 
 // Logs API
-app.get('/api/admin/logs/system', isAuthenticated, (req, res) => {
+app.get('/api/admin/logs/system', isAuthenticated, requirePermission('logs'), (req, res) => {
     try {
         const logs = logService.getSystemLogs();
         res.json(logs);
@@ -1189,7 +1876,7 @@ app.get('/api/admin/logs/system', isAuthenticated, (req, res) => {
     }
 });
 
-app.get('/api/admin/logs/pppoe', isAuthenticated, async (req, res) => {
+app.get('/api/admin/logs/pppoe', isAuthenticated, requirePermission('logs'), async (req, res) => {
     try {
         const logs = await logService.getPppoeLogs();
         res.json(logs);
@@ -1198,7 +1885,7 @@ app.get('/api/admin/logs/pppoe', isAuthenticated, async (req, res) => {
     }
 });
 
-app.get('/api/admin/logs/vouchers', isAuthenticated, (req, res) => {
+app.get('/api/admin/logs/vouchers', isAuthenticated, requirePermission('logs'), (req, res) => {
     try {
         const logs = logService.getVoucherLogs();
         res.json(logs);
@@ -1207,7 +1894,7 @@ app.get('/api/admin/logs/vouchers', isAuthenticated, (req, res) => {
     }
 });
 
-app.get('/api/admin/logs/errors', isAuthenticated, (req, res) => {
+app.get('/api/admin/logs/errors', isAuthenticated, requirePermission('logs'), (req, res) => {
     try {
         const logs = logService.getCriticalErrors();
         res.json(logs);
@@ -1216,8 +1903,18 @@ app.get('/api/admin/logs/errors', isAuthenticated, (req, res) => {
     }
 });
 
+// 0.1.9 Audit Trail (filters: actor, entity_type, from, to, limit, offset)
+app.get('/api/admin/audit', isAuthenticated, requirePermission('audit'), (req, res) => {
+    try {
+        const result = auditService.list(req.query || {});
+        res.json({ ...result, entity_types: auditService.getEntityTypes() });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // 0.2 Sales Reports
-app.get('/api/admin/sales', isAuthenticated, (req, res) => {
+app.get('/api/admin/sales', isAuthenticated, requirePermission('sales'), (req, res) => {
     const type = req.query.type || 'daily'; // daily, weekly, monthly, yearly
     let query = "";
     
@@ -1243,7 +1940,9 @@ app.get('/api/admin/sales', isAuthenticated, (req, res) => {
                  GROUP BY strftime('%Y', timestamp) ORDER BY label ASC`;
     } else if (type === 'history') {
         // Full History (Limit 500 for performance)
-        query = `SELECT * FROM sales ORDER BY timestamp DESC LIMIT 500`;
+        query = `SELECT s.*, p.name as promo_name FROM sales s
+                 LEFT JOIN promo_rules p ON p.id = s.promo_id
+                 ORDER BY s.timestamp DESC LIMIT 500`;
         const data = db.prepare(query).all();
         return res.json(data);
     }
@@ -1252,7 +1951,7 @@ app.get('/api/admin/sales', isAuthenticated, (req, res) => {
     res.json(data);
 });
 
-app.get('/api/admin/sales/by-device', isAuthenticated, (req, res) => {
+app.get('/api/admin/sales/by-device', isAuthenticated, requirePermission('coins_out'), (req, res) => {
     const type = req.query.type || 'daily';
     try {
         let rangeQuery = '';
@@ -1353,7 +2052,7 @@ app.get('/api/admin/sales/by-device', isAuthenticated, (req, res) => {
     }
 });
 
-app.post('/api/admin/sales/coins-out', isAuthenticated, (req, res) => {
+app.post('/api/admin/sales/coins-out', isAuthenticated, requirePermission('coins_out'), (req, res) => {
     console.log('[API] Coins Out Request:', req.body);
     try {
         const { source } = req.body || {};
@@ -1376,7 +2075,7 @@ app.post('/api/admin/sales/coins-out', isAuthenticated, (req, res) => {
 });
 
 // 0.4 Settings
-app.get('/api/admin/settings', isAuthenticated, (req, res) => {
+app.get('/api/admin/settings', isAuthenticated, requirePermission('settings'), (req, res) => {
     const allSettings = configService.getAll();
     const filteredSettings = { ...allSettings };
     const hiddenKeys = [
@@ -1392,17 +2091,131 @@ app.get('/api/admin/settings', isAuthenticated, (req, res) => {
     res.json(filteredSettings);
 });
 
-app.post('/api/admin/settings', isAuthenticated, (req, res) => {
+app.post('/api/admin/settings', isAuthenticated, requirePermission('settings'), (req, res) => {
     const settings = req.body; // Expect { key: value, ... }
+    const before = settingsSnapshot(Object.keys(settings));
     for (const [key, value] of Object.entries(settings)) {
         configService.set(key, value);
     }
+    const changes = auditService.diff(before, settingsSnapshot(Object.keys(settings)));
+    if (changes) audit(req, 'setting', 'update', Object.keys(changes.after).join(','), changes.before, changes.after);
     // Trigger re-init of services if needed
     coinService.initGpio();
     hardwareService.initRelay();
     res.json({ success: true });
 });
 
+// 0.4.0.1 Coin Acceptor Events (suspected tampering)
+app.get('/api/admin/coin-events', isAuthenticated, requirePermission('logs'), (req, res) => {
+    try {
+        res.json(pulseAnalyzerService.list({
+            classification: req.query.classification,
+            limit: req.query.limit,
+            offset: req.query.offset
+        }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 0.4.0.2 Coin Calibration Wizard
+app.get('/api/admin/coin-calibration', isAuthenticated, requirePermission('settings'), (req, res) => {
+    const slot = req.query.slot || coinSessionService.hardwareSlot;
+    if (!coinSlotExists(slot)) return res.status(404).json({ error: 'Unknown coin slot' });
+    res.json({ ...coinCalibrationService.getState(slot), simulation: coinService.isSimulation() });
+});
+
+app.post('/api/admin/coin-calibration/start', isAuthenticated, requirePermission('settings'), (req, res) => {
+    const slot = (req.body && req.body.slot) || coinSessionService.hardwareSlot;
+    if (!coinSlotExists(slot)) return res.status(404).json({ error: 'Unknown coin slot' });
+    if (coinSessionService.get(slot)) {
+        return res.status(409).json({ error: 'A customer is inserting coins at this slot. Try again when it is free.' });
+    }
+
+    const state = coinCalibrationService.start(slot);
+    if (slot === coinSessionService.hardwareSlot) hardwareService.setRelay(true);
+    console.log(`[Calibration] Started for ${slot}`);
+    res.json({ ...state, simulation: coinService.isSimulation() });
+});
+
+app.post('/api/admin/coin-calibration/stop', isAuthenticated, requirePermission('settings'), (req, res) => {
+    const slot = (req.body && req.body.slot) || coinSessionService.hardwareSlot;
+    const state = coinCalibrationService.stop(slot);
+    if (slot === coinSessionService.hardwareSlot && !coinSessionService.get(slot)) hardwareService.setRelay(false);
+    res.json(state);
+});
+
+app.post('/api/admin/coin-calibration/commit', isAuthenticated, requirePermission('settings'), (req, res) => {
+    const slot = (req.body && req.body.slot) || coinSessionService.hardwareSlot;
+    if (!coinSlotExists(slot)) return res.status(404).json({ error: 'Unknown coin slot' });
+    try {
+        const before = coinCalibrationService.getTable(slot);
+        const table = coinCalibrationService.commit(slot, req.body.denominations);
+        if (slot === coinSessionService.hardwareSlot && !coinSessionService.get(slot)) hardwareService.setRelay(false);
+        audit(req, 'coin_denominations', 'update', slot, before, table);
+        res.json({ success: true, table });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Synthetic pulses for testing the wizard without an acceptor (simulation mode only)
+app.post('/api/admin/coin-calibration/pulse', isAuthenticated, requirePermission('settings'), async (req, res) => {
+    const { slot = coinSessionService.hardwareSlot, pulses, kind = 'coin' } = req.body || {};
+    if (!coinService.isSimulation()) return res.status(409).json({ error: 'Synthetic pulses are only accepted in simulation mode' });
+    if (!coinSlotExists(slot)) return res.status(404).json({ error: 'Unknown coin slot' });
+    if (!coinCalibrationService.kinds.includes(kind)) return res.status(400).json({ error: 'Invalid kind' });
+
+    try {
+        if (slot === coinSessionService.hardwareSlot) {
+            await coinSimulatorService.run([{ kind, pulses }]);
+        } else {
+            const count = Math.trunc(Number(pulses));
+            if (!Number.isFinite(count) || count <= 0) throw new Error('pulses must be a positive number');
+            await handleCoinPulseEvent(count, slot, kind === 'bill' ? { coin: 0, bill: count } : { coin: count, bill: 0 });
+        }
+        res.json({ success: true, state: coinCalibrationService.getState(slot) });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// 0.4.0.3 Coin Pulse Simulator (simulation mode only)
+// Optionally opens a coin session for a test MAC first, so the whole
+// coin_pulse -> coin_pending_update -> finalize -> sales path can be exercised.
+app.post('/api/admin/coin-simulator', isAuthenticated, requirePermission('diagnostics'), async (req, res) => {
+    const { trains, mac, finalize = false } = req.body || {};
+    const slot = coinSessionService.hardwareSlot;
+
+    try {
+        let testMac = null;
+        if (mac) {
+            testMac = formatMac(String(mac));
+            if (!/^([0-9a-f]{2}:){5}[0-9a-f]{2}$/.test(testMac)) return res.status(400).json({ error: 'Invalid MAC address' });
+            if (coinSessionService.isBusy(slot, testMac)) return res.status(409).json({ error: 'Coinslot Busy Please Try again later' });
+            if (!coinService.isSimulation()) return res.status(409).json({ error: 'The coin simulator only runs in simulation mode (no GPIO)' });
+
+            const session = coinSessionService.start(slot, { mac: testMac, ip: null, clientId: null, selectionMode: 'auto' });
+            coinSessionService.setTimer(session, 60000, () => {
+                finalizeCoinSession(slot, 'timeout').catch(e => console.error('[Coin] Finalize error:', e));
+            });
+        }
+
+        const result = await coinSimulatorService.run(trains);
+
+        const session = testMac ? coinSessionService.get(slot) : null;
+        const pending = session && session.mac === testMac ? session.pendingAmount : null;
+        let finalized = null;
+        if (finalize && pending !== null) {
+            finalized = await finalizeCoinSession(slot, 'done');
+        }
+
+        res.json({ success: true, ...result, pending_amount: pending, finalized });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
 // 0.4.1 Portal Configuration
 app.get('/api/portal/config', (req, res) => {
     const config = {
@@ -1414,13 +2227,17 @@ app.get('/api/portal/config', (req, res) => {
         banner_filename: configService.get('portal_banner_filename'),
         use_default_banner: configService.get('portal_use_default_banner'),
         default_banner_file: configService.get('portal_default_banner_file'),
-        hide_voucher_code: configService.get('portal_hide_voucher_code')
+        hide_voucher_code: configService.get('portal_hide_voucher_code'),
+        shop_name: configService.get('portal_shop_name'),
+        logo_filename: configService.get('portal_logo_filename'),
+        logo_version: configService.get('portal_logo_version'),
+        public_url: configService.get('portal_public_url')
     };
     res.json(config);
 });
 
 // 0.5 PPPoE Server API
-app.get('/api/admin/pppoe/config', isAuthenticated, (req, res) => {
+app.get('/api/admin/pppoe/config', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
         const config = pppoeServerService.getConfig();
         res.json(config);
@@ -1429,16 +2246,18 @@ app.get('/api/admin/pppoe/config', isAuthenticated, (req, res) => {
     }
 });
 
-app.post('/api/admin/pppoe/config', isAuthenticated, (req, res) => {
+app.post('/api/admin/pppoe/config', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
+        const before = auditService.snapshot(pppoeServerService.getConfig());
         const config = pppoeServerService.saveConfig(req.body);
+        audit(req, 'pppoe_config', 'update', null, before, config);
         res.json({ success: true, config });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.get('/api/admin/pppoe/users', isAuthenticated, (req, res) => {
+app.get('/api/admin/pppoe/users', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
         const users = pppoeServerService.getUsers();
         res.json(users);
@@ -1447,49 +2266,65 @@ app.get('/api/admin/pppoe/users', isAuthenticated, (req, res) => {
     }
 });
 
-app.post('/api/admin/pppoe/users', isAuthenticated, (req, res) => {
+app.post('/api/admin/pppoe/users', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
         const user = pppoeServerService.addUser(req.body);
+        audit(req, 'pppoe_user', 'create', user.id, null, user);
         res.json({ success: true, user });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.put('/api/admin/pppoe/users/:id', isAuthenticated, (req, res) => {
+app.put('/api/admin/pppoe/users/:id', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
+        const before = pppoeServerService.getUser(req.params.id);
         const user = pppoeServerService.updateUser(req.params.id, req.body);
+        audit(req, 'pppoe_user', 'update', req.params.id, before, user);
         res.json({ success: true, user });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.delete('/api/admin/pppoe/users/:id', isAuthenticated, (req, res) => {
+app.delete('/api/admin/pppoe/users/:id', isAuthenticated, requirePermission('pppoe'), (req, res) => {
     try {
+        const before = pppoeServerService.getUser(req.params.id);
         pppoeServerService.deleteUser(req.params.id);
+        audit(req, 'pppoe_user', 'delete', req.params.id, before, null);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.post('/api/admin/portal-config', isAuthenticated, (req, res) => {
-    const { container_width, icon_size, status_container_size, banner_height, use_default_banner, default_banner_file, hide_voucher_code } = req.body;
+app.post('/api/admin/portal-config', isAuthenticated, requirePermission('settings'), (req, res) => {
+    const { container_width, icon_size, status_container_size, banner_height, use_default_banner, default_banner_file, hide_voucher_code, shop_name, public_url } = req.body;
+    const portalKeys = ['portal_container_width', 'portal_icon_size', 'portal_status_icon_container_size', 'portal_banner_height', 'portal_default_banner_file', 'portal_use_default_banner', 'portal_hide_voucher_code', 'portal_shop_name', 'portal_public_url'];
+    if (public_url && !/^https?:\/\/\S+$/i.test(String(public_url).trim())) {
+        return res.status(400).json({ error: 'Portal address must start with http:// or https://' });
+    }
+    const before = settingsSnapshot(portalKeys);
     if (container_width) configService.set('portal_container_width', container_width);
     if (icon_size) configService.set('portal_icon_size', icon_size);
     if (status_container_size) configService.set('portal_status_icon_container_size', status_container_size);
     if (banner_height) configService.set('portal_banner_height', banner_height);
     if (default_banner_file) configService.set('portal_default_banner_file', default_banner_file);
+    // Printed on vouchers; empty = default
+    if (shop_name !== undefined) configService.set('portal_shop_name', String(shop_name).trim());
+    if (public_url !== undefined) configService.set('portal_public_url', String(public_url).trim());
     
     // Boolean setting
     configService.set('portal_use_default_banner', !!use_default_banner);
     configService.set('portal_hide_voucher_code', !!hide_voucher_code);
+
+    const changes = auditService.diff(before, settingsSnapshot(portalKeys));
+    if (changes) audit(req, 'portal_config', 'update', null, changes.before, changes.after);
     
     res.json({ success: true });
 });
 
-app.post('/api/admin/upload-banner', isAuthenticated, (req, res) => {
+app.post('/api/admin/upload-banner', isAuthenticated, requirePermission('settings'), (req, res) => {
     const { image, type } = req.body;
     if (!image || !type) return res.status(400).json({ error: 'Missing image data' });
     
@@ -1503,6 +2338,7 @@ app.post('/api/admin/upload-banner', isAuthenticated, (req, res) => {
         fs.writeFileSync(filepath, buffer);
         configService.set('portal_banner_version', Date.now()); // Force refresh
         configService.set('portal_banner_filename', filename);
+        audit(req, 'portal_config', 'update', 'banner', null, { portal_banner_filename: filename, bytes: buffer.length });
         
         res.json({ success: true });
     } catch (e) {
@@ -1511,8 +2347,39 @@ app.post('/api/admin/upload-banner', isAuthenticated, (req, res) => {
     }
 });
 
+// Shop logo for printed vouchers
+app.post('/api/admin/upload-logo', isAuthenticated, requirePermission('settings'), (req, res) => {
+    const { image, type } = req.body;
+    if (!image || !type) return res.status(400).json({ error: 'Missing image data' });
+
+    try {
+        const base64Data = image.replace(/^data:image\/\w+;base64,/, "");
+        const buffer = Buffer.from(base64Data, 'base64');
+        const ext = type === 'image/png' ? 'png' : 'jpg';
+        const filename = `custom-logo.${ext}`;
+        const filepath = path.join(__dirname, '../public', filename);
+
+        fs.writeFileSync(filepath, buffer);
+        configService.set('portal_logo_version', Date.now());
+        configService.set('portal_logo_filename', filename);
+        audit(req, 'portal_config', 'update', 'logo', null, { portal_logo_filename: filename, bytes: buffer.length });
+
+        res.json({ success: true, filename });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Failed to save logo' });
+    }
+});
+
+app.delete('/api/admin/upload-logo', isAuthenticated, requirePermission('settings'), (req, res) => {
+    const before = configService.get('portal_logo_filename');
+    configService.set('portal_logo_filename', '');
+    if (before) audit(req, 'portal_config', 'update', 'logo', { portal_logo_filename: before }, { portal_logo_filename: null });
+    res.json({ success: true });
+});
 
-app.get('/api/admin/walled-garden', isAuthenticated, (req, res) => {
+
+app.get('/api/admin/walled-garden', isAuthenticated, requirePermission('network'), (req, res) => {
     try {
         const list = walledGardenService.getAll();
         res.json(list);
@@ -1521,21 +2388,24 @@ app.get('/api/admin/walled-garden', isAuthenticated, (req, res) => {
     }
 });
 
-app.post('/api/admin/walled-garden', isAuthenticated, async (req, res) => {
+app.post('/api/admin/walled-garden', isAuthenticated, requirePermission('network'), async (req, res) => {
     const { domain, type } = req.body;
     if (!domain || !type) return res.status(400).json({ error: 'Domain and Type are required' });
     
     try {
         const entry = await walledGardenService.add(domain, type);
+        audit(req, 'walled_garden', 'create', entry && entry.id, null, entry);
         res.json({ success: true, entry });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.delete('/api/admin/walled-garden/:id', isAuthenticated, (req, res) => {
+app.delete('/api/admin/walled-garden/:id', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
-        const success = walledGardenService.remove(req.params.id);
+        const before = db.prepare('SELECT * FROM walled_garden WHERE id = ?').get(req.params.id);
+        const success = await walledGardenService.remove(req.params.id);
+        if (success) audit(req, 'walled_garden', 'delete', req.params.id, before, null);
         res.json({ success });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -1545,19 +2415,21 @@ app.delete('/api/admin/walled-garden/:id', isAuthenticated, (req, res) => {
 // --- Sub Vendo API ---
 
 // 1. Get Key
-app.get('/api/admin/subvendo/key', isAuthenticated, (req, res) => {
+app.get('/api/admin/subvendo/key', isAuthenticated, requirePermission('settings'), (req, res) => {
     const key = configService.get('sub_vendo_key') || '';
     res.json({ key });
 });
 
 // 2. Set Key
-app.post('/api/admin/subvendo/key', isAuthenticated, (req, res) => {
+app.post('/api/admin/subvendo/key', isAuthenticated, requirePermission('settings'), (req, res) => {
     const { key } = req.body;
+    const before = settingsSnapshot(['sub_vendo_key']);
     configService.set('sub_vendo_key', key || '');
+    audit(req, 'setting', 'update', 'sub_vendo_key', before, { sub_vendo_key: key || '' });
     res.json({ success: true });
 });
 
-app.get('/api/admin/subvendo/free-time', isAuthenticated, (req, res) => {
+app.get('/api/admin/subvendo/free-time', isAuthenticated, requirePermission('settings'), (req, res) => {
     try {
         const raw = configService.get('sub_vendo_free_time');
         const cfg = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
@@ -1567,11 +2439,12 @@ app.get('/api/admin/subvendo/free-time', isAuthenticated, (req, res) => {
     }
 });
 
-app.post('/api/admin/subvendo/free-time', isAuthenticated, (req, res) => {
+app.post('/api/admin/subvendo/free-time', isAuthenticated, requirePermission('settings'), (req, res) => {
     try {
         const body = req.body || {};
         const raw = configService.get('sub_vendo_free_time');
         const cfg = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+        const before = auditService.snapshot(cfg);
         const vlans = networkConfigService.getVlans() || [];
 
         Object.keys(body).forEach(key => {
@@ -1607,6 +2480,7 @@ app.post('/api/admin/subvendo/free-time', isAuthenticated, (req, res) => {
         });
 
         configService.set('sub_vendo_free_time', cfg);
+        audit(req, 'subvendo_free_time', 'update', null, before, cfg);
         res.json({ success: true, config: cfg });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -1614,7 +2488,7 @@ app.post('/api/admin/subvendo/free-time', isAuthenticated, (req, res) => {
 });
 
 // 3. List Devices
-app.get('/api/admin/subvendo/devices', isAuthenticated, (req, res) => {
+app.get('/api/admin/subvendo/devices', isAuthenticated, requirePermission('subvendo', 'coins_out'), (req, res) => {
     try {
         const devices = db.prepare('SELECT * FROM sub_vendo_devices ORDER BY created_at DESC').all();
         const now = Date.now();
@@ -1672,7 +2546,7 @@ app.get('/api/admin/subvendo/devices', isAuthenticated, (req, res) => {
 });
 
 // 3.1 Coins Out
-app.post('/api/admin/subvendo/devices/:id/coins-out', isAuthenticated, (req, res) => {
+app.post('/api/admin/subvendo/devices/:id/coins-out', isAuthenticated, requirePermission('coins_out'), (req, res) => {
     try {
         const id = req.params.id;
         db.prepare("UPDATE sub_vendo_devices SET last_coins_out_at = datetime('now', 'localtime') WHERE id = ?").run(id);
@@ -1683,9 +2557,11 @@ app.post('/api/admin/subvendo/devices/:id/coins-out', isAuthenticated, (req, res
 });
 
 // 4. Delete Device
-app.delete('/api/admin/subvendo/devices/:id', isAuthenticated, (req, res) => {
+app.delete('/api/admin/subvendo/devices/:id', isAuthenticated, requirePermission('subvendo'), (req, res) => {
     try {
+        const before = db.prepare('SELECT * FROM sub_vendo_devices WHERE id = ?').get(req.params.id);
         db.prepare('DELETE FROM sub_vendo_devices WHERE id = ?').run(req.params.id);
+        if (before) audit(req, 'subvendo_device', 'delete', req.params.id, before, null);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -1693,7 +2569,7 @@ app.delete('/api/admin/subvendo/devices/:id', isAuthenticated, (req, res) => {
 });
 
 // 4.1 Update Device
-app.put('/api/admin/subvendo/devices/:id', isAuthenticated, (req, res) => {
+app.put('/api/admin/subvendo/devices/:id', isAuthenticated, requirePermission('subvendo'), (req, res) => {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
 
@@ -1717,6 +2593,7 @@ app.put('/api/admin/subvendo/devices/:id', isAuthenticated, (req, res) => {
     if (pesoPerPulse != null && (pesoPerPulse < 1 || pesoPerPulse > 100)) return res.status(400).json({ error: 'Invalid vendo rate' });
 
     try {
+        const before = db.prepare('SELECT * FROM sub_vendo_devices WHERE id = ?').get(id);
         db.prepare(`
             UPDATE sub_vendo_devices
             SET name = COALESCE(?, name),
@@ -1730,13 +2607,14 @@ app.put('/api/admin/subvendo/devices/:id', isAuthenticated, (req, res) => {
         `).run(name, description, coinPin, relayPin, pesoPerPulse, downloadSpeed, uploadSpeed, id);
 
         const device = db.prepare('SELECT * FROM sub_vendo_devices WHERE id = ?').get(id);
+        if (before) audit(req, 'subvendo_device', 'update', id, before, device);
         res.json({ success: true, device });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.get('/api/admin/subvendo/devices/:id/rates', isAuthenticated, (req, res) => {
+app.get('/api/admin/subvendo/devices/:id/rates', isAuthenticated, requirePermission('rates'), (req, res) => {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
     try {
@@ -1752,7 +2630,7 @@ app.get('/api/admin/subvendo/devices/:id/rates', isAuthenticated, (req, res) =>
     }
 });
 
-app.put('/api/admin/subvendo/devices/:id/rates', isAuthenticated, (req, res) => {
+app.put('/api/admin/subvendo/devices/:id/rates', isAuthenticated, requirePermission('rates'), (req, res) => {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
     const body = req.body || {};
@@ -1760,6 +2638,7 @@ app.put('/api/admin/subvendo/devices/:id/rates', isAuthenticated, (req, res) =>
     try {
         const device = db.prepare('SELECT id FROM sub_vendo_devices WHERE id = ?').get(id);
         if (!device) return res.status(404).json({ error: 'Device not found' });
+        const before = db.prepare('SELECT rate_id FROM sub_vendo_device_rates WHERE device_id = ? AND visible = 1').all(id).map(x => x.rate_id);
         db.prepare('DELETE FROM sub_vendo_device_rates WHERE device_id = ?').run(id);
         const stmt = db.prepare('INSERT INTO sub_vendo_device_rates (device_id, rate_id, visible) VALUES (?, ?, 1)');
         for (const rid of visibleRateIds) {
@@ -1767,6 +2646,7 @@ app.put('/api/admin/subvendo/devices/:id/rates', isAuthenticated, (req, res) =>
             if (r) stmt.run(id, rid);
         }
         const vis = db.prepare('SELECT rate_id FROM sub_vendo_device_rates WHERE device_id = ? AND visible = 1').all(id);
+        audit(req, 'subvendo_device_rates', 'update', id, { visible_rate_ids: before }, { visible_rate_ids: vis.map(x => x.rate_id) });
         res.json({ success: true, visible_rate_ids: vis.map(x => x.rate_id) });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -1846,7 +2726,7 @@ app.post('/api/subvendo/pulse', (req, res) => {
 
         const pesoPerPulse = Number(device.peso_per_pulse) > 0 ? Number(device.peso_per_pulse) : 1;
         const amount = count * pesoPerPulse;
-        handleCoinPulseEvent(amount, `subvendo:${device_id}`).catch(() => {});
+        handleCoinPulseEvent(amount, `subvendo:${device_id}`, { coin: count, bill: 0 }).catch(() => {});
 
         res.json({ success: true, pulses: count, amount });
     } catch (e) {
@@ -1856,13 +2736,13 @@ app.post('/api/subvendo/pulse', (req, res) => {
 });
 
 // 0.5 Network Stats (Existing)
-app.get('/api/admin/network-stats', isAuthenticated, async (req, res) => {
+app.get('/api/admin/network-stats', isAuthenticated, requirePermission('dashboard'), async (req, res) => {
     const stats = await monitoringService.getInterfaceStats();
     res.json(stats);
 });
 
 // 0.5.1 QoS Configuration
-app.get('/api/admin/qos/config', isAuthenticated, (req, res) => {
+app.get('/api/admin/qos/config', isAuthenticated, requirePermission('qos'), (req, res) => {
     res.json({
         default_download_speed: configService.get('default_download_speed') || 5120,
         default_upload_speed: configService.get('default_upload_speed') || 1024,
@@ -1870,8 +2750,10 @@ app.get('/api/admin/qos/config', isAuthenticated, (req, res) => {
     });
 });
 
-app.post('/api/admin/qos/config', isAuthenticated, async (req, res) => {
+app.post('/api/admin/qos/config', isAuthenticated, requirePermission('qos'), async (req, res) => {
     const { default_download_speed, default_upload_speed, qos_mode } = req.body;
+    const qosKeys = ['default_download_speed', 'default_upload_speed', 'qos_mode'];
+    const before = settingsSnapshot(qosKeys);
     if (default_download_speed) configService.set('default_download_speed', default_download_speed);
     if (default_upload_speed) configService.set('default_upload_speed', default_upload_speed);
     
@@ -1880,25 +2762,31 @@ app.post('/api/admin/qos/config', isAuthenticated, async (req, res) => {
         // Apply Mode
         await bandwidthService.setMode(qos_mode);
     }
+
+    const changes = auditService.diff(before, settingsSnapshot(qosKeys));
+    if (changes) audit(req, 'qos', 'update', null, changes.before, changes.after);
     
     res.json({ success: true });
 });
 
-app.post('/api/admin/qos/rage', isAuthenticated, (req, res) => {
+app.post('/api/admin/qos/rage', isAuthenticated, requirePermission('qos'), (req, res) => {
     // 5 minutes default
     bandwidthService.triggerRageMode(300);
+    audit(req, 'qos', 'update', 'rage_mode', null, { rage_mode_seconds: 300 });
     res.json({ success: true, message: "Rage Mode Activated!" });
 });
 
-app.post('/api/admin/qos/limit', isAuthenticated, async (req, res) => {
+app.post('/api/admin/qos/limit', isAuthenticated, requirePermission('qos'), async (req, res) => {
     const { ip, download_speed, upload_speed } = req.body;
     if (!ip) return res.status(400).json({ error: 'IP Address is required' });
 
     try {
         // Update DB
+        const before = db.prepare('SELECT mac_address, download_speed, upload_speed FROM users WHERE ip_address = ?').get(ip);
         const result = db.prepare('UPDATE users SET download_speed = ?, upload_speed = ? WHERE ip_address = ?').run(download_speed, upload_speed, ip);
         
         if (result.changes > 0) {
+            audit(req, 'qos_limit', 'update', ip, before, { mac_address: before && before.mac_address, download_speed, upload_speed });
             // Apply immediately
             await bandwidthService.setLimit(ip, download_speed, upload_speed);
             res.json({ success: true });
@@ -1914,7 +2802,7 @@ app.post('/api/admin/qos/limit', isAuthenticated, async (req, res) => {
 
 
 // 0.6 Network Configuration
-app.get('/api/admin/network/status', isAuthenticated, async (req, res) => {
+app.get('/api/admin/network/status', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
         const isOnline = await networkService.checkInternetConnection();
         res.json({ online: isOnline });
@@ -1923,13 +2811,15 @@ app.get('/api/admin/network/status', isAuthenticated, async (req, res) => {
     }
 });
 
-app.get('/api/admin/network/wan', isAuthenticated, (req, res) => {
+app.get('/api/admin/network/wan', isAuthenticated, requirePermission('network'), (req, res) => {
     res.json(networkConfigService.getWanConfig());
 });
 
-app.post('/api/admin/network/wan', isAuthenticated, async (req, res) => {
+app.post('/api/admin/network/wan', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
+        const before = auditService.snapshot(networkConfigService.getWanConfig());
         await networkConfigService.setWanConfig(req.body);
+        audit(req, 'network_wan', 'update', null, before, networkConfigService.getWanConfig());
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: "Failed to save WAN configuration" });
@@ -1937,12 +2827,12 @@ app.post('/api/admin/network/wan', isAuthenticated, async (req, res) => {
 });
 
 // ZeroTier
-app.get('/api/admin/network/zerotier', isAuthenticated, async (req, res) => {
+app.get('/api/admin/network/zerotier', isAuthenticated, requirePermission('network'), async (req, res) => {
     const status = await networkService.getZeroTierStatus();
     res.json(status);
 });
 
-app.post('/api/admin/network/zerotier/join', isAuthenticated, async (req, res) => {
+app.post('/api/admin/network/zerotier/join', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
         const { networkId } = req.body;
         const success = await networkService.joinZeroTier(networkId);
@@ -1953,7 +2843,7 @@ app.post('/api/admin/network/zerotier/join', isAuthenticated, async (req, res) =
     }
 });
 
-app.post('/api/admin/network/zerotier/leave', isAuthenticated, async (req, res) => {
+app.post('/api/admin/network/zerotier/leave', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
         const { networkId } = req.body;
         const success = await networkService.leaveZeroTier(networkId);
@@ -1964,29 +2854,34 @@ app.post('/api/admin/network/zerotier/leave', isAuthenticated, async (req, res)
     }
 });
 
-app.get('/api/admin/network/vlans', isAuthenticated, (req, res) => {
+app.get('/api/admin/network/vlans', isAuthenticated, requirePermission('network'), (req, res) => {
     res.json(networkConfigService.getVlans());
 });
 
-app.post('/api/admin/network/vlans', isAuthenticated, async (req, res) => {
+app.post('/api/admin/network/vlans', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
+        const existing = new Set(networkConfigService.getVlans().map(v => v.id));
         await networkConfigService.addVlan(req.body);
+        const created = networkConfigService.getVlans().find(v => !existing.has(v.id)) || req.body;
+        audit(req, 'vlan', 'create', created.id, null, created);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: "Failed to add VLAN" });
     }
 });
 
-app.delete('/api/admin/network/vlans/:id', isAuthenticated, async (req, res) => {
+app.delete('/api/admin/network/vlans/:id', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
-        await networkConfigService.removeVlan(req.params.id);
+        const before = auditService.snapshot(networkConfigService.getVlans().find(v => v.id === req.params.id));
+        const removed = await networkConfigService.removeVlan(req.params.id);
+        if (removed) audit(req, 'vlan', 'delete', req.params.id, before, null);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: "Failed to remove VLAN" });
     }
 });
 
-app.get('/api/admin/network/dhcp', isAuthenticated, (req, res) => {
+app.get('/api/admin/network/dhcp', isAuthenticated, requirePermission('network'), (req, res) => {
     try {
         const cfg = networkConfigService.getDhcpConfig();
         res.json({
@@ -1999,27 +2894,36 @@ app.get('/api/admin/network/dhcp', isAuthenticated, (req, res) => {
     }
 });
 
-app.post('/api/admin/network/dhcp', isAuthenticated, async (req, res) => {
+app.post('/api/admin/network/dhcp', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
+        const cfg = networkConfigService.getDhcpConfig();
+        const before = { bitmask: cfg.bitmask, maxServers: cfg.maxServers };
         await networkConfigService.setDhcpGlobals(req.body || {});
+        const after = networkConfigService.getDhcpConfig();
+        audit(req, 'dhcp', 'update', null, before, { bitmask: after.bitmask, maxServers: after.maxServers });
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.post('/api/admin/network/dhcp/servers', isAuthenticated, async (req, res) => {
+app.post('/api/admin/network/dhcp/servers', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
+        const existing = new Set((networkConfigService.getDhcpConfig().servers || []).map(s => s.id));
         await networkConfigService.addDhcpServer(req.body || {});
+        const created = (networkConfigService.getDhcpConfig().servers || []).find(s => !existing.has(s.id)) || req.body;
+        audit(req, 'dhcp_server', 'create', created.id, null, created);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.delete('/api/admin/network/dhcp/servers/:id', isAuthenticated, async (req, res) => {
+app.delete('/api/admin/network/dhcp/servers/:id', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
+        const before = auditService.snapshot((networkConfigService.getDhcpConfig().servers || []).find(s => String(s.id) === String(req.params.id)));
         await networkConfigService.removeDhcpServer(req.params.id);
+        audit(req, 'dhcp_server', 'delete', req.params.id, before, null);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -2027,7 +2931,7 @@ app.delete('/api/admin/network/dhcp/servers/:id', isAuthenticated, async (req, r
 });
 
 // Bridge Configuration
-app.get('/api/admin/network/bridges', isAuthenticated, (req, res) => {
+app.get('/api/admin/network/bridges', isAuthenticated, requirePermission('network'), (req, res) => {
     try {
         const bridges = networkConfigService.getBridges();
         res.json(bridges);
@@ -2037,27 +2941,33 @@ app.get('/api/admin/network/bridges', isAuthenticated, (req, res) => {
     }
 });
 
-app.post('/api/admin/network/bridges', isAuthenticated, async (req, res) => {
+app.post('/api/admin/network/bridges', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
         await networkConfigService.addBridge(req.body);
+        audit(req, 'bridge', 'create', req.body.name, null, networkConfigService.getBridges().find(b => b.name === req.body.name));
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.put('/api/admin/network/bridges/:name', isAuthenticated, async (req, res) => {
+app.put('/api/admin/network/bridges/:name', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
+        const before = auditService.snapshot(networkConfigService.getBridges().find(b => b.name === req.params.name));
         await networkConfigService.updateBridge(req.params.name, req.body);
+        const newName = (req.body && req.body.name) || req.params.name;
+        audit(req, 'bridge', 'update', req.params.name, before, networkConfigService.getBridges().find(b => b.name === newName));
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.delete('/api/admin/network/bridges/:name', isAuthenticated, async (req, res) => {
+app.delete('/api/admin/network/bridges/:name', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
+        const before = auditService.snapshot(networkConfigService.getBridges().find(b => b.name === req.params.name));
         await networkConfigService.removeBridge(req.params.name);
+        audit(req, 'bridge', 'delete', req.params.name, before, null);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -2065,7 +2975,7 @@ app.delete('/api/admin/network/bridges/:name', isAuthenticated, async (req, res)
 });
 
 // 0.7 Firewall / AdBlock Configuration
-app.get('/api/admin/firewall/rules', isAuthenticated, (req, res) => {
+app.get('/api/admin/firewall/rules', isAuthenticated, requirePermission('network'), (req, res) => {
     try {
         const rules = firewallService.getRules();
         res.json(rules);
@@ -2074,21 +2984,24 @@ app.get('/api/admin/firewall/rules', isAuthenticated, (req, res) => {
     }
 });
 
-app.post('/api/admin/firewall/rules', isAuthenticated, async (req, res) => {
+app.post('/api/admin/firewall/rules', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
         const { port, protocol, comment } = req.body;
         if (!port) return res.status(400).json({ error: "Port is required" });
         
         const rule = await firewallService.addRule(port, protocol || 'BOTH', comment || '');
+        audit(req, 'firewall_rule', 'create', rule && rule.id, null, rule);
         res.json({ success: true, rule });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-app.delete('/api/admin/firewall/rules/:id', isAuthenticated, async (req, res) => {
+app.delete('/api/admin/firewall/rules/:id', isAuthenticated, requirePermission('network'), async (req, res) => {
     try {
+        const before = db.prepare('SELECT * FROM firewall_rules WHERE id = ?').get(req.params.id);
         const success = await firewallService.removeRule(req.params.id);
+        if (success) audit(req, 'firewall_rule', 'delete', req.params.id, before, null);
         if (success) res.json({ success: true });
         else res.status(404).json({ error: "Rule not found" });
     } catch (e) {
@@ -2097,7 +3010,7 @@ app.delete('/api/admin/firewall/rules/:id', isAuthenticated, async (req, res) =>
 });
 
 // 1. Dashboard Data
-app.get('/api/admin/system/verify', isAuthenticated, async (req, res) => {
+app.get('/api/admin/system/verify', isAuthenticated, requirePermission('diagnostics'), async (req, res) => {
     try {
         const results = await systemService.verifyConfiguration();
         res.json(results);
@@ -2106,7 +3019,7 @@ app.get('/api/admin/system/verify', isAuthenticated, async (req, res) => {
     }
 });
 
-app.get('/api/admin/dashboard', isAuthenticated, async (req, res) => {
+app.get('/api/admin/dashboard', isAuthenticated, requirePermission('dashboard'), async (req, res) => {
     try {
         // Sales
         const startOfDay = new Date(); startOfDay.setHours(0,0,0,0);
@@ -2164,6 +3077,10 @@ app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, '../public', 'admin.html'));
 });
 
+app.get('/reseller', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public', 'reseller.html'));
+});
+
 // 3. Client API Endpoints (Used by portal.html)
 
 // Get Status
@@ -2190,8 +3107,10 @@ app.get('/api/status', async (req, res) => {
         sessionService.updateActivity(mac);
     }
 
-    const pendingAmount = currentCoinUser && formatMac(currentCoinUser.mac) === mac ? (Number(currentCoinUser.pendingAmount) || 0) : 0;
-    const pendingMinutes = pendingAmount > 0 ? (Number(calculateTimeFromRates(pendingAmount, currentCoinUser.clientId).minutes) || 0) : 0;
+    const coinSession = coinSessionService.findByMac(mac);
+    const pendingAmount = coinSession ? (Number(coinSession.pendingAmount) || 0) : 0;
+    const pendingTime = pendingAmount > 0 ? calculateCoinTime(pendingAmount, coinSession.clientId, coinSession.slot, coinSessionService.startedAt(coinSession)) : null;
+    const pendingMinutes = pendingTime ? (Number(pendingTime.minutes) || 0) : 0;
 
     if (user && !user.user_code) {
         try {
@@ -2204,7 +3123,8 @@ app.get('/api/status', async (req, res) => {
     }
 
     const vendoMode = configService.get('vendo_selection_mode') || 'auto';
-    let availableVendos = [{ id: 'hardware', name: 'Main Vendo', is_online: true }];
+    const loyaltySettings = loyaltyService.getSettings();
+    let availableVendos = [{ id: 'hardware', name: 'Main Vendo', is_online: true, in_use: coinSessionService.isBusy('hardware', mac) }];
     try {
         const subs = db.prepare('SELECT device_id, name, status, last_active_at FROM sub_vendo_devices ORDER BY created_at DESC').all();
         const now = new Date();
@@ -2227,6 +3147,7 @@ app.get('/api/status', async (req, res) => {
                 name: s.name || `Device ${s.device_id}`,
                 status: s.status || null,
                 is_online: isOnline,
+                in_use: coinSessionService.isBusy(`subvendo:${s.device_id}`, mac),
                 last_seen: s.last_active_at
             };
         }));
@@ -2234,9 +3155,10 @@ app.get('/api/status', async (req, res) => {
         console.error('Error fetching vendos:', e);
     }
 
-    const activeCoinSession = (currentCoinUser && formatMac(currentCoinUser.mac) === mac) ? {
-        selection_mode: currentCoinUser.selectionMode || null,
-        target_device_id: currentCoinUser.targetDeviceId || null
+    const activeCoinSession = coinSession ? {
+        slot: coinSession.slot,
+        selection_mode: coinSession.selectionMode || null,
+        target_device_id: coinSession.selectionMode === 'manual' ? coinSession.slot : null
     } : null;
 
     let freeTime = null;
@@ -2301,10 +3223,23 @@ app.get('/api/status', async (req, res) => {
         ip: ip || null,
         session_code: user ? user.user_code : null,
         time_remaining: user ? user.time_remaining : 0,
+        data_remaining: user && dataPlanService.isCapped(user) ? Math.max(0, user.data_remaining) : null,
+        data_exhausted: dataPlanService.isExhausted(user),
+        fair_use: fairUseService.status(user),
+        access_schedule: accessScheduleService.status(user),
+        lapsing_time: user && user.time_expires_at && user.expiring_seconds > 0 && user.time_remaining > 0 ? {
+            seconds: Math.min(user.expiring_seconds, user.time_remaining),
+            expires_at: String(user.time_expires_at).replace(' ', 'T') + 'Z'
+        } : null,
         is_paused: user ? user.is_paused : 0,
         is_connected: user ? user.is_connected : 0,
         pending_amount: pendingAmount,
         pending_minutes: pendingMinutes,
+        pending_data_mb: pendingTime ? pendingTime.data_mb : 0,
+        pending_bonus_minutes: pendingTime ? pendingTime.bonus_minutes : 0,
+        pending_promo: pendingTime && pendingTime.promo ? pendingTime.promo.name : null,
+        loyalty_points: loyaltySettings.enabled && user ? loyaltyService.getBalance(user.user_code) : null,
+        time_transfer: timeTransferService.getSettings().enabled ? { has_pin: timeTransferService.hasPin(user) } : null,
         status: user && user.time_remaining > 0 ? 'active' : 'expired',
         vendo_mode: vendoMode,
         available_vendos: availableVendos,
@@ -2386,6 +3321,12 @@ app.post('/api/session/restore', async (req, res) => {
     if (user.time_remaining <= 0) {
          return res.json({ success: false, error: 'Session Expired' });
     }
+    if (dataPlanService.isExhausted(user)) {
+         return res.json({ success: false, error: 'Data allowance used up. Buy more data to continue.' });
+    }
+    if (!accessScheduleService.isOpen(user)) {
+         return res.json({ success: false, error: accessScheduleService.closedReason(user) });
+    }
 
     // 3. Restore Access
     await networkService.allowUser(user.mac_address);
@@ -2393,7 +3334,8 @@ app.post('/api/session/restore', async (req, res) => {
     // Update IP & QoS
     if (ip) {
         db.prepare('UPDATE users SET ip_address = ?, is_connected = 1, is_paused = 0, last_active_at = CURRENT_TIMESTAMP, last_traffic_at = CURRENT_TIMESTAMP WHERE id = ?').run(ip, user.id);
-        await bandwidthService.setLimit(ip, user.download_speed, user.upload_speed);
+        const speeds = fairUseService.speedsFor(user);
+        await bandwidthService.setLimit(ip, speeds.download, speeds.upload);
     }
     
     // Ensure cookie is set (syncs cookie with deviceId if missing)
@@ -2428,14 +3370,16 @@ app.post('/api/coin-inserted', async (req, res) => {
         }
     }
 
+    // Pass device ID (database ID) if available for rate calculation
+    const best = calculateCoinTime(amount, svDevice ? svDevice.id : null, source);
+
     try {
-        db.prepare('INSERT INTO sales (amount, mac_address, source) VALUES (?, ?, ?)').run(amount, mac, source);
+        db.prepare('INSERT INTO sales (amount, mac_address, source, promo_id, bonus_minutes) VALUES (?, ?, ?, ?, ?)')
+          .run(amount, mac, source, best.promo ? best.promo.id : null, best.bonus_minutes);
     } catch (err) {
         console.error('[Sales] Error recording sale:', err);
     }
 
-    // Pass device ID (database ID) if available for rate calculation
-    const best = calculateTimeFromRates(amount, svDevice ? svDevice.id : null);
     const minutesToAdd = Number(best.minutes) || 0;
     const secondsToAdd = minutesToAdd * 60;
 
@@ -2455,39 +3399,161 @@ app.post('/api/coin-inserted', async (req, res) => {
         if (svDevice.upload_speed != null) uploadSpeed = svDevice.upload_speed;
     }
 
-    if (user) {
-        db.prepare(`
-            UPDATE users 
-            SET time_remaining = time_remaining + ?, 
-                total_time = total_time + ?,
-                upload_speed = COALESCE(?, upload_speed), 
-                download_speed = COALESCE(?, download_speed),
-                is_paused = 0,
-                is_connected = 1,
-                last_active_at = CURRENT_TIMESTAMP,
-                last_traffic_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `).run(secondsToAdd, secondsToAdd, uploadSpeed, downloadSpeed, user.id);
-    } else {
-        db.prepare(`
-            INSERT INTO users (mac_address, time_remaining, total_time, upload_speed, download_speed, is_paused, is_connected, last_active_at, last_traffic_at) 
-            VALUES (?, ?, ?, ?, ?, 0, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        `).run(mac, secondsToAdd, secondsToAdd, uploadSpeed, downloadSpeed);
+    const dataRemaining = dataPlanService.nextRemaining(user, best.data_mb);
+    const schedule = accessScheduleService.nextSchedule(user, best);
+    if (user) {
+        db.prepare(`
+            UPDATE users 
+            SET time_remaining = time_remaining + ?, 
+                total_time = total_time + ?,
+                data_remaining = ?,
+                upload_speed = COALESCE(?, upload_speed), 
+                download_speed = COALESCE(?, download_speed),
+                fup_threshold_mb = ?,
+                fup_download_speed = ?,
+                fup_upload_speed = ?,
+                fup_throttled = 0,
+                access_start_time = ?,
+                access_end_time = ?,
+                access_days = ?,
+                is_paused = 0,
+                is_connected = 1,
+                last_active_at = CURRENT_TIMESTAMP,
+                last_traffic_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(secondsToAdd, secondsToAdd, dataRemaining, uploadSpeed, downloadSpeed,
+               best.fup_threshold_mb, best.fup_download_speed, best.fup_upload_speed,
+               schedule.access_start_time, schedule.access_end_time, schedule.access_days, user.id);
+    } else {
+        db.prepare(`
+            INSERT INTO users (mac_address, time_remaining, total_time, data_remaining, upload_speed, download_speed, fup_threshold_mb, fup_download_speed, fup_upload_speed, access_start_time, access_end_time, access_days, is_paused, is_connected, last_active_at, last_traffic_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `).run(mac, secondsToAdd, secondsToAdd, dataRemaining, uploadSpeed, downloadSpeed,
+               best.fup_threshold_mb, best.fup_download_speed, best.fup_upload_speed,
+               schedule.access_start_time, schedule.access_end_time, schedule.access_days);
+    }
+
+    try {
+        db.prepare('UPDATE users SET user_code = ? WHERE lower(mac_address) = lower(?) AND user_code IS NULL').run(generateUniqueUserCode(), mac);
+        const owner = db.prepare('SELECT user_code FROM users WHERE lower(mac_address) = lower(?)').get(mac);
+        loyaltyService.earn({ userCode: owner && owner.user_code, mac, amount, source });
+    } catch (e) {
+        console.error('[Loyalty] Error crediting points:', e);
+    }
+
+    // Outside the plan's access window the time is kept: the device stays blocked and the session monitor pauses it until the window opens
+    const accessNotice = accessScheduleService.closedReason(schedule);
+    if (!accessNotice) {
+        networkService.allowUser(mac);
+
+        // Apply speed immediately if user has an IP (Connected)
+        try {
+            const currentUser = db.prepare('SELECT ip_address FROM users WHERE mac_address = ?').get(mac);
+            if (currentUser && currentUser.ip_address) {
+                 await bandwidthService.setLimit(currentUser.ip_address, downloadSpeed, uploadSpeed);
+            }
+        } catch (e) {
+            console.error('[Coin] Error applying speed:', e);
+        }
+    }
+
+    res.json({ success: true, amount, minutesAdded: minutesToAdd, secondsAdded: secondsToAdd, dataMb: best.data_mb, bonusMinutes: best.bonus_minutes, access_notice: accessNotice });
+});
+
+// Loyalty Points: balance, conversion and recent activity for the portal
+app.get('/api/loyalty', (req, res) => {
+    const settings = loyaltyService.getSettings();
+    const user = req.user;
+    const userCode = user ? user.user_code : null;
+    const balance = loyaltyService.getBalance(userCode);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        enabled: settings.enabled,
+        user_code: userCode,
+        balance,
+        points_per_peso: settings.pointsPerPeso,
+        minutes_per_point: settings.minutesPerPoint,
+        min_redeem_points: settings.minRedeemPoints,
+        redeemable_minutes: balance >= settings.minRedeemPoints ? Math.floor(Math.floor(balance) * settings.minutesPerPoint) : 0,
+        history: settings.enabled ? loyaltyService.history(userCode) : []
+    });
+});
+
+// Loyalty Points: redeem for free minutes
+app.post('/api/loyalty/redeem', async (req, res) => {
+    const user = req.user;
+    if (!user || !user.user_code) return res.status(400).json({ success: false, error: 'No customer code yet. Buy time first to start earning points.' });
+
+    try {
+        const result = loyaltyService.redeem({ userCode: user.user_code, mac: user.mac_address, points: req.body && req.body.points });
+
+        const ip = user.ip_address || getClientIp(req);
+        if (accessScheduleService.isOpen(user)) {
+            await networkService.allowUser(user.mac_address, ip);
+            const speeds = fairUseService.speedsFor(user);
+            if (ip) await bandwidthService.setLimit(ip, speeds.download, speeds.upload);
+        }
+
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Time Transfer: set the PIN that lets another device pull time from this one
+app.post('/api/transfer/pin', async (req, res) => {
+    const user = req.user;
+    if (!user || !user.user_code) return res.status(400).json({ success: false, error: 'No customer code yet. Buy time first.' });
+
+    try {
+        await timeTransferService.setPin(user.id, req.body && req.body.pin);
+        res.json({ success: true, user_code: user.user_code });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
     }
+});
 
-    networkService.allowUser(mac);
+// Time Transfer: pull all or part of another device's time to this device (code + PIN)
+app.post('/api/transfer', async (req, res) => {
+    const { code, pin, minutes, all } = req.body || {};
+    const mac = formatMac(req.user ? req.user.mac_address : req.macAddress);
+    const ip = getClientIp(req);
 
-    // Apply speed immediately if user has an IP (Connected)
     try {
-        const currentUser = db.prepare('SELECT ip_address FROM users WHERE mac_address = ?').get(mac);
-        if (currentUser && currentUser.ip_address) {
-             await bandwidthService.setLimit(currentUser.ip_address, downloadSpeed, uploadSpeed);
+        const result = await timeTransferService.transfer({
+            fromCode: code,
+            pin,
+            minutes,
+            all: all === true || all === 'true' || all === 1,
+            toMac: mac,
+            toIp: ip,
+            clientId: req.clientId || null,
+            newUserCode: generateUniqueUserCode()
+        });
+
+        // Outside the recipient's access window the device stays blocked and the session monitor pauses it
+        if (accessScheduleService.isOpen(result.to)) {
+            await networkService.allowUser(result.to.mac_address, ip);
+            const speeds = fairUseService.speedsFor(result.to);
+            if (ip) await bandwidthService.setLimit(ip, speeds.download, speeds.upload);
         }
+
+        // The sending device loses access right away if it gave everything
+        if (result.from.time_remaining <= 0) {
+            try {
+                db.prepare('UPDATE users SET is_connected = 0 WHERE id = ?').run(result.from.id);
+                await networkService.blockUser(result.from.mac_address, result.from.ip_address);
+                if (result.from.ip_address) await bandwidthService.removeLimit(result.from.ip_address);
+            } catch (e) {
+                console.error('[Transfer] Error blocking sender:', e);
+            }
+        }
+
+        io.emit('time_transferred', { from_mac: result.from.mac_address, to_mac: result.to.mac_address, seconds: result.seconds });
+        res.json({ success: true, seconds: result.seconds, time_remaining: result.to.time_remaining, user_code: result.to.user_code });
     } catch (e) {
-        console.error('[Coin] Error applying speed:', e);
+        res.status(400).json({ success: false, error: e.message });
     }
-
-    res.json({ success: true, amount, minutesAdded: minutesToAdd, secondsAdded: secondsToAdd });
 });
 
 // Claim Free Time
@@ -2617,6 +3683,7 @@ app.post('/api/claim-free-time', async (req, res) => {
                     total_time = total_time + ?,
                     upload_speed = COALESCE(?, upload_speed), 
                     download_speed = COALESCE(?, download_speed),
+                    fup_throttled = 0,
                     is_paused = 0,
                     is_connected = 1,
                     last_active_at = CURRENT_TIMESTAMP,
@@ -2665,60 +3732,59 @@ app.post('/api/coin/start', async (req, res) => {
         }
     }
 
-    // 2. Check if Coinslot is Busy (Another user is inserting)
-    if (currentCoinUser && formatMac(currentCoinUser.mac) !== mac) {
-        console.log(`[Coin] User ${mac} blocked. Coinslot busy with ${currentCoinUser.mac}`);
-        return res.json({ success: false, error: 'Coinslot Busy Please Try again later' });
+    const bodyMode = (req.body && typeof req.body.selectionMode === 'string') ? req.body.selectionMode.trim().toLowerCase() : '';
+    const defaultMode = configService.get('vendo_selection_mode') || 'auto';
+    const mode = (bodyMode === 'auto' || bodyMode === 'manual') ? bodyMode : defaultMode;
+
+    // 2. Resolve the slot: manual mode uses the chosen vendo, auto mode uses the main coinslot
+    let slot = coinSessionService.hardwareSlot;
+    if (mode === 'manual' && req.body.targetDeviceId && req.body.targetDeviceId !== coinSessionService.hardwareSlot) {
+        slot = String(req.body.targetDeviceId);
+        const subDeviceId = slot.startsWith('subvendo:') ? slot.substring('subvendo:'.length) : null;
+        const device = subDeviceId ? db.prepare('SELECT status FROM sub_vendo_devices WHERE device_id = ?').get(subDeviceId) : null;
+        if (!device) return res.json({ success: false, error: 'Selected vendo not found' });
+        if (device.status && device.status !== 'active') return res.json({ success: false, error: 'Selected vendo is inactive' });
     }
 
-    // Preserve pending amount if same user reconnects
-    let pending = 0;
-    if (currentCoinUser && formatMac(currentCoinUser.mac) === mac) {
-        pending = currentCoinUser.pendingAmount || 0;
+    if (coinCalibrationService.isCapturing(slot)) {
+        return res.json({ success: false, error: 'Coinslot is being calibrated. Please try again later.' });
     }
 
-    currentCoinUser = { 
-        ip, 
-        mac, 
-        clientId: req.body.deviceId || req.clientId, 
-        start: Date.now(), 
-        pendingAmount: pending,
-        sourceAmounts: {}, // Track amount per source
-        targetDeviceId: req.body.targetDeviceId,
-        selectionMode: null
-    };
-    
-    // Initialize sourceAmounts if there is pending amount (rare, usually 0)
-    if (pending > 0) {
-        currentCoinUser.sourceAmounts['hardware'] = pending;
+    if (slot === coinSessionService.hardwareSlot && coinService.isTripped()) {
+        return res.json({ success: false, error: 'Coinslot temporarily disabled. Please try again later.' });
     }
-    
-    const bodyMode = (req.body && typeof req.body.selectionMode === 'string') ? req.body.selectionMode.trim().toLowerCase() : '';
-    const defaultMode = configService.get('vendo_selection_mode') || 'auto';
-    const mode = (bodyMode === 'auto' || bodyMode === 'manual') ? bodyMode : defaultMode;
-    currentCoinUser.selectionMode = mode;
 
-    if (mode !== 'manual') {
-        currentCoinUser.targetDeviceId = null;
-    } else if (!currentCoinUser.targetDeviceId) {
-        currentCoinUser.targetDeviceId = 'hardware';
+    // 3. Check if this Coinslot is Busy (Another user is inserting at the same machine)
+    if (coinSessionService.isBusy(slot, mac)) {
+        console.log(`[Coin] User ${mac} blocked. Coinslot ${slot} busy with ${coinSessionService.get(slot).mac}`);
+        return res.json({ success: false, error: 'Coinslot Busy Please Try again later' });
     }
 
-    const target = currentCoinUser.targetDeviceId;
-    
-    if (mode === 'auto' || target === 'hardware') {
+    // Moving to another machine: credit whatever was inserted at the previous one first
+    const previous = coinSessionService.findByMac(mac);
+    if (previous && previous.slot !== slot) {
+        await finalizeCoinSession(previous.slot, 'switched');
+    }
+
+    // Pending amount is preserved if the same user reconnects to the same slot
+    coinSessionService.start(slot, {
+        ip,
+        mac,
+        clientId: req.body.deviceId || req.clientId,
+        selectionMode: mode
+    });
+
+    if (slot === coinSessionService.hardwareSlot) {
         hardwareService.setRelay(true);
-    } else {
-        hardwareService.setRelay(false);
     }
 
-    if (coinTimeout) clearTimeout(coinTimeout);
-    coinTimeout = setTimeout(() => { 
-        finalizeCoinSession('timeout').catch(e => console.error('[Coin] Finalize error:', e));
-    }, 60000);
+    const session = coinSessionService.get(slot);
+    coinSessionService.setTimer(session, 60000, () => {
+        finalizeCoinSession(slot, 'timeout').catch(e => console.error('[Coin] Finalize error:', e));
+    });
 
-    console.log(`[Coin] User ${mac} started inserting coins`);
-    res.json({ success: true });
+    console.log(`[Coin] User ${mac} started inserting coins at ${slot}`);
+    res.json({ success: true, slot });
 });
 
 app.post('/api/coin/done', async (req, res) => {
@@ -2727,12 +3793,13 @@ app.post('/api/coin/done', async (req, res) => {
     const mac = formatMac(await networkService.getMacFromIp(ip));
     if (!mac) return res.json({ success: false, error: 'Could not detect MAC' });
 
-    if (!currentCoinUser || formatMac(currentCoinUser.mac) !== mac) {
+    const session = coinSessionService.findByMac(mac);
+    if (!session) {
         return res.json({ success: false, error: 'No active coin session' });
     }
 
     try {
-        const result = await finalizeCoinSession('done');
+        const result = await finalizeCoinSession(session.slot, 'done');
         res.json(result);
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -2741,12 +3808,23 @@ app.post('/api/coin/done', async (req, res) => {
 
 // Voucher Redeem
 app.post('/api/voucher/redeem', async (req, res) => {
-    const { code, mac: bodyMac } = req.body;
-    const mac = req.macAddress || bodyMac; // Prioritize middleware, fallback to body
+    const { code } = req.body;
+    // Only the MAC resolved from the client's IP; a MAC in the body would let a guesser pick a fresh one per try
+    const mac = req.macAddress;
     
     if (!mac) return res.status(400).json({ success: false, error: "Could not detect MAC address." });
 
-    // 1. Check if user is banned
+    // 1. Attempt limits per IP, subnet and box-wide (survive MAC changes).
+    // Keyed on the connection's address: X-Forwarded-For is client-controlled and would let a guesser rotate keys
+    const clientIp = getConnectionIp(req);
+    const throttleKeys = voucherThrottleService.keysFor(clientIp);
+    const lock = voucherThrottleService.check(throttleKeys);
+    if (lock.locked) {
+        res.set('Retry-After', String(lock.retryAfterSeconds));
+        return res.status(429).json({ success: false, error: voucherThrottleService.lockoutMessage(lock.retryAfterSeconds) });
+    }
+
+    // 2. Check if user is banned
     const banRecord = db.prepare('SELECT * FROM access_control WHERE mac_address = ?').get(mac);
     if (banRecord && banRecord.banned_until) {
         const bannedUntil = new Date(banRecord.banned_until);
@@ -2757,18 +3835,26 @@ app.post('/api/voucher/redeem', async (req, res) => {
     }
 
     const result = voucherService.redeemVoucher(code, mac, req.body.deviceId || req.clientId);
+
+    // A valid shared voucher this device can't join (full, kicked, ...) is not a wrong guess
+    if (result.refused) return res.status(409).json({ success: false, error: result.message });
     
     if (result.success) {
         // Reset failed attempts
+        voucherThrottleService.recordSuccess(throttleKeys);
         db.prepare('INSERT INTO access_control (mac_address, failed_attempts, banned_until) VALUES (?, 0, NULL) ON CONFLICT(mac_address) DO UPDATE SET failed_attempts = 0, banned_until = NULL').run(mac);
 
-        await networkService.allowUser(mac);
-        // Apply bandwidth limit (use request IP or stored IP)
-        // If the user is redeeming from the device itself, req.ip is correct.
-        if (req.ip) {
-            await bandwidthService.setLimit(req.ip, result.download_speed, result.upload_speed);
+        // Outside the plan's access window the time is kept: the device stays blocked and the session monitor pauses it until the window opens
+        const accessReason = accessScheduleService.closedReason(result.schedule);
+        if (!accessReason) {
+            await networkService.allowUser(mac);
+            // Apply bandwidth limit (use request IP or stored IP)
+            // If the user is redeeming from the device itself, req.ip is correct.
+            if (req.ip) {
+                await bandwidthService.setLimit(req.ip, result.download_speed, result.upload_speed);
+            }
         }
-        res.json({ success: true, added_time: result.duration });
+        res.json({ success: true, added_time: result.duration, added_data_mb: result.data_mb, shared: result.shared, access_notice: accessReason });
     } else {
         // Handle failure & Ban Logic
         const banCounter = parseInt(configService.get('ban_counter')) || 10;
@@ -2793,6 +3879,16 @@ app.post('/api/voucher/redeem', async (req, res) => {
                 updated_at = CURRENT_TIMESTAMP
         `).run(mac, currentFailures, bannedUntil, currentFailures, bannedUntil);
 
+        const throttle = voucherThrottleService.recordFailure(throttleKeys, `voucher redeem from ${clientIp} (${mac})`);
+        if (throttle.alert) {
+            logService.critical('SYSTEM', throttle.alert);
+            io.emit('admin_alert', { type: 'voucher_bruteforce', message: throttle.alert });
+        }
+        if (throttle.locked) {
+            res.set('Retry-After', String(throttle.retryAfterSeconds));
+            return res.status(429).json({ success: false, error: voucherThrottleService.lockoutMessage(throttle.retryAfterSeconds) });
+        }
+
         res.json({ success: false, error: errorMsg });
     }
 });
@@ -2817,6 +3913,12 @@ app.post('/api/session/pause', async (req, res) => {
 
 // Resume Time
 app.post('/api/session/resume', async (req, res) => {
+    if (req.user && dataPlanService.isExhausted(req.user)) {
+        return res.json({ success: false, error: 'Data allowance used up. Buy more data to continue.' });
+    }
+    if (req.user && !accessScheduleService.isOpen(req.user)) {
+        return res.json({ success: false, error: accessScheduleService.closedReason(req.user) });
+    }
     if (req.user) {
         let clientIp = req.ip;
         if (clientIp.startsWith('::ffff:')) clientIp = clientIp.substring(7);
@@ -2830,30 +3932,155 @@ app.post('/api/session/resume', async (req, res) => {
         await networkService.allowUser(req.user.mac_address);
         
         // Re-apply bandwidth limit to the CURRENT IP
-        await bandwidthService.setLimit(clientIp, req.user.download_speed, req.user.upload_speed);
+        const speeds = fairUseService.speedsFor(req.user);
+        await bandwidthService.setLimit(clientIp, speeds.download, speeds.upload);
     }
     res.json({ success: true });
 });
 
 // Admin: Generate Vouchers
-app.post('/api/admin/vouchers/generate', isAuthenticated, (req, res) => {
+app.post('/api/admin/vouchers/generate', isAuthenticated, requirePermission('vouchers'), (req, res) => {
     try {
-        const options = req.body;
+        const options = { ...req.body, created_by: req.admin ? req.admin.username : null };
         const codes = voucherService.generateVouchers(options);
-        res.json({ success: true, codes });
+        const batch = codes.length ? db.prepare('SELECT batch_id FROM vouchers WHERE code = ?').get(codes[0]) : null;
+        res.json({ success: true, codes, batch_id: batch ? batch.batch_id : null });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
-// Admin: List Vouchers
-app.get('/api/admin/vouchers', isAuthenticated, (req, res) => {
-    const vouchers = db.prepare('SELECT * FROM vouchers ORDER BY created_at DESC LIMIT 500').all();
-    res.json(vouchers);
+// Admin: List Vouchers (filters: batch_id, plan, status, q, limit, offset; total in X-Total-Count)
+app.get('/api/admin/vouchers', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        const { total, vouchers } = voucherService.listVouchers(req.query);
+        res.set('X-Total-Count', String(total));
+        res.json(vouchers);
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+app.get('/api/admin/vouchers/plans', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        res.json(voucherService.planNames());
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Admin: CSV of vouchers (same filters as the list, no row limit)
+app.get('/api/admin/vouchers/export', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        const { batch_id, plan, status, q } = req.query;
+        const csv = voucherService.exportCsv({ batch_id, plan, status, q });
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="vouchers-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send(csv);
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Admin: Import externally generated codes from CSV into a new batch (dry_run: check only)
+app.post('/api/admin/vouchers/import', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        const { csv, ...options } = req.body;
+        if (!csv) return res.status(400).json({ success: false, error: 'CSV data is required' });
+        const result = voucherService.importVouchers(csv, { ...options, created_by: req.admin ? req.admin.username : null });
+        if (result.batch_id) {
+            audit(req, 'voucher_batch', 'import', result.batch_id, null, {
+                imported: result.imported, duplicates: result.duplicates.length, errors: result.errors.length
+            });
+        }
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Issued vs redeemed vs expired per batch and per reseller (from/to: batch dates; format=csv for the batch rows)
+app.get('/api/admin/vouchers/reconciliation', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        const { from, to, format } = req.query;
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="voucher-reconciliation-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(voucherService.reconciliationCsv({ from, to }));
+        }
+        res.json(voucherService.reconciliation({ from, to }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Admin: Voucher batches with used/unused counts
+app.get('/api/admin/voucher-batches', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        res.json(voucherService.listBatches());
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Admin: Set the reseller a batch was handed to (empty clears it)
+app.put('/api/admin/voucher-batches/:id', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        const before = db.prepare('SELECT * FROM voucher_batches WHERE id = ?').get(req.params.id);
+        const batch = voucherService.setBatchReseller(req.params.id, req.body.reseller);
+        if (!batch) return res.status(404).json({ success: false, error: 'Batch not found' });
+        audit(req, 'voucher_batch', 'update', req.params.id, { reseller: before.reseller }, { reseller: batch.reseller });
+        res.json({ success: true, batch });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Revoke a voucher batch (its unused codes stop working)
+app.post('/api/admin/voucher-batches/:id/revoke', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        const before = db.prepare('SELECT * FROM voucher_batches WHERE id = ?').get(req.params.id);
+        const batch = voucherService.revokeBatch(req.params.id, req.admin ? req.admin.username : null);
+        if (!batch) return res.status(404).json({ success: false, error: 'Batch not found' });
+        audit(req, 'voucher_batch', 'revoke', req.params.id, before, batch);
+        res.json({ success: true, batch });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Printable vouchers, by batch or ids (format: a4 = HTML card sheet, escpos = 58mm thermal receipts)
+app.get('/api/admin/vouchers/print', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        const { batch_id, ids, format = 'a4' } = req.query;
+        if (!batch_id && !ids) return res.status(400).json({ error: 'Select a batch or vouchers to print' });
+        if (!['a4', 'escpos'].includes(format)) return res.status(400).json({ error: 'Format must be a4 or escpos' });
+
+        // A batch prints its unused codes unless a status is given
+        const status = req.query.status || (ids ? undefined : 'unused');
+        const { vouchers } = voucherService.listVouchers({ batch_id, ids, status, limit: 5000 });
+        if (vouchers.length === 0) return res.status(404).json({ error: 'No vouchers to print' });
+        vouchers.reverse(); // Oldest first, in the order they were generated
+
+        sendVoucherPrint(res, vouchers, format, batch_id ? `vouchers-batch-${parseInt(batch_id, 10)}` : 'vouchers');
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
 });
 
+// A4 sheet (HTML) or ESC/POS receipts as a download, shared by the admin and reseller print routes
+function sendVoucherPrint(res, vouchers, format, name) {
+    if (format === 'escpos') {
+        res.set('Content-Type', 'application/octet-stream');
+        res.set('Content-Disposition', `attachment; filename="${name}.bin"`);
+        return res.send(voucherPrintService.renderEscPos(vouchers));
+    }
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.send(voucherPrintService.renderSheet(vouchers, { title: vouchers[0].batch_label || name }));
+}
+
 // Admin: Delete Vouchers
-app.delete('/api/admin/vouchers', isAuthenticated, (req, res) => {
+app.delete('/api/admin/vouchers', isAuthenticated, requirePermission('vouchers'), (req, res) => {
     try {
         const { ids } = req.body;
         if (!ids || !Array.isArray(ids)) {
@@ -2872,7 +4099,212 @@ app.delete('/api/admin/vouchers', isAuthenticated, (req, res) => {
     }
 });
 
+// Admin: Devices that joined a shared voucher (active = still using the pool)
+app.get('/api/admin/vouchers/:id/devices', isAuthenticated, requirePermission('vouchers'), (req, res) => {
+    try {
+        const voucher = db.prepare('SELECT id, code, max_devices, pool_remaining FROM vouchers WHERE id = ?').get(req.params.id);
+        if (!voucher) return res.status(404).json({ success: false, error: 'Voucher not found' });
+        res.json({ success: true, voucher, devices: sharedVoucherService.members(voucher.id) });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Kick a device off a shared voucher (it loses the shared time and can't rejoin)
+app.delete('/api/admin/vouchers/:id/devices/:userId', isAuthenticated, requirePermission('vouchers'), async (req, res) => {
+    try {
+        const user = sharedVoucherService.kick(Number(req.params.id), Number(req.params.userId), req.admin ? req.admin.username : null);
+        await networkService.blockUser(user.mac_address, user.ip_address);
+        if (user.ip_address) await bandwidthService.removeLimit(user.ip_address);
+        delete trafficCache[user.mac_address];
+        audit(req, 'voucher', 'kick_device', req.params.id, { user_id: user.id, mac_address: user.mac_address, time_remaining: user.time_remaining }, null);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// --- Resellers ---
+// Owner manages reseller accounts (credit, allowed plans at wholesale prices, statements);
+// resellers log in at /reseller and generate codes against their credit.
+
+app.use('/api/reseller', csrfProtection);
+
+// Reseller portal guard (use after isAuthenticated): sets req.reseller
+function requireReseller(req, res, next) {
+    const reseller = resellerService.getByAdmin(req.admin.id);
+    if (!reseller) return res.status(403).json({ error: 'Forbidden: this login has no reseller account' });
+    if (!reseller.is_active) return res.status(403).json({ error: 'Your reseller account is disabled' });
+    req.reseller = reseller;
+    next();
+}
+
+const resellerAuth = [isAuthenticated, requirePermission('reseller_portal'), requireReseller];
+
+// Reseller: Profile, balance and plans
+app.get('/api/reseller/me', resellerAuth, (req, res) => {
+    try {
+        const r = req.reseller;
+        const balance = resellerService.getBalance(r.id);
+        res.json({
+            id: r.id,
+            name: r.name,
+            username: r.username,
+            contact: r.contact,
+            credit_limit: r.credit_limit,
+            balance,
+            available: Math.round((balance + Number(r.credit_limit || 0)) * 100) / 100,
+            max_generate: resellerService.maxGenerate,
+            plans: resellerService.plans(r.id)
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Reseller: Generate codes from an allowed plan (debits count x wholesale price)
+app.post('/api/reseller/vouchers/generate', resellerAuth, (req, res) => {
+    try {
+        const result = resellerService.generate(req.reseller.id, req.body || {}, req.admin.username);
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Reseller: Own batches
+app.get('/api/reseller/batches', resellerAuth, (req, res) => {
+    try {
+        res.json(voucherService.listBatches({ reseller_id: req.reseller.id }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Reseller: Codes in one of their batches (status: unused/used/...)
+app.get('/api/reseller/batches/:id/vouchers', resellerAuth, (req, res) => {
+    try {
+        const batch = db.prepare('SELECT id FROM voucher_batches WHERE id = ? AND reseller_id = ?').get(req.params.id, req.reseller.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+        res.json(voucherService.listVouchers({ batch_id: batch.id, status: req.query.status, limit: 5000 }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Reseller: Print the unused codes of one of their batches (format: a4 or escpos)
+app.get('/api/reseller/batches/:id/print', resellerAuth, (req, res) => {
+    try {
+        const format = req.query.format || 'a4';
+        if (!['a4', 'escpos'].includes(format)) return res.status(400).json({ error: 'Format must be a4 or escpos' });
+        const batch = db.prepare('SELECT id FROM voucher_batches WHERE id = ? AND reseller_id = ?').get(req.params.id, req.reseller.id);
+        if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+        const { vouchers } = voucherService.listVouchers({ batch_id: batch.id, status: 'unused', limit: 5000 });
+        if (vouchers.length === 0) return res.status(404).json({ error: 'No vouchers to print' });
+        vouchers.reverse();
+        sendVoucherPrint(res, vouchers, format, `vouchers-batch-${batch.id}`);
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Reseller: Statement (from/to: local dates, inclusive)
+app.get('/api/reseller/statement', resellerAuth, (req, res) => {
+    try {
+        res.json(resellerService.statement(req.reseller.id, { from: req.query.from, to: req.query.to }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Admin: Resellers with balances
+app.get('/api/admin/resellers', isAuthenticated, requirePermission('resellers'), (req, res) => {
+    try {
+        res.json(resellerService.list());
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Admin: Create a reseller and its login
+app.post('/api/admin/resellers', isAuthenticated, requirePermission('resellers'), async (req, res) => {
+    try {
+        const reseller = await resellerService.create(req.body || {});
+        audit(req, 'reseller', 'create', reseller.id, null, reseller);
+        res.json({ success: true, reseller });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Update a reseller (name, contact, credit_limit, is_active, password)
+app.put('/api/admin/resellers/:id', isAuthenticated, requirePermission('resellers'), async (req, res) => {
+    try {
+        const before = resellerService.get(req.params.id);
+        const reseller = await resellerService.update(req.params.id, req.body || {});
+        if (!reseller) return res.status(404).json({ success: false, error: 'Reseller not found' });
+        audit(req, 'reseller', 'update', reseller.id, before, { ...reseller, password_changed: !!(req.body || {}).password });
+        res.json({ success: true, reseller });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Top up (type topup) or correct (type adjust, +/-) a reseller's credit
+app.post('/api/admin/resellers/:id/credit', isAuthenticated, requirePermission('resellers'), (req, res) => {
+    try {
+        const reseller = resellerService.get(req.params.id);
+        if (!reseller) return res.status(404).json({ success: false, error: 'Reseller not found' });
+        const { amount, type, note } = req.body || {};
+        const before = { balance: resellerService.getBalance(reseller.id) };
+        const entry = resellerService.addCredit(reseller.id, { amount, type, note, createdBy: req.admin.username });
+        audit(req, 'reseller', type === 'adjust' ? 'adjust_credit' : 'topup', reseller.id, before, { balance: entry.balance, amount: Number(amount), note: note || null });
+        logService.info('SYSTEM', `Reseller ${reseller.name} credit ${type === 'adjust' ? 'adjusted' : 'topped up'} by ₱${Number(amount)} (balance ₱${entry.balance}) by ${req.admin.username}`);
+        res.json({ success: true, ...entry });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Plans a reseller may sell, with wholesale prices
+app.get('/api/admin/resellers/:id/plans', isAuthenticated, requirePermission('resellers'), (req, res) => {
+    try {
+        if (!resellerService.get(req.params.id)) return res.status(404).json({ error: 'Reseller not found' });
+        res.json(resellerService.plans(req.params.id));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.put('/api/admin/resellers/:id/plans', isAuthenticated, requirePermission('resellers'), (req, res) => {
+    try {
+        const reseller = resellerService.get(req.params.id);
+        if (!reseller) return res.status(404).json({ success: false, error: 'Reseller not found' });
+        const before = resellerService.plans(reseller.id);
+        const plans = resellerService.setPlans(reseller.id, (req.body || {}).plans);
+        audit(req, 'reseller', 'set_plans', reseller.id,
+            before.map(p => ({ rate_id: p.rate_id, wholesale_price: p.wholesale_price })),
+            plans.map(p => ({ rate_id: p.rate_id, wholesale_price: p.wholesale_price })));
+        res.json({ success: true, plans });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: A reseller's statement (from/to: local dates, inclusive)
+app.get('/api/admin/resellers/:id/statement', isAuthenticated, requirePermission('resellers'), (req, res) => {
+    try {
+        const statement = resellerService.statement(req.params.id, { from: req.query.from, to: req.query.to });
+        if (!statement) return res.status(404).json({ error: 'Reseller not found' });
+        res.json(statement);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // Public: Get Rates for Portal
+const publicRatesSql = 'SELECT amount, minutes, data_mb, upload_speed, download_speed, is_pausable, fup_threshold_mb, fup_download_speed, fup_upload_speed, access_start_time, access_end_time, access_days FROM rates ORDER BY amount ASC';
 app.get('/api/rates', (req, res) => {
     try {
         const deviceParam = String(req.query.device || '').trim();
@@ -2882,18 +4314,44 @@ app.get('/api/rates', (req, res) => {
             const dev = db.prepare('SELECT id FROM sub_vendo_devices WHERE device_id = ?').get(did);
             if (dev) {
                 const mapped = db.prepare(`
-                    SELECT r.amount, r.minutes, r.upload_speed, r.download_speed, r.is_pausable
+                    SELECT r.amount, r.minutes, r.data_mb, r.upload_speed, r.download_speed, r.is_pausable,
+                           r.fup_threshold_mb, r.fup_download_speed, r.fup_upload_speed,
+                           r.access_start_time, r.access_end_time, r.access_days
                     FROM rates r
                     JOIN sub_vendo_device_rates m ON m.rate_id = r.id
                     WHERE m.device_id = ? AND m.visible = 1
                     ORDER BY r.amount ASC
                 `).all(dev.id);
-                rates = mapped.length > 0 ? mapped : db.prepare('SELECT amount, minutes, upload_speed, download_speed, is_pausable FROM rates ORDER BY amount ASC').all();
+                rates = mapped.length > 0 ? mapped : db.prepare(publicRatesSql).all();
             } else {
-                rates = db.prepare('SELECT amount, minutes, upload_speed, download_speed, is_pausable FROM rates ORDER BY amount ASC').all();
+                rates = db.prepare(publicRatesSql).all();
             }
         } else {
-            rates = db.prepare('SELECT amount, minutes, upload_speed, download_speed, is_pausable FROM rates ORDER BY amount ASC').all();
+            rates = db.prepare(publicRatesSql).all();
+        }
+
+        // Promos running now for this vendo (the main slot unless one was picked)
+        const slot = deviceParam.startsWith('subvendo:') ? deviceParam : coinSessionService.hardwareSlot;
+        const now = new Date();
+        rates = rates.map(r => {
+            const { bonusMinutes, promo } = Number(r.minutes) > 0
+                ? promoService.apply(Number(r.amount) || 0, Number(r.minutes) || 0, slot, now)
+                : { bonusMinutes: 0, promo: null };
+            // Data-only plans show how long the data stays valid
+            const validMinutes = Number(r.minutes) > 0 ? null : dataPlanService.planMinutes(0, r.data_mb);
+            return { ...r, valid_minutes: validMinutes, access_window: accessScheduleService.describe(r), bonus_minutes: bonusMinutes, promo: promo ? promo.name : null };
+        });
+
+        // Plain array for older clients; ?with_promos=1 adds the list of active promos
+        if (req.query.with_promos) {
+            const promos = promoService.getActive(slot, now).map(p => ({
+                id: p.id,
+                name: p.name,
+                description: promoService.describe(p),
+                end_time: p.end_time,
+                end_date: p.end_date
+            }));
+            return res.json({ rates, promos });
         }
         res.json(rates);
     } catch (e) {
@@ -2902,7 +4360,7 @@ app.get('/api/rates', (req, res) => {
 });
 
 // Admin: Get Rates
-app.get('/api/admin/rates', isAuthenticated, (req, res) => {
+app.get('/api/admin/rates', isAuthenticated, requirePermission('rates', 'vouchers'), (req, res) => {
     try {
         const rates = db.prepare('SELECT * FROM rates ORDER BY amount ASC').all();
         res.json(rates);
@@ -2912,16 +4370,35 @@ app.get('/api/admin/rates', isAuthenticated, (req, res) => {
 });
 
 // Admin: Add/Edit Rate
-app.post('/api/admin/rates', isAuthenticated, (req, res) => {
+app.post('/api/admin/rates', isAuthenticated, requirePermission('rates'), (req, res) => {
     try {
         const { id, amount, minutes, upload_speed, download_speed, is_pausable } = req.body;
+
+        let dataMb;
+        let fup;
+        let schedule;
+        try {
+            dataMb = dataPlanService.parseMb(req.body.data_mb);
+            fup = fairUseService.parsePolicy(req.body);
+            schedule = accessScheduleService.parseSchedule(req.body);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        if (!(Number(minutes) > 0) && dataMb <= 0) {
+            return res.status(400).json({ success: false, error: 'Set the minutes, a data allowance, or both' });
+        }
         
         if (id) {
-            db.prepare(`UPDATE rates SET amount=?, minutes=?, upload_speed=?, download_speed=?, is_pausable=? WHERE id=?`)
-              .run(amount, minutes, upload_speed, download_speed, is_pausable, id);
+            const before = db.prepare('SELECT * FROM rates WHERE id = ?').get(id);
+            db.prepare(`UPDATE rates SET amount=?, minutes=?, data_mb=?, upload_speed=?, download_speed=?, is_pausable=?, fup_threshold_mb=?, fup_download_speed=?, fup_upload_speed=?, access_start_time=?, access_end_time=?, access_days=? WHERE id=?`)
+              .run(amount, minutes, dataMb, upload_speed, download_speed, is_pausable, fup.fup_threshold_mb, fup.fup_download_speed, fup.fup_upload_speed,
+                   schedule.access_start_time, schedule.access_end_time, schedule.access_days, id);
+            audit(req, 'rate', 'update', id, before, db.prepare('SELECT * FROM rates WHERE id = ?').get(id));
         } else {
-            db.prepare(`INSERT INTO rates (amount, minutes, upload_speed, download_speed, is_pausable) VALUES (?, ?, ?, ?, ?)`)
-              .run(amount, minutes, upload_speed, download_speed, is_pausable);
+            const info = db.prepare(`INSERT INTO rates (amount, minutes, data_mb, upload_speed, download_speed, is_pausable, fup_threshold_mb, fup_download_speed, fup_upload_speed, access_start_time, access_end_time, access_days) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+              .run(amount, minutes, dataMb, upload_speed, download_speed, is_pausable, fup.fup_threshold_mb, fup.fup_download_speed, fup.fup_upload_speed,
+                   schedule.access_start_time, schedule.access_end_time, schedule.access_days);
+            audit(req, 'rate', 'create', info.lastInsertRowid, null, db.prepare('SELECT * FROM rates WHERE id = ?').get(info.lastInsertRowid));
         }
         res.json({ success: true });
     } catch (e) {
@@ -2930,17 +4407,94 @@ app.post('/api/admin/rates', isAuthenticated, (req, res) => {
 });
 
 // Admin: Delete Rate
-app.delete('/api/admin/rates/:id', isAuthenticated, (req, res) => {
+app.delete('/api/admin/rates/:id', isAuthenticated, requirePermission('rates'), (req, res) => {
     try {
+        const before = db.prepare('SELECT * FROM rates WHERE id = ?').get(req.params.id);
         db.prepare('DELETE FROM rates WHERE id=?').run(req.params.id);
+        if (before) audit(req, 'rate', 'delete', req.params.id, before, null);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Promo Rules
+app.get('/api/admin/promos', isAuthenticated, requirePermission('rates'), (req, res) => {
+    try {
+        const now = new Date();
+        res.json(promoService.list().map(p => ({
+            ...p,
+            description: promoService.describe(p),
+            active_now: promoService.isActiveAt(p, now, p.slot)
+        })));
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Add/Edit Promo Rule
+app.post('/api/admin/promos', isAuthenticated, requirePermission('rates'), (req, res) => {
+    try {
+        const { id } = req.body || {};
+        const data = req.body || {};
+        if (data.slot && !coinSlotExists(data.slot)) return res.status(400).json({ success: false, error: 'Unknown coin slot' });
+
+        if (id) {
+            const before = promoService.get(id);
+            if (!before) return res.status(404).json({ success: false, error: 'Promo not found' });
+            const promo = promoService.update(id, data);
+            audit(req, 'promo', 'update', id, before, promo);
+            return res.json({ success: true, promo });
+        }
+        const promo = promoService.create(data);
+        audit(req, 'promo', 'create', promo.id, null, promo);
+        res.json({ success: true, promo });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Admin: Delete Promo Rule
+app.delete('/api/admin/promos/:id', isAuthenticated, requirePermission('rates'), (req, res) => {
+    try {
+        const before = promoService.get(req.params.id);
+        promoService.remove(req.params.id);
+        if (before) audit(req, 'promo', 'delete', req.params.id, before, null);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
+// Admin: Time Transfer ledger (filters: user_code, limit, offset)
+app.get('/api/admin/time-transfers', isAuthenticated, requirePermission('logs'), (req, res) => {
+    try {
+        res.json(timeTransferService.list(req.query));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Admin: Loyalty Points report (from/to: YYYY-MM-DD, local)
+app.get('/api/admin/loyalty/report', isAuthenticated, requirePermission('sales'), (req, res) => {
+    try {
+        res.json(loyaltyService.report({ from: req.query.from, to: req.query.to }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Admin: Loyalty Points ledger (filters: user_code, type, limit, offset)
+app.get('/api/admin/loyalty/ledger', isAuthenticated, requirePermission('sales'), (req, res) => {
+    try {
+        res.json(loyaltyService.list(req.query));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // Admin: Get Devices
-app.get('/api/admin/devices', isAuthenticated, (req, res) => {
+app.get('/api/admin/devices', isAuthenticated, requirePermission('devices'), (req, res) => {
     try {
         const globalIdleSec = Number(configService.get('idle_timeout_seconds')) || 120;
         const devices = db.prepare(`
@@ -3025,7 +4579,7 @@ app.get('/api/admin/devices', isAuthenticated, (req, res) => {
 });
 
 // Admin: Update Device
-app.put('/api/admin/devices/:id', isAuthenticated, async (req, res) => {
+app.put('/api/admin/devices/:id', isAuthenticated, requirePermission('devices_manage'), async (req, res) => {
     try {
         const id = req.params.id;
         const { session_code, time_remaining } = req.body;
@@ -3040,6 +4594,7 @@ app.put('/api/admin/devices/:id', isAuthenticated, async (req, res) => {
           .run(codeToUpdate, codeToUpdate, 
                time_remaining !== undefined ? time_remaining : user.time_remaining, 
                id);
+        loyaltyService.renameCode(user.user_code, codeToUpdate);
 
         res.json({ success: true });
     } catch (e) {
@@ -3048,7 +4603,7 @@ app.put('/api/admin/devices/:id', isAuthenticated, async (req, res) => {
 });
 
 // Admin: Delete Device (Disconnect)
-app.delete('/api/admin/devices/:id', isAuthenticated, async (req, res) => {
+app.delete('/api/admin/devices/:id', isAuthenticated, requirePermission('devices_manage'), async (req, res) => {
     try {
         const id = req.params.id;
         const user = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
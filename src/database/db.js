@@ -1,5 +1,6 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const passwordService = require('../services/passwordService');
 
 // Connect to database (creates file if not exists)
 const dbPath = path.join(__dirname, 'pisowifi.sqlite');
@@ -86,6 +87,54 @@ const initDb = () => {
         db.exec("ALTER TABLE users ADD COLUMN total_data_down INTEGER DEFAULT 0");
     }
 
+    // Check and add Time Transfer PIN columns
+    if (!columns.some(col => col.name === 'transfer_pin_hash')) {
+        db.exec("ALTER TABLE users ADD COLUMN transfer_pin_hash TEXT");
+    }
+    if (!columns.some(col => col.name === 'transfer_pin_failures')) {
+        db.exec("ALTER TABLE users ADD COLUMN transfer_pin_failures INTEGER DEFAULT 0");
+    }
+    if (!columns.some(col => col.name === 'transfer_locked_until')) {
+        db.exec("ALTER TABLE users ADD COLUMN transfer_locked_until DATETIME");
+    }
+
+    // Check and add data allowance (bytes left, NULL = no data cap)
+    if (!columns.some(col => col.name === 'data_remaining')) {
+        db.exec("ALTER TABLE users ADD COLUMN data_remaining INTEGER");
+    }
+
+    // Check and add fair-use policy (copied from the plan) and throttle state
+    if (!columns.some(col => col.name === 'fup_threshold_mb')) {
+        db.exec("ALTER TABLE users ADD COLUMN fup_threshold_mb INTEGER DEFAULT 0");
+        db.exec("ALTER TABLE users ADD COLUMN fup_download_speed INTEGER");
+        db.exec("ALTER TABLE users ADD COLUMN fup_upload_speed INTEGER");
+    }
+    if (!columns.some(col => col.name === 'fup_throttled')) {
+        db.exec("ALTER TABLE users ADD COLUMN fup_throttled INTEGER DEFAULT 0");
+    }
+
+    // Check and add access schedule (copied from the plan) and whether the schedule paused the session
+    if (!columns.some(col => col.name === 'access_start_time')) {
+        db.exec("ALTER TABLE users ADD COLUMN access_start_time TEXT");
+        db.exec("ALTER TABLE users ADD COLUMN access_end_time TEXT");
+        db.exec("ALTER TABLE users ADD COLUMN access_days TEXT");
+    }
+    if (!columns.some(col => col.name === 'schedule_paused')) {
+        db.exec("ALTER TABLE users ADD COLUMN schedule_paused INTEGER DEFAULT 0");
+    }
+
+    // Check and add lapsing voucher time (seconds still subject to the deadline, UTC deadline)
+    if (!columns.some(col => col.name === 'expiring_seconds')) {
+        db.exec("ALTER TABLE users ADD COLUMN expiring_seconds INTEGER DEFAULT 0");
+        db.exec("ALTER TABLE users ADD COLUMN time_expires_at DATETIME");
+    }
+
+    // Check and add shared (multi-device) voucher membership
+    if (!columns.some(col => col.name === 'shared_voucher_id')) {
+        db.exec("ALTER TABLE users ADD COLUMN shared_voucher_id INTEGER");
+        db.exec("CREATE INDEX IF NOT EXISTS idx_users_shared_voucher ON users(shared_voucher_id)");
+    }
+
   } catch (e) {
     console.error('Migration error:', e);
   }
@@ -100,6 +149,17 @@ const initDb = () => {
     )
   `);
 
+  // Table for Admin Auth Lockouts (keyed by scope:ip:<ip> / scope:user:<username>)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS auth_attempts (
+      attempt_key TEXT PRIMARY KEY,
+      failed_attempts INTEGER DEFAULT 0,
+      lockout_count INTEGER DEFAULT 0,
+      banned_until DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   // Table for tracking sales/coins
   db.exec(`
     CREATE TABLE IF NOT EXISTS sales (
@@ -120,6 +180,18 @@ const initDb = () => {
     console.error('Migration error (sales source):', e);
   }
 
+  try {
+    const salesCols = db.pragma('table_info(sales)');
+    if (!salesCols.some(col => col.name === 'promo_id')) {
+      db.exec("ALTER TABLE sales ADD COLUMN promo_id INTEGER");
+    }
+    if (!salesCols.some(col => col.name === 'bonus_minutes')) {
+      db.exec("ALTER TABLE sales ADD COLUMN bonus_minutes INTEGER DEFAULT 0");
+    }
+  } catch (e) {
+    console.error('Migration error (sales promo):', e);
+  }
+
   // Table for Vouchers
   db.exec(`
     CREATE TABLE IF NOT EXISTS vouchers (
@@ -217,6 +289,8 @@ const initDb = () => {
       password_hash TEXT NOT NULL,
       security_question TEXT,
       security_answer TEXT,
+      role TEXT DEFAULT 'owner', -- owner, cashier, technician
+      is_active INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
@@ -230,6 +304,24 @@ const initDb = () => {
     if (!adminCols.some(col => col.name === 'security_answer')) {
         db.exec("ALTER TABLE admins ADD COLUMN security_answer TEXT");
     }
+    // Roles: owner, cashier, technician (existing accounts become owners)
+    if (!adminCols.some(col => col.name === 'role')) {
+        db.exec("ALTER TABLE admins ADD COLUMN role TEXT DEFAULT 'owner'");
+        db.exec("UPDATE admins SET role = 'owner' WHERE role IS NULL");
+    }
+    if (!adminCols.some(col => col.name === 'is_active')) {
+        db.exec("ALTER TABLE admins ADD COLUMN is_active INTEGER DEFAULT 1");
+    }
+    // TOTP 2FA: secret is stored while enrolling, totp_enabled flips once a code is confirmed
+    if (!adminCols.some(col => col.name === 'totp_secret')) {
+        db.exec("ALTER TABLE admins ADD COLUMN totp_secret TEXT");
+    }
+    if (!adminCols.some(col => col.name === 'totp_enabled')) {
+        db.exec("ALTER TABLE admins ADD COLUMN totp_enabled INTEGER DEFAULT 0");
+    }
+    if (!adminCols.some(col => col.name === 'totp_last_step')) {
+        db.exec("ALTER TABLE admins ADD COLUMN totp_last_step INTEGER DEFAULT 0");
+    }
   } catch (e) {
     console.error('Migration error (admin security):', e);
   }
@@ -237,15 +329,270 @@ const initDb = () => {
   // Seed default admin (admin/admin) if empty
   const adminCount = db.prepare('SELECT count(*) as count FROM admins').get().count;
   if (adminCount === 0) {
-      db.prepare('INSERT INTO admins (username, password_hash, security_question, security_answer) VALUES (?, ?, ?, ?)').run('admin', 'admin', 'What is the name of your first pet?', 'admin');
+      db.prepare('INSERT INTO admins (username, password_hash, security_question, security_answer, role) VALUES (?, ?, ?, ?, ?)').run('admin', passwordService.hashSync('admin'), 'What is the name of your first pet?', passwordService.hashSync('admin'), 'owner');
   } else {
       // Ensure existing default admin has a security question for testing/fallback
       const admin = db.prepare('SELECT * FROM admins WHERE id = 1').get();
       if (admin && !admin.security_question) {
-          db.prepare('UPDATE admins SET security_question = ?, security_answer = ? WHERE id = 1').run('What is the name of your first pet?', 'admin');
+          db.prepare('UPDATE admins SET security_question = ?, security_answer = ? WHERE id = 1').run('What is the name of your first pet?', passwordService.hashSync('admin'));
       }
   }
 
+  // Table for Admin Sessions (session IDs are stored as SHA-256 hashes)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      id_hash TEXT UNIQUE NOT NULL,
+      admin_id INTEGER NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      FOREIGN KEY(admin_id) REFERENCES admins(id)
+    )
+  `);
+  db.exec("CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin_id ON admin_sessions(admin_id)");
+  try {
+    const sessionCols = db.pragma('table_info(admin_sessions)');
+    if (!sessionCols.some(col => col.name === 'csrf_token')) {
+        db.exec("ALTER TABLE admin_sessions ADD COLUMN csrf_token TEXT");
+    }
+  } catch (e) {
+    console.error('Migration error (admin sessions):', e);
+  }
+
+  // Table for Admin 2FA Recovery Codes (one-time use, stored as SHA-256 hashes)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(admin_id) REFERENCES admins(id)
+    )
+  `);
+
+  // Table for Admin API Tokens (only SHA-256 hashes are stored)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      token_prefix TEXT,
+      scopes TEXT NOT NULL, -- JSON array, e.g. ["vouchers:write","sales:read"]
+      admin_id INTEGER NOT NULL,
+      expires_at DATETIME,
+      last_used_at DATETIME,
+      last_used_ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME,
+      FOREIGN KEY(admin_id) REFERENCES admins(id)
+    )
+  `);
+
+  // Table for in-progress coin sessions (survives restarts so pending coins are not lost)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS coin_sessions (
+      id TEXT PRIMARY KEY,
+      slot TEXT NOT NULL, -- 'hardware' or 'subvendo:<device_id>'
+      mac_address TEXT NOT NULL,
+      ip_address TEXT,
+      client_id TEXT,
+      selection_mode TEXT,
+      pending_amount INTEGER DEFAULT 0,
+      source_amounts TEXT, -- JSON map of source -> amount
+      last_source TEXT,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Table for calibrated denominations per coin slot (pulse signature -> peso value)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS coin_denominations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slot TEXT NOT NULL, -- 'hardware' or 'subvendo:<device_id>'
+      kind TEXT NOT NULL, -- coin, bill
+      pulses INTEGER NOT NULL,
+      amount INTEGER NOT NULL,
+      label TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(slot, kind, pulses)
+    )
+  `);
+
+  // Table for coin acceptor anomalies (suspected tampering)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS coin_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT DEFAULT 'hardware',
+      classification TEXT NOT NULL, -- valid, noise, tamper
+      pulses INTEGER DEFAULT 0,
+      reasons TEXT,
+      details TEXT, -- JSON pulse statistics
+      relay_tripped INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Table for promotional rate rules (happy hours, bonus minutes)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS promo_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL, -- percent, minutes
+      value REAL NOT NULL,
+      min_amount INTEGER DEFAULT 0,
+      repeat_bonus INTEGER DEFAULT 0, -- minutes kind: bonus for every min_amount pesos
+      days_of_week TEXT, -- CSV of 0 (Sunday) to 6, NULL = every day
+      start_time TEXT, -- HH:MM local, NULL = all day
+      end_time TEXT,
+      start_date TEXT, -- YYYY-MM-DD inclusive, NULL = open
+      end_date TEXT,
+      slot TEXT, -- 'hardware' or 'subvendo:<device_id>', NULL = all slots
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Table for loyalty points (earn/redeem ledger per user_code)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS loyalty_points_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_code TEXT NOT NULL,
+      mac_address TEXT,
+      type TEXT NOT NULL, -- earn, redeem
+      points REAL NOT NULL, -- negative when redeemed
+      amount INTEGER, -- pesos spent (earn)
+      minutes INTEGER, -- minutes given (redeem)
+      source TEXT, -- hardware, subvendo:<device_id>, voucher, portal
+      reference TEXT, -- coin session id or voucher code
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec("CREATE INDEX IF NOT EXISTS idx_loyalty_points_user_code ON loyalty_points_ledger(user_code)");
+
+  // Table for time transfers between devices
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS time_transfers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      from_user_code TEXT NOT NULL,
+      from_mac TEXT,
+      to_user_code TEXT,
+      to_mac TEXT NOT NULL,
+      seconds INTEGER NOT NULL,
+      from_remaining INTEGER, -- sender's time left after the transfer
+      ip_address TEXT, -- recipient IP
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec("CREATE INDEX IF NOT EXISTS idx_time_transfers_from ON time_transfers(from_user_code, created_at)");
+
+  // Table for Fair-Use Usage (downloaded bytes per user per hour, UTC)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS fair_use_usage (
+      user_id INTEGER NOT NULL,
+      hour TEXT NOT NULL, -- 'YYYY-MM-DD HH:00:00'
+      bytes_down INTEGER DEFAULT 0,
+      PRIMARY KEY (user_id, hour)
+    )
+  `);
+
+  // Table for Voucher Batches (one per generate run; rules apply to every code in it)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS voucher_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      label TEXT NOT NULL,
+      expires_on TEXT, -- 'YYYY-MM-DD' box local date; unused codes stop working after it
+      valid_days INTEGER, -- Redeemed time lapses this many days after redemption (NULL = never)
+      reseller TEXT, -- Store the codes were handed to, for reconciliation
+      reseller_id INTEGER, -- Reseller account that generated the batch
+      source TEXT DEFAULT 'generated', -- 'generated' or 'imported' (CSV of external codes)
+      revoked_at DATETIME,
+      revoked_by TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Reseller accounts: stores that buy voucher codes at a wholesale price.
+  // The login is an admins row with role 'reseller'; credit is the sum of reseller_ledger.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS resellers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      contact TEXT,
+      credit_limit REAL DEFAULT 0, -- How far the balance may go below zero (0 = prepaid only)
+      is_active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(admin_id) REFERENCES admins(id)
+    )
+  `);
+
+  // Plans (rates) a reseller may generate vouchers from, and what each code costs them
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reseller_plans (
+      reseller_id INTEGER NOT NULL,
+      rate_id INTEGER NOT NULL,
+      wholesale_price REAL NOT NULL,
+      PRIMARY KEY (reseller_id, rate_id)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reseller_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reseller_id INTEGER NOT NULL,
+      type TEXT NOT NULL, -- 'topup', 'generate' or 'adjust'
+      amount REAL NOT NULL, -- Positive = credit added, negative = debit
+      balance_after REAL NOT NULL,
+      batch_id INTEGER, -- generate: the voucher batch
+      voucher_count INTEGER,
+      retail_value REAL, -- generate: sum of the codes' retail price (vouchers.price)
+      note TEXT,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_reseller_ledger ON reseller_ledger(reseller_id, created_at)');
+
+  // Devices that joined a shared (multi-device) voucher, kept after they leave so kicks stick
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS voucher_devices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      voucher_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      mac_address TEXT NOT NULL,
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      removed_at DATETIME,
+      removed_reason TEXT, -- 'kicked', 'used_up' or 'expired' (the device's own session ended)
+      removed_by TEXT
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_voucher_devices ON voucher_devices(voucher_id)');
+
+  // Table for Admin Audit Trail (configuration changes with before/after JSON)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER,
+      admin_username TEXT,
+      ip_address TEXT,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT,
+      action TEXT NOT NULL, -- create, update, delete
+      before_value TEXT,
+      after_value TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec("CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at)");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id)");
+
   // Table for System Logs
   db.exec(`
     CREATE TABLE IF NOT EXISTS system_logs (
@@ -280,6 +627,40 @@ const initDb = () => {
     )
   `);
 
+  // Migration: Add data allowance to rates (MB, 0 = unlimited data)
+  try {
+    const rateCols = db.pragma('table_info(rates)');
+    if (!rateCols.some(col => col.name === 'data_mb')) {
+        db.exec("ALTER TABLE rates ADD COLUMN data_mb INTEGER DEFAULT 0");
+    }
+  } catch (e) {
+    console.error('Migration error (rates data_mb):', e);
+  }
+
+  // Migration: Add fair-use policy to rates (threshold MB per window, throttled speeds in kbps)
+  try {
+    const rateCols = db.pragma('table_info(rates)');
+    if (!rateCols.some(col => col.name === 'fup_threshold_mb')) {
+        db.exec("ALTER TABLE rates ADD COLUMN fup_threshold_mb INTEGER DEFAULT 0");
+        db.exec("ALTER TABLE rates ADD COLUMN fup_download_speed INTEGER");
+        db.exec("ALTER TABLE rates ADD COLUMN fup_upload_speed INTEGER");
+    }
+  } catch (e) {
+    console.error('Migration error (rates fair-use):', e);
+  }
+
+  // Migration: Add access schedule to rates (HH:MM window, may cross midnight; days 0-6, NULL = every day)
+  try {
+    const rateCols = db.pragma('table_info(rates)');
+    if (!rateCols.some(col => col.name === 'access_start_time')) {
+        db.exec("ALTER TABLE rates ADD COLUMN access_start_time TEXT");
+        db.exec("ALTER TABLE rates ADD COLUMN access_end_time TEXT");
+        db.exec("ALTER TABLE rates ADD COLUMN access_days TEXT");
+    }
+  } catch (e) {
+    console.error('Migration error (rates access schedule):', e);
+  }
+
   // Migration: Add user_code to users table if not exists
   try {
     const tableInfo = db.prepare('PRAGMA table_info(users)').all();
@@ -465,6 +846,47 @@ const initDb = () => {
         console.log('Migrating: Adding price to vouchers...');
         db.prepare('ALTER TABLE vouchers ADD COLUMN price REAL').run();
     }
+    if (!voucherInfo.some(col => col.name === 'data_mb')) {
+        console.log('Migrating: Adding data allowance to vouchers...');
+        db.prepare('ALTER TABLE vouchers ADD COLUMN data_mb INTEGER DEFAULT 0').run();
+    }
+    if (!voucherInfo.some(col => col.name === 'fup_threshold_mb')) {
+        console.log('Migrating: Adding fair-use policy to vouchers...');
+        db.prepare('ALTER TABLE vouchers ADD COLUMN fup_threshold_mb INTEGER DEFAULT 0').run();
+        db.prepare('ALTER TABLE vouchers ADD COLUMN fup_download_speed INTEGER').run();
+        db.prepare('ALTER TABLE vouchers ADD COLUMN fup_upload_speed INTEGER').run();
+    }
+    if (!voucherInfo.some(col => col.name === 'access_start_time')) {
+        console.log('Migrating: Adding access schedule to vouchers...');
+        db.prepare('ALTER TABLE vouchers ADD COLUMN access_start_time TEXT').run();
+        db.prepare('ALTER TABLE vouchers ADD COLUMN access_end_time TEXT').run();
+        db.prepare('ALTER TABLE vouchers ADD COLUMN access_days TEXT').run();
+    }
+    if (!voucherInfo.some(col => col.name === 'batch_id')) {
+        console.log('Migrating: Adding batch to vouchers...');
+        db.prepare('ALTER TABLE vouchers ADD COLUMN batch_id INTEGER').run();
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_vouchers_batch ON vouchers(batch_id)').run();
+    }
+    const batchInfo = db.prepare('PRAGMA table_info(voucher_batches)').all();
+    if (!batchInfo.some(col => col.name === 'reseller')) {
+        console.log('Migrating: Adding reseller and source to voucher_batches...');
+        db.prepare('ALTER TABLE voucher_batches ADD COLUMN reseller TEXT').run();
+        db.prepare("ALTER TABLE voucher_batches ADD COLUMN source TEXT DEFAULT 'generated'").run();
+    }
+    if (!batchInfo.some(col => col.name === 'reseller_id')) {
+        console.log('Migrating: Adding reseller account to voucher_batches...');
+        db.prepare('ALTER TABLE voucher_batches ADD COLUMN reseller_id INTEGER').run();
+    }
+    if (!voucherInfo.some(col => col.name === 'reseller_id')) {
+        console.log('Migrating: Adding reseller account to vouchers...');
+        db.prepare('ALTER TABLE vouchers ADD COLUMN reseller_id INTEGER').run();
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_vouchers_reseller ON vouchers(reseller_id)').run();
+    }
+    if (!voucherInfo.some(col => col.name === 'max_devices')) {
+        console.log('Migrating: Adding shared device pool to vouchers...');
+        db.prepare('ALTER TABLE vouchers ADD COLUMN max_devices INTEGER DEFAULT 1').run();
+        db.prepare('ALTER TABLE vouchers ADD COLUMN pool_remaining INTEGER').run();
+    }
 
     // PPPoE Users Migration
     const pppoeUsersInfo = db.prepare('PRAGMA table_info(pppoe_users)').all();
@@ -0,0 +1,122 @@
+const promoService = require('./promoService');
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Access windows for plans that only work at certain hours (e.g. a night plan 22:00-06:00).
+ * The schedule (access_start_time, access_end_time, access_days) is set per rate and
+ * per voucher and copied to the user on purchase like the speeds; no schedule means any time.
+ * A scheduled plan replaces the user's schedule, but a plan without one bought while
+ * scheduled time is left keeps it, so cheap night time can't be turned into day
+ * time with a small top-up.
+ * Windows follow the promo rules' semantics: box local time, may cross midnight, and
+ * the early-morning part of a night window belongs to the day it started.
+ * SessionService pauses users outside their window (schedule_paused = 1) and resumes
+ * them when it opens again.
+ */
+class AccessScheduleService {
+    /**
+     * Validate a plan's schedule
+     * @returns {{ access_start_time: string|null, access_end_time: string|null, access_days: string|null }}
+     */
+    parseSchedule(input) {
+        const data = input || {};
+        const startTime = data.access_start_time ? String(data.access_start_time) : null;
+        const endTime = data.access_end_time ? String(data.access_end_time) : null;
+        if ((startTime && !TIME_RE.test(startTime)) || (endTime && !TIME_RE.test(endTime))) throw new Error('Access times must be HH:MM (24-hour)');
+        if (!!startTime !== !!endTime) throw new Error('Set both access start and end time, or neither');
+        if (startTime && startTime === endTime) throw new Error('Access start and end time must differ');
+
+        let days = data.access_days;
+        if (days === undefined || days === null || days === '') {
+            days = null;
+        } else {
+            const list = (Array.isArray(days) ? days : String(days).split(',')).map(d => parseInt(d, 10));
+            if (list.some(d => !Number.isInteger(d) || d < 0 || d > 6)) throw new Error('Access days must be 0 (Sunday) to 6 (Saturday)');
+            days = list.length > 0 && list.length < 7 ? Array.from(new Set(list)).sort().join(',') : null;
+        }
+
+        return { access_start_time: startTime, access_end_time: endTime, access_days: days };
+    }
+
+    // Schedule carried by a rate or voucher row, in the users column layout
+    scheduleOf(plan) {
+        return {
+            access_start_time: plan && plan.access_start_time ? plan.access_start_time : null,
+            access_end_time: plan && plan.access_end_time ? plan.access_end_time : null,
+            access_days: plan && plan.access_days ? plan.access_days : null
+        };
+    }
+
+    /**
+     * Schedule for the user after buying `plan` (rate, voucher, or the sender of a time transfer)
+     * @param {Object|null} user Row before the purchase
+     */
+    nextSchedule(user, plan) {
+        const next = this.scheduleOf(plan);
+        if (this.hasSchedule(next)) return next;
+        if (user && Number(user.time_remaining) > 0 && this.hasSchedule(user)) return this.scheduleOf(user);
+        return next;
+    }
+
+    hasSchedule(user) {
+        return !!user && !!((user.access_start_time && user.access_end_time) || user.access_days);
+    }
+
+    isOpen(user, at = new Date()) {
+        if (!this.hasSchedule(user)) return true;
+        return promoService.isActiveAt({
+            is_active: 1,
+            start_time: user.access_start_time,
+            end_time: user.access_end_time,
+            days_of_week: user.access_days
+        }, at);
+    }
+
+    // Next time the window opens (within a week), or null when it is open now
+    nextOpening(user, at = new Date()) {
+        if (this.isOpen(user, at)) return null;
+        const [h, m] = user.access_start_time ? user.access_start_time.split(':').map(Number) : [0, 0];
+        for (let i = 0; i <= 7; i++) {
+            const candidate = new Date(at.getFullYear(), at.getMonth(), at.getDate() + i, h, m, 0, 0);
+            if (candidate > at && this.isOpen(user, candidate)) return candidate;
+        }
+        return null;
+    }
+
+    // Short customer-facing text, e.g. "22:00-06:00, Fri/Sat"
+    describe(user) {
+        if (!this.hasSchedule(user)) return null;
+        const parts = [];
+        if (user.access_start_time && user.access_end_time) parts.push(`${user.access_start_time}-${user.access_end_time}`);
+        if (user.access_days) parts.push(String(user.access_days).split(',').map(d => DAY_NAMES[parseInt(d, 10)]).join('/'));
+        return parts.join(', ');
+    }
+
+    // Why the user can't go online right now, or null
+    closedReason(user, at = new Date()) {
+        if (this.isOpen(user, at)) return null;
+        const next = this.nextOpening(user, at);
+        const when = next
+            ? `${next.getDate() === at.getDate() ? '' : `${DAY_NAMES[next.getDay()]} `}${pad(next.getHours())}:${pad(next.getMinutes())}`
+            : null;
+        return `Your plan only works ${this.describe(user)}.${when ? ` Access resumes at ${when}.` : ''}`;
+    }
+
+    // Portal status, null when the user's plan works any time
+    status(user, at = new Date()) {
+        if (!this.hasSchedule(user)) return null;
+        const next = this.nextOpening(user, at);
+        return {
+            open: this.isOpen(user, at),
+            window: this.describe(user),
+            opens_at: next ? next.toISOString() : null,
+            reason: this.closedReason(user, at)
+        };
+    }
+}
+
+module.exports = new AccessScheduleService();
@@ -0,0 +1,144 @@
+const { db } = require('../database/db');
+const passwordService = require('./passwordService');
+const adminSessionService = require('./adminSessionService');
+
+const ROLES = ['owner', 'cashier', 'technician', 'reseller'];
+
+// Permission names used by requirePermission() in app.js. Owner implicitly has all of them.
+const ROLE_PERMISSIONS = {
+    owner: ['*'],
+    cashier: ['dashboard', 'vouchers', 'coins_out', 'devices', 'chat'],
+    technician: ['dashboard', 'network', 'qos', 'pppoe', 'subvendo', 'devices', 'logs', 'diagnostics'],
+    reseller: ['reseller_portal'] // Reseller portal only (reseller.html); the account needs a resellers row
+};
+
+class AdminAccountService {
+    get roles() {
+        return ROLES;
+    }
+
+    getPermissions(role) {
+        return ROLE_PERMISSIONS[role] || [];
+    }
+
+    hasPermission(role, permission) {
+        const perms = this.getPermissions(role);
+        return perms.includes('*') || perms.includes(permission);
+    }
+
+    // Strip secrets before sending an account to the admin panel
+    sanitize(admin) {
+        if (!admin) return null;
+        const { password_hash, security_answer, totp_secret, totp_last_step, ...rest } = admin;
+        return rest;
+    }
+
+    list() {
+        return db.prepare(`
+            SELECT id, username, role, is_active, totp_enabled, created_at
+            FROM admins
+            ORDER BY id ASC
+        `).all();
+    }
+
+    get(id) {
+        return db.prepare('SELECT * FROM admins WHERE id = ?').get(id);
+    }
+
+    // The primary owner is the account the password-recovery (forgot.html) flow resets
+    getPrimaryOwner() {
+        return db.prepare("SELECT * FROM admins WHERE role = 'owner' ORDER BY id ASC LIMIT 1").get();
+    }
+
+    countActiveOwners(excludeId = null) {
+        return db.prepare("SELECT COUNT(*) as count FROM admins WHERE role = 'owner' AND is_active = 1 AND id != COALESCE(?, -1)")
+            .get(excludeId).count;
+    }
+
+    validateUsername(username) {
+        const clean = typeof username === 'string' ? username.trim() : '';
+        if (!/^[A-Za-z0-9_.-]{3,32}$/.test(clean)) {
+            throw new Error('Username must be 3-32 characters (letters, numbers, . _ -)');
+        }
+        return clean;
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) throw new Error(`Invalid role. Allowed: ${ROLES.join(', ')}`);
+        return role;
+    }
+
+    async create({ username, password, role = 'cashier' }) {
+        const cleanUsername = this.validateUsername(username);
+        this.validateRole(role);
+        if (!password || String(password).length < 4) throw new Error('Password must be at least 4 characters');
+
+        if (db.prepare('SELECT id FROM admins WHERE username = ?').get(cleanUsername)) {
+            throw new Error(`Username ${cleanUsername} already exists`);
+        }
+
+        const info = db.prepare('INSERT INTO admins (username, password_hash, role, is_active) VALUES (?, ?, ?, 1)')
+            .run(cleanUsername, await passwordService.hash(password), role);
+        return this.sanitize(this.get(info.lastInsertRowid));
+    }
+
+    async update(id, { username, password, role, is_active }) {
+        const admin = this.get(id);
+        if (!admin) throw new Error('Account not found');
+
+        const nextRole = role !== undefined ? this.validateRole(role) : admin.role;
+        const nextActive = is_active !== undefined ? (is_active === true || is_active === 1 || is_active === '1' ? 1 : 0) : admin.is_active;
+
+        // Never allow the last active owner to be demoted or disabled
+        if (admin.role === 'owner' && admin.is_active === 1 && (nextRole !== 'owner' || nextActive !== 1)) {
+            if (this.countActiveOwners(admin.id) === 0) throw new Error('At least one active owner account is required');
+        }
+
+        let nextUsername = admin.username;
+        if (username !== undefined && username !== admin.username) {
+            nextUsername = this.validateUsername(username);
+            const taken = db.prepare('SELECT id FROM admins WHERE username = ? AND id != ?').get(nextUsername, admin.id);
+            if (taken) throw new Error(`Username ${nextUsername} already exists`);
+        }
+
+        let passwordHash = admin.password_hash;
+        if (password) {
+            if (String(password).length < 4) throw new Error('Password must be at least 4 characters');
+            passwordHash = await passwordService.hash(password);
+        }
+
+        db.prepare('UPDATE admins SET username = ?, password_hash = ?, role = ?, is_active = ? WHERE id = ?')
+            .run(nextUsername, passwordHash, nextRole, nextActive, admin.id);
+
+        // Role, password or status changes take effect immediately
+        if (password || nextRole !== admin.role || nextActive !== admin.is_active) {
+            adminSessionService.revokeAll(admin.id);
+        }
+
+        return this.sanitize(this.get(admin.id));
+    }
+
+    remove(id) {
+        const admin = this.get(id);
+        if (!admin) return false;
+
+        if (admin.role === 'owner' && admin.is_active === 1 && this.countActiveOwners(admin.id) === 0) {
+            throw new Error('At least one active owner account is required');
+        }
+        // Keep the reseller's ledger and vouchers attributable
+        if (db.prepare('SELECT id FROM resellers WHERE admin_id = ?').get(admin.id)) {
+            throw new Error('This login belongs to a reseller. Deactivate the reseller instead.');
+        }
+
+        const transaction = db.transaction(() => {
+            db.prepare('DELETE FROM admin_sessions WHERE admin_id = ?').run(admin.id);
+            db.prepare('DELETE FROM api_tokens WHERE admin_id = ?').run(admin.id);
+            db.prepare('DELETE FROM admin_recovery_codes WHERE admin_id = ?').run(admin.id);
+            db.prepare('DELETE FROM admins WHERE id = ?').run(admin.id);
+        });
+        transaction();
+        return true;
+    }
+}
+
+module.exports = new AdminAccountService();
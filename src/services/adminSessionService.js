@@ -0,0 +1,186 @@
+const { db } = require('../database/db');
+const crypto = require('crypto');
+const configService = require('./configService');
+
+const SESSION_COOKIE = 'admin_session';
+// Readable by admin.html and echoed back in X-CSRF-Token (double-submit, checked against the session row)
+const CSRF_COOKIE = 'admin_csrf';
+
+class AdminSessionService {
+    constructor() {
+        this.cookieName = SESSION_COOKIE;
+        this.csrfCookieName = CSRF_COOKIE;
+    }
+
+    // Session IDs are only ever stored hashed, so a copied DB cannot be replayed as a cookie
+    hashId(sessionId) {
+        return crypto.createHash('sha256').update(String(sessionId)).digest('hex');
+    }
+
+    getTtlMs() {
+        const hours = Number(configService.get('admin_session_ttl_hours')) || 24;
+        return hours * 60 * 60 * 1000;
+    }
+
+    getIdleMs() {
+        const minutes = Number(configService.get('admin_session_idle_minutes')) || 60;
+        return minutes * 60 * 1000;
+    }
+
+    // SQLite DATETIME format (UTC): YYYY-MM-DD HH:MM:SS
+    toDbDate(ms) {
+        return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    parseDbDate(dateStr) {
+        if (!dateStr) return 0;
+        const raw = String(dateStr);
+        return new Date(raw.includes('T') ? raw : (raw.replace(' ', 'T') + 'Z')).getTime();
+    }
+
+    /**
+     * Create a new session for an admin
+     * @returns {{ sessionId: string, csrfToken: string, expiresAt: string }} sessionId is the raw value for the cookie
+     */
+    create(adminId, ip = null, userAgent = null) {
+        this.purgeExpired();
+
+        const sessionId = crypto.randomBytes(32).toString('hex');
+        const csrfToken = crypto.randomBytes(32).toString('hex');
+        const expiresAt = this.toDbDate(Date.now() + this.getTtlMs());
+
+        db.prepare(`
+            INSERT INTO admin_sessions (id_hash, admin_id, ip_address, user_agent, expires_at, csrf_token)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(this.hashId(sessionId), adminId, ip, userAgent ? String(userAgent).slice(0, 255) : null, expiresAt, csrfToken);
+
+        return { sessionId, csrfToken, expiresAt };
+    }
+
+    // Sessions created before CSRF tokens existed get one on first use
+    ensureCsrfToken(session) {
+        if (session.csrf_token) return session.csrf_token;
+        const csrfToken = crypto.randomBytes(32).toString('hex');
+        db.prepare('UPDATE admin_sessions SET csrf_token = ? WHERE id = ?').run(csrfToken, session.id);
+        session.csrf_token = csrfToken;
+        return csrfToken;
+    }
+
+    verifyCsrf(session, token) {
+        if (!session || !session.csrf_token || typeof token !== 'string') return false;
+        const a = Buffer.from(token);
+        const b = Buffer.from(session.csrf_token);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    /**
+     * Validate a raw session ID and refresh its idle timer
+     * @returns {Object|null} Session row joined with the admin username, or null if invalid
+     */
+    validate(sessionId) {
+        if (!sessionId || typeof sessionId !== 'string') return null;
+
+        const session = db.prepare(`
+            SELECT s.*, a.username, a.role
+            FROM admin_sessions s
+            JOIN admins a ON a.id = s.admin_id
+            WHERE s.id_hash = ? AND s.revoked_at IS NULL AND COALESCE(a.is_active, 1) = 1
+        `).get(this.hashId(sessionId));
+
+        if (!session) return null;
+
+        const now = Date.now();
+        if (this.parseDbDate(session.expires_at) <= now) {
+            this.revokeById(session.id);
+            return null;
+        }
+        if (now - this.parseDbDate(session.last_seen_at) > this.getIdleMs()) {
+            this.revokeById(session.id);
+            return null;
+        }
+
+        // Only write when the idle timer has drifted, to keep DB writes low on busy dashboards
+        if (now - this.parseDbDate(session.last_seen_at) > 30000) {
+            db.prepare('UPDATE admin_sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?').run(session.id);
+        }
+
+        return session;
+    }
+
+    revoke(sessionId) {
+        if (!sessionId || typeof sessionId !== 'string') return false;
+        const result = db.prepare('UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id_hash = ? AND revoked_at IS NULL')
+            .run(this.hashId(sessionId));
+        return result.changes > 0;
+    }
+
+    revokeById(id) {
+        db.prepare('UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL').run(id);
+    }
+
+    /**
+     * Revoke every active session (optionally for one admin only)
+     * @returns {number} Number of sessions revoked
+     */
+    revokeAll(adminId = null) {
+        const result = adminId == null
+            ? db.prepare('UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE revoked_at IS NULL').run()
+            : db.prepare('UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE admin_id = ? AND revoked_at IS NULL').run(adminId);
+        return result.changes;
+    }
+
+    listActive(adminId = null) {
+        const rows = adminId == null
+            ? db.prepare(`
+                SELECT s.id, s.admin_id, a.username, s.ip_address, s.user_agent, s.created_at, s.last_seen_at, s.expires_at
+                FROM admin_sessions s
+                JOIN admins a ON a.id = s.admin_id
+                WHERE s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+                ORDER BY s.last_seen_at DESC
+            `).all()
+            : db.prepare(`
+                SELECT s.id, s.admin_id, a.username, s.ip_address, s.user_agent, s.created_at, s.last_seen_at, s.expires_at
+                FROM admin_sessions s
+                JOIN admins a ON a.id = s.admin_id
+                WHERE s.admin_id = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+                ORDER BY s.last_seen_at DESC
+            `).all(adminId);
+
+        const idleMs = this.getIdleMs();
+        const now = Date.now();
+        return rows.filter(s => now - this.parseDbDate(s.last_seen_at) <= idleMs);
+    }
+
+    // Drop rows that can never be used again (expired or revoked more than a week ago)
+    purgeExpired() {
+        try {
+            db.prepare(`
+                DELETE FROM admin_sessions
+                WHERE expires_at < datetime('now', '-7 days')
+                   OR (revoked_at IS NOT NULL AND revoked_at < datetime('now', '-7 days'))
+            `).run();
+        } catch (e) {
+            console.error('[AdminSession] Failed to purge expired sessions:', e);
+        }
+    }
+
+    cookieOptions() {
+        return { httpOnly: true, sameSite: 'lax', maxAge: this.getTtlMs() };
+    }
+
+    setCookies(res, { sessionId, csrfToken }) {
+        res.cookie(SESSION_COOKIE, sessionId, this.cookieOptions());
+        this.setCsrfCookie(res, csrfToken);
+    }
+
+    setCsrfCookie(res, csrfToken) {
+        res.cookie(CSRF_COOKIE, csrfToken, { httpOnly: false, sameSite: 'strict', maxAge: this.getTtlMs() });
+    }
+
+    clearCookies(res) {
+        res.clearCookie(SESSION_COOKIE);
+        res.clearCookie(CSRF_COOKIE);
+    }
+}
+
+module.exports = new AdminSessionService();
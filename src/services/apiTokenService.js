@@ -0,0 +1,149 @@
+const { db } = require('../database/db');
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'pwt_';
+
+// Permissions (see requirePermission in app.js) that may be granted to a token.
+// Account and security management are deliberately left out: a token can never mint tokens.
+const SCOPE_PERMISSIONS = [
+    'dashboard', 'vouchers', 'sales', 'coins_out', 'devices', 'devices_manage', 'rates',
+    'settings', 'network', 'qos', 'pppoe', 'subvendo', 'logs', 'diagnostics', 'chat', 'audit', 'system'
+];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * API tokens for scripting against the admin API (Authorization: Bearer <token>).
+ * Scopes are "<permission>:read" or "<permission>:write"; write implies read.
+ */
+class ApiTokenService {
+    get availableScopes() {
+        return SCOPE_PERMISSIONS.flatMap(p => [`${p}:read`, `${p}:write`]);
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    normalizeScopes(scopes) {
+        const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+        const clean = [...new Set(list.map(s => String(s).trim()).filter(Boolean))];
+        if (clean.length === 0) throw new Error('At least one scope is required');
+
+        const allowed = this.availableScopes;
+        const invalid = clean.filter(s => !allowed.includes(s));
+        if (invalid.length > 0) throw new Error(`Invalid scope(s): ${invalid.join(', ')}`);
+        return clean;
+    }
+
+    // SQLite DATETIME format (UTC): YYYY-MM-DD HH:MM:SS
+    toDbDate(ms) {
+        return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    parseDbDate(dateStr) {
+        if (!dateStr) return 0;
+        const raw = String(dateStr);
+        return new Date(raw.includes('T') ? raw : (raw.replace(' ', 'T') + 'Z')).getTime();
+    }
+
+    format(row) {
+        if (!row) return null;
+        const { token_hash, ...rest } = row;
+        let scopes = [];
+        try { scopes = JSON.parse(row.scopes || '[]'); } catch (e) {}
+        return { ...rest, scopes };
+    }
+
+    /**
+     * Create a token
+     * @param {Object} opts
+     * @param {number} opts.adminId Owner of the token - requests run with this admin's identity and role
+     * @param {string} opts.name Label shown in the admin panel
+     * @param {string[]|string} opts.scopes
+     * @param {number} [opts.expiresInDays] Omit or 0 for no expiry
+     * @returns {{ token: string, record: Object }} token is the raw value - shown once, never stored
+     */
+    create({ adminId, name, scopes, expiresInDays = null }) {
+        const cleanName = typeof name === 'string' ? name.trim().slice(0, 64) : '';
+        if (!cleanName) throw new Error('Token name is required');
+        const cleanScopes = this.normalizeScopes(scopes);
+
+        let expiresAt = null;
+        if (expiresInDays !== null && expiresInDays !== undefined && expiresInDays !== '') {
+            const days = Number(expiresInDays);
+            if (!Number.isFinite(days) || days < 0) throw new Error('Invalid expiry');
+            if (days > 0) expiresAt = this.toDbDate(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+
+        const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+        const info = db.prepare(`
+            INSERT INTO api_tokens (name, token_hash, token_prefix, scopes, admin_id, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(cleanName, this.hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), JSON.stringify(cleanScopes), adminId, expiresAt);
+
+        return { token, record: this.get(info.lastInsertRowid) };
+    }
+
+    get(id) {
+        return this.format(db.prepare(`
+            SELECT t.*, a.username as admin_username
+            FROM api_tokens t
+            LEFT JOIN admins a ON a.id = t.admin_id
+            WHERE t.id = ?
+        `).get(id));
+    }
+
+    list() {
+        return db.prepare(`
+            SELECT t.*, a.username as admin_username
+            FROM api_tokens t
+            LEFT JOIN admins a ON a.id = t.admin_id
+            WHERE t.revoked_at IS NULL
+            ORDER BY t.created_at DESC
+        `).all().map(row => this.format(row));
+    }
+
+    revoke(id) {
+        const result = db.prepare('UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL').run(id);
+        return result.changes > 0;
+    }
+
+    revokeAllForAdmin(adminId) {
+        return db.prepare('UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE admin_id = ? AND revoked_at IS NULL').run(adminId).changes;
+    }
+
+    /**
+     * Resolve a raw bearer token
+     * @returns {Object|null} Token (with parsed scopes) joined with its admin's username/role, or null
+     */
+    authenticate(rawToken, ip = null) {
+        if (!rawToken || typeof rawToken !== 'string' || !rawToken.startsWith(TOKEN_PREFIX)) return null;
+
+        const row = db.prepare(`
+            SELECT t.*, a.username, a.role
+            FROM api_tokens t
+            JOIN admins a ON a.id = t.admin_id
+            WHERE t.token_hash = ? AND t.revoked_at IS NULL AND COALESCE(a.is_active, 1) = 1
+        `).get(this.hashToken(rawToken));
+        if (!row) return null;
+
+        const now = Date.now();
+        if (row.expires_at && this.parseDbDate(row.expires_at) <= now) return null;
+
+        // Same write-throttling as admin sessions
+        if (now - this.parseDbDate(row.last_used_at) > 30000 || row.last_used_ip !== ip) {
+            db.prepare('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?').run(ip, row.id);
+        }
+
+        return this.format(row);
+    }
+
+    // Does the token grant this permission for this HTTP method?
+    allows(token, permission, method = 'GET') {
+        const scopes = (token && token.scopes) || [];
+        if (scopes.includes(`${permission}:write`)) return true;
+        return READ_METHODS.includes(String(method).toUpperCase()) && scopes.includes(`${permission}:read`);
+    }
+}
+
+module.exports = new ApiTokenService();
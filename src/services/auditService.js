@@ -0,0 +1,142 @@
+const { db } = require('../database/db');
+
+// Values under these keys never reach the audit table
+const SENSITIVE_KEY = /pass(word)?|secret|token|_key$|^key$/i;
+
+/**
+ * Admin audit trail: who changed which configuration, from where, and the
+ * before/after values.
+ */
+class AuditService {
+    redact(value) {
+        if (Array.isArray(value)) return value.map(v => this.redact(v));
+        if (value && typeof value === 'object') {
+            const out = {};
+            for (const [k, v] of Object.entries(value)) {
+                out[k] = SENSITIVE_KEY.test(k) && v != null && v !== '' ? '***' : this.redact(v);
+            }
+            return out;
+        }
+        return value;
+    }
+
+    // Deep copy of config objects that services mutate in place (take before changing them)
+    snapshot(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    serialize(value) {
+        if (value === undefined || value === null) return null;
+        try {
+            return JSON.stringify(this.redact(value));
+        } catch (e) {
+            return JSON.stringify(String(value));
+        }
+    }
+
+    /**
+     * Record a configuration change. Never throws - auditing must not break the change itself.
+     * @param {Object} entry
+     * @param {{id: number, username: string}|null} entry.admin Acting admin (req.admin)
+     * @param {string} entry.ip Client IP
+     * @param {string} entry.entityType e.g. 'rate', 'setting', 'vlan'
+     * @param {string|number|null} entry.entityId
+     * @param {string} entry.action 'create' | 'update' | 'delete'
+     * @param {*} entry.before Value before the change (null on create)
+     * @param {*} entry.after Value after the change (null on delete)
+     */
+    record({ admin = null, ip = null, entityType, entityId = null, action, before = null, after = null }) {
+        try {
+            db.prepare(`
+                INSERT INTO audit_logs (admin_id, admin_username, ip_address, entity_type, entity_id, action, before_value, after_value)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                admin ? admin.id : null,
+                admin ? admin.username : null,
+                ip,
+                entityType,
+                entityId == null ? null : String(entityId),
+                action,
+                this.serialize(before),
+                this.serialize(after)
+            );
+        } catch (e) {
+            console.error('[Audit] Failed to record entry:', e);
+        }
+    }
+
+    /**
+     * Only the keys whose values differ, as { before, after } maps (used for settings)
+     */
+    diff(before = {}, after = {}) {
+        const changedBefore = {};
+        const changedAfter = {};
+        for (const key of Object.keys(after)) {
+            if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                changedBefore[key] = before[key] === undefined ? null : before[key];
+                changedAfter[key] = after[key];
+            }
+        }
+        return Object.keys(changedAfter).length > 0 ? { before: changedBefore, after: changedAfter } : null;
+    }
+
+    parseRow(row) {
+        const parse = (v) => {
+            if (v == null) return null;
+            try { return JSON.parse(v); } catch (e) { return v; }
+        };
+        return { ...row, before_value: parse(row.before_value), after_value: parse(row.after_value) };
+    }
+
+    /**
+     * Search the audit trail
+     * @param {Object} filters actor (username or admin id), entity_type, from / to (YYYY-MM-DD or full datetime), limit, offset
+     * @returns {{ total: number, entries: Object[] }}
+     */
+    list({ actor, entity_type, from, to, limit = 100, offset = 0 } = {}) {
+        const where = [];
+        const params = [];
+
+        if (actor) {
+            if (/^\d+$/.test(String(actor))) {
+                where.push('admin_id = ?');
+                params.push(Number(actor));
+            } else {
+                where.push('admin_username = ?');
+                params.push(String(actor));
+            }
+        }
+        if (entity_type) {
+            where.push('entity_type = ?');
+            params.push(String(entity_type));
+        }
+        // Date-only bounds cover the whole day
+        if (from) {
+            where.push('created_at >= ?');
+            params.push(/^\d{4}-\d{2}-\d{2}$/.test(from) ? `${from} 00:00:00` : String(from));
+        }
+        if (to) {
+            where.push('created_at <= ?');
+            params.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to} 23:59:59` : String(to));
+        }
+
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+        const safeOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+        const total = db.prepare(`SELECT COUNT(*) as count FROM audit_logs ${whereSql}`).get(...params).count;
+        const entries = db.prepare(`
+            SELECT * FROM audit_logs ${whereSql}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, safeLimit, safeOffset).map(row => this.parseRow(row));
+
+        return { total, entries };
+    }
+
+    getEntityTypes() {
+        return db.prepare('SELECT DISTINCT entity_type FROM audit_logs ORDER BY entity_type').all().map(r => r.entity_type);
+    }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,124 @@
+const { db } = require('../database/db');
+const configService = require('./configService');
+const logService = require('./logService');
+
+// Failures older than this are forgotten if no lockout happened
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+// Lockout escalation resets after a quiet day
+const ESCALATION_RESET_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Brute-force protection for admin auth endpoints.
+ * Same idea as access_control (failed_attempts / banned_until), but keyed by
+ * scope + IP or scope + username, with lockouts that double on each repeat.
+ */
+class AuthThrottleService {
+    getSettings() {
+        return {
+            ipMaxAttempts: Number(configService.get('auth_ip_max_attempts')) || 10,
+            userMaxAttempts: Number(configService.get('auth_user_max_attempts')) || 5,
+            lockoutMinutes: Number(configService.get('auth_lockout_minutes')) || 1,
+            lockoutMaxMinutes: Number(configService.get('auth_lockout_max_minutes')) || 60
+        };
+    }
+
+    /**
+     * Build the keys tracked for one request
+     * @param {string} scope 'login' | 'totp' | 'security'
+     */
+    keysFor(scope, ip, username = null) {
+        const keys = [{ key: `${scope}:ip:${ip || 'unknown'}`, type: 'ip' }];
+        if (username) keys.push({ key: `${scope}:user:${String(username).toLowerCase().trim()}`, type: 'user' });
+        return keys;
+    }
+
+    getRecord(key) {
+        return db.prepare('SELECT * FROM auth_attempts WHERE attempt_key = ?').get(key);
+    }
+
+    updatedAtMs(record) {
+        if (!record || !record.updated_at) return 0;
+        const raw = String(record.updated_at);
+        return new Date(raw.includes('T') ? raw : (raw.replace(' ', 'T') + 'Z')).getTime();
+    }
+
+    /**
+     * Check if any of the keys is currently locked
+     * @returns {{ locked: boolean, retryAfterSeconds: number }}
+     */
+    check(keys) {
+        let retryAfterMs = 0;
+        for (const { key } of keys) {
+            const record = this.getRecord(key);
+            if (record && record.banned_until) {
+                const remaining = new Date(record.banned_until).getTime() - Date.now();
+                if (remaining > retryAfterMs) retryAfterMs = remaining;
+            }
+        }
+        return { locked: retryAfterMs > 0, retryAfterSeconds: Math.ceil(retryAfterMs / 1000) };
+    }
+
+    /**
+     * Record a failed attempt against every key and lock the ones over their limit
+     * @param {{ key: string, type: string, limit?: number }[]} keys A key's own limit overrides the per-type setting
+     * @param {string} context Added to the lockout log line
+     * @param {{ lockoutMinutes: number, lockoutMaxMinutes: number }} settings Lockout lengths (default: the auth settings)
+     * @returns {{ locked: boolean, retryAfterSeconds: number, lockouts: { key: string, type: string, minutes: number, count: number }[] }}
+     */
+    recordFailure(keys, context = '', settings = this.getSettings()) {
+        const now = Date.now();
+        let retryAfterMs = 0;
+        const locked = [];
+
+        const upsert = db.prepare(`
+            INSERT INTO auth_attempts (attempt_key, failed_attempts, lockout_count, banned_until, updated_at)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(attempt_key) DO UPDATE SET
+                failed_attempts = excluded.failed_attempts,
+                lockout_count = excluded.lockout_count,
+                banned_until = excluded.banned_until,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+
+        for (const { key, type, limit: keyLimit } of keys) {
+            const record = this.getRecord(key);
+            const idleMs = now - this.updatedAtMs(record);
+
+            let failures = record ? record.failed_attempts : 0;
+            let lockouts = record ? record.lockout_count : 0;
+            if (record && idleMs > FAILURE_WINDOW_MS) failures = 0;
+            if (record && idleMs > ESCALATION_RESET_MS) lockouts = 0;
+
+            failures += 1;
+            let bannedUntil = null;
+            const limit = keyLimit || (type === 'user' ? settings.userMaxAttempts : settings.ipMaxAttempts);
+
+            if (failures >= limit) {
+                const minutes = Math.min(settings.lockoutMinutes * Math.pow(2, lockouts), settings.lockoutMaxMinutes);
+                bannedUntil = new Date(now + minutes * 60000).toISOString();
+                lockouts += 1;
+                failures = 0;
+                retryAfterMs = Math.max(retryAfterMs, minutes * 60000);
+                locked.push({ key, type, minutes, count: lockouts });
+                logService.critical('SYSTEM', `Lockout: ${key} locked for ${minutes} minute(s) after repeated failures (#${lockouts})${context ? ` - ${context}` : ''}`);
+            }
+
+            upsert.run(key, failures, lockouts, bannedUntil);
+        }
+
+        return { locked: retryAfterMs > 0, retryAfterSeconds: Math.ceil(retryAfterMs / 1000), lockouts: locked };
+    }
+
+    // A success clears pending failures; escalation history is kept until it decays
+    recordSuccess(keys) {
+        const stmt = db.prepare('UPDATE auth_attempts SET failed_attempts = 0, banned_until = NULL, updated_at = CURRENT_TIMESTAMP WHERE attempt_key = ?');
+        for (const { key } of keys) stmt.run(key);
+    }
+
+    lockoutMessage(retryAfterSeconds) {
+        const minutes = Math.max(1, Math.ceil(retryAfterSeconds / 60));
+        return `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+    }
+}
+
+module.exports = new AuthThrottleService();
@@ -0,0 +1,168 @@
+const { db } = require('../database/db');
+
+const KINDS = ['coin', 'bill'];
+
+/**
+ * Coin/bill acceptor calibration.
+ * While a slot is calibrating, each pulse train is captured as a signature
+ * ({ coin: <pulses>, bill: <pulses> }) instead of being credited. The admin then
+ * assigns a peso value to each signature and commits it as the slot's
+ * denomination table, which is used to convert later pulse trains to pesos.
+ * Slots use the same keys as coinSessionService ('hardware', 'subvendo:<device_id>').
+ */
+class CoinCalibrationService {
+    constructor() {
+        this.sessions = new Map(); // Slot -> { startedAt, capturing, samples }
+    }
+
+    get kinds() {
+        return KINDS;
+    }
+
+    start(slot) {
+        const session = { slot, startedAt: new Date().toISOString(), capturing: true, samples: [] };
+        this.sessions.set(slot, session);
+        return this.getState(slot);
+    }
+
+    // Stop capturing but keep the samples so they can be reviewed and committed
+    stop(slot) {
+        const session = this.sessions.get(slot);
+        if (session) session.capturing = false;
+        return this.getState(slot);
+    }
+
+    cancel(slot) {
+        this.sessions.delete(slot);
+    }
+
+    isCapturing(slot) {
+        const session = this.sessions.get(slot);
+        return !!(session && session.capturing);
+    }
+
+    /**
+     * Record one pulse train while calibrating
+     * @param {{ coin: number, bill: number }} signature
+     * @param {Object} [stats] Pulse statistics from pulseAnalyzerService (mean interval etc.)
+     */
+    capture(slot, signature, stats = {}) {
+        const session = this.sessions.get(slot);
+        if (!session || !session.capturing) return null;
+
+        const sample = {
+            kind: signature.bill > 0 && !signature.coin ? 'bill' : 'coin',
+            pulses: signature.bill > 0 && !signature.coin ? signature.bill : signature.coin,
+            mixed: signature.bill > 0 && signature.coin > 0,
+            mean_interval_ms: stats.mean_interval_ms != null ? stats.mean_interval_ms : null,
+            at: new Date().toISOString()
+        };
+        session.samples.push(sample);
+        return sample;
+    }
+
+    /**
+     * Current calibration state with samples grouped by signature
+     */
+    getState(slot) {
+        const session = this.sessions.get(slot);
+        if (!session) return { slot, active: false, capturing: false, samples: [], signatures: [], table: this.getTable(slot) };
+
+        const groups = new Map();
+        for (const sample of session.samples) {
+            if (sample.mixed) continue; // Coin and bill in one train can't be attributed
+            const key = `${sample.kind}:${sample.pulses}`;
+            const group = groups.get(key) || { kind: sample.kind, pulses: sample.pulses, count: 0 };
+            group.count++;
+            groups.set(key, group);
+        }
+
+        return {
+            slot,
+            active: true,
+            capturing: session.capturing,
+            started_at: session.startedAt,
+            samples: session.samples,
+            signatures: Array.from(groups.values()).sort((a, b) => a.kind.localeCompare(b.kind) || a.pulses - b.pulses),
+            table: this.getTable(slot)
+        };
+    }
+
+    getTable(slot) {
+        return db.prepare('SELECT * FROM coin_denominations WHERE slot = ? ORDER BY kind ASC, pulses ASC').all(slot);
+    }
+
+    validateEntries(denominations) {
+        if (!Array.isArray(denominations)) throw new Error('denominations must be an array');
+        const seen = new Set();
+        return denominations.map(d => {
+            const kind = KINDS.includes(d.kind) ? d.kind : null;
+            const pulses = parseInt(d.pulses, 10);
+            const amount = parseInt(d.amount, 10);
+            if (!kind) throw new Error(`Invalid kind. Allowed: ${KINDS.join(', ')}`);
+            if (!Number.isInteger(pulses) || pulses <= 0) throw new Error('Pulses must be a positive number');
+            if (!Number.isInteger(amount) || amount <= 0) throw new Error(`Amount for ${kind} ${pulses} pulse(s) must be a positive number`);
+            const key = `${kind}:${pulses}`;
+            if (seen.has(key)) throw new Error(`Duplicate signature: ${kind} ${pulses} pulse(s)`);
+            seen.add(key);
+            const label = typeof d.label === 'string' && d.label.trim() ? d.label.trim().slice(0, 32) : `P${amount} ${kind}`;
+            return { kind, pulses, amount, label };
+        });
+    }
+
+    /**
+     * Save the slot's denomination table (replaces the previous one) and end calibration.
+     * An empty list removes the table, so the slot goes back to plain pulse counting.
+     */
+    commit(slot, denominations) {
+        const entries = this.validateEntries(denominations);
+        const insert = db.prepare('INSERT INTO coin_denominations (slot, kind, pulses, amount, label) VALUES (?, ?, ?, ?, ?)');
+        const transaction = db.transaction(() => {
+            db.prepare('DELETE FROM coin_denominations WHERE slot = ?').run(slot);
+            for (const e of entries) insert.run(slot, e.kind, e.pulses, e.amount, e.label);
+        });
+        transaction();
+        this.sessions.delete(slot);
+        return this.getTable(slot);
+    }
+
+    // Peso value of `pulses` pulses of one kind, or null if the table can't explain them
+    convertKind(table, kind, pulses) {
+        if (!pulses) return 0;
+        const entries = table.filter(d => d.kind === kind).sort((a, b) => b.pulses - a.pulses);
+        if (entries.length === 0) return null;
+
+        const exact = entries.find(d => d.pulses === pulses);
+        if (exact) return exact.amount;
+
+        // Several coins in one train (inserted back to back): largest signatures first
+        let remaining = pulses;
+        let amount = 0;
+        for (const d of entries) {
+            const count = Math.floor(remaining / d.pulses);
+            amount += count * d.amount;
+            remaining -= count * d.pulses;
+        }
+        return remaining === 0 ? amount : null;
+    }
+
+    /**
+     * Convert a pulse train to pesos using the slot's denomination table
+     * @param {number} fallbackAmount Legacy pulse-count value used when the slot isn't calibrated
+     * @returns {{ amount: number, calibrated: boolean }}
+     */
+    toAmount(slot, signature, fallbackAmount) {
+        const table = this.getTable(slot);
+        if (table.length === 0) return { amount: fallbackAmount, calibrated: false };
+
+        const coin = this.convertKind(table, 'coin', signature.coin || 0);
+        const bill = this.convertKind(table, 'bill', signature.bill || 0);
+        if (coin === null || bill === null) {
+            console.warn(`[Calibration] ${slot}: no denomination matches ${signature.coin || 0} coin / ${signature.bill || 0} bill pulse(s), using pulse count`);
+            return { amount: fallbackAmount, calibrated: false };
+        }
+        return { amount: coin + bill, calibrated: true };
+    }
+}
+
+module.exports = new CoinCalibrationService();
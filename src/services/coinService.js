@@ -1,6 +1,7 @@
 const EventEmitter = require('events');
 const configService = require('./configService');
 const boardDetectionService = require('./boardDetectionService');
+const pulseAnalyzerService = require('./pulseAnalyzerService');
 const fs = require('fs');
 
 const { execSync } = require('child_process');
@@ -35,6 +36,10 @@ class CoinService extends EventEmitter {
         this.isBanned = false;
         this.banTimer = null;
         this.activityStart = 0; // Track start of pulse activity
+
+        this.train = null;        // Pulses collected since the last commit (for pulseAnalyzerService)
+        this.pulseStartedAt = 0;  // Edge BOTH: when the current pulse went active
+        this.trippedUntil = 0;    // Slot disabled after a suspected tamper
         
         // Run cleanup script before initialization (Linux only)
         if (process.platform !== 'win32') {
@@ -109,6 +114,7 @@ class CoinService extends EventEmitter {
 
         this.gpioPin = pin;
         this.billPin = billPin;
+        this.coinEdge = pinEdge;
 
         if (Gpio) {
             const initPin = async (pinNum, edge, label) => {
@@ -171,10 +177,20 @@ class CoinService extends EventEmitter {
         console.warn(`CoinService: BANNED for ${this.banDuration} minutes due to suspicious activity (>${this.banLimit}s).`);
         
         // Clear any pending commits
+        const train = this.train;
+        this.train = null;
         this.pulseCount = 0;
         this.activityStart = 0;
         if (this.timer) clearTimeout(this.timer);
 
+        this.emit('anomaly', {
+            source: 'hardware',
+            classification: 'tamper',
+            pulses: train ? train.pulses.length : 0,
+            reasons: [`continuous pulse activity for over ${this.banLimit}s (slot banned ${this.banDuration}m)`],
+            stats: train ? pulseAnalyzerService.classify(train).stats : {}
+        });
+
         // Unban after duration
         setTimeout(() => {
             this.isBanned = false;
@@ -200,47 +216,90 @@ class CoinService extends EventEmitter {
         return false;
     }
 
+    isSimulation() {
+        return !this.coinInsert && !this.billValidator;
+    }
+
+    // Disable the slot for a while after a suspected tamper (pulses are ignored meanwhile)
+    trip(minutes) {
+        this.trippedUntil = Date.now() + minutes * 60 * 1000;
+        this.train = null;
+        this.pulseCount = 0;
+        if (this.timer) clearTimeout(this.timer);
+        console.warn(`CoinService: Slot tripped for ${minutes} minutes after suspected tamper.`);
+    }
+
+    isTripped() {
+        return this.trippedUntil > Date.now();
+    }
+
     handleCoinPulse(err, value) {
-        if (this.checkBanCondition()) return;
+        if (this.isTripped() || this.checkBanCondition()) return;
         
         const now = Date.now();
-        
-        // Simple debounce
-        if (now - this.lastPulseTime < this.debounceTime) return;
-        this.lastPulseTime = now;
 
-        this.pulseCount++;
-        
-        // Reset the commit timer
-        if (this.timer) clearTimeout(this.timer);
+        // Edge BOTH: count on release so the pulse width is known (acceptor output is active low)
+        if (this.coinEdge === 'both') {
+            if (value === 0) {
+                this.pulseStartedAt = now;
+                return;
+            }
+            const width = this.pulseStartedAt ? now - this.pulseStartedAt : null;
+            this.pulseStartedAt = 0;
+            this.registerPulse(now, 'coin', width);
+            return;
+        }
 
-        this.timer = setTimeout(() => {
-            this.commitCoins();
-        }, this.commitTime);
+        this.registerPulse(now, 'coin', null);
     }
     
     handleBillPulse(err, value) {
-        if (this.checkBanCondition()) return;
+        if (this.isTripped() || this.checkBanCondition()) return;
         
-        const now = Date.now();
-        if (now - this.lastPulseTime < this.debounceTime) return;
+        this.registerPulse(Date.now(), 'bill', null);
+    }
+
+    registerPulse(now, kind, width) {
+        const value = kind === 'bill' ? (this.billMultiplier || 1) : 1;
+        if (!this.train) this.train = { source: 'hardware', startedAt: now, pulses: [], bounced: 0 };
+
+        // Simple debounce
+        if (now - this.lastPulseTime < this.debounceTime) {
+            this.train.bounced++;
+            return;
+        }
         this.lastPulseTime = now;
+
+        this.train.pulses.push({ at: now, width, value, kind });
+        this.pulseCount += value;
         
-        this.pulseCount += this.billMultiplier; 
-        
+        // Reset the commit timer
         if (this.timer) clearTimeout(this.timer);
+
         this.timer = setTimeout(() => {
             this.commitCoins();
         }, this.commitTime);
     }
 
     commitCoins() {
-        if (this.pulseCount > 0) {
-            console.log(`Coin Inserted: ${this.pulseCount} pulses`);
-            this.emit('coin', this.pulseCount);
-            this.pulseCount = 0;
-            this.activityStart = 0; // Reset activity timer on successful commit
+        const train = this.train;
+        const pulseCount = this.pulseCount;
+        this.train = null;
+        this.pulseCount = 0;
+        this.activityStart = 0; // Reset activity timer on commit
+        if (!train || pulseCount <= 0) return;
+
+        train.endedAt = Date.now();
+        const result = pulseAnalyzerService.classify(train);
+
+        if (result.classification === 'valid') {
+            console.log(`Coin Inserted: ${result.credit} pulses`);
+            this.emit('coin', result.credit, result.signature, result.stats);
+            return;
         }
+
+        console.warn(`CoinService: ${pulseCount} pulses classified as ${result.classification}${result.reasons.length ? ` (${result.reasons.join('; ')})` : ''}`);
+        this.emit('anomaly', { source: 'hardware', pulses: train.pulses.length, ...result });
     }
 }
 
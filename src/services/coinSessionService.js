@@ -0,0 +1,203 @@
+const { db } = require('../database/db');
+const crypto = require('crypto');
+
+const HARDWARE_SLOT = 'hardware';
+
+/**
+ * Coin sessions keyed by physical slot, so customers can pay at different
+ * machines at the same time.
+ * Slots are 'hardware' (main GPIO coinslot) and 'subvendo:<device_id>' - the same
+ * strings used as pulse sources and as ids in /api/status available_vendos.
+ * Every change is written to coin_sessions so pending coins survive a restart.
+ */
+class CoinSessionService {
+    constructor() {
+        this.sessions = new Map(); // Slot -> session
+    }
+
+    get hardwareSlot() {
+        return HARDWARE_SLOT;
+    }
+
+    get(slot) {
+        return this.sessions.get(slot) || null;
+    }
+
+    list() {
+        return Array.from(this.sessions.values());
+    }
+
+    // A customer holds at most one slot at a time
+    findByMac(mac) {
+        if (!mac) return null;
+        const needle = String(mac).toLowerCase();
+        for (const session of this.sessions.values()) {
+            if (String(session.mac).toLowerCase() === needle) return session;
+        }
+        return null;
+    }
+
+    isBusy(slot, mac) {
+        const session = this.get(slot);
+        return !!session && String(session.mac).toLowerCase() !== String(mac).toLowerCase();
+    }
+
+    /**
+     * Claim a slot. Pending amount is kept if the same customer re-opens the slot.
+     * @param {string} slot
+     * @param {{ mac: string, ip: string, clientId: string, selectionMode: string }} owner
+     */
+    start(slot, { mac, ip, clientId, selectionMode }) {
+        const existing = this.get(slot);
+        const keep = existing && String(existing.mac).toLowerCase() === String(mac).toLowerCase();
+        if (existing) this.clearTimer(existing);
+
+        const session = {
+            id: keep ? existing.id : crypto.randomBytes(8).toString('hex'),
+            slot,
+            mac,
+            ip,
+            clientId,
+            selectionMode,
+            start: Date.now(),
+            pendingAmount: keep ? existing.pendingAmount : 0,
+            pendingMinutes: keep ? existing.pendingMinutes : 0,
+            sourceAmounts: keep ? existing.sourceAmounts : {}, // Track amount per source
+            lastSource: keep ? existing.lastSource : null,
+            timer: null
+        };
+        this.sessions.set(slot, session);
+        this.persist(session);
+        return session;
+    }
+
+    /**
+     * Session that should be credited for a pulse from this source.
+     * Auto-mode customers hold the main slot but still accept coins from any
+     * sub-vendo nobody has claimed (the pre-slot behaviour of auto mode).
+     */
+    resolveForSource(source) {
+        const slot = source || HARDWARE_SLOT;
+        const direct = this.get(slot);
+        if (direct) return direct;
+
+        const main = this.get(HARDWARE_SLOT);
+        if (main && main.selectionMode !== 'manual') return main;
+        return null;
+    }
+
+    // When the customer opened the slot (recovered sessions carry the stored UTC timestamp)
+    startedAt(session) {
+        if (session.start) return new Date(session.start);
+        if (session.startedAt) {
+            const raw = String(session.startedAt);
+            const parsed = new Date(raw.includes('T') ? raw : raw.replace(' ', 'T') + 'Z');
+            if (!isNaN(parsed.getTime())) return parsed;
+        }
+        return new Date();
+    }
+
+    addPulses(session, source, amount) {
+        const src = source || HARDWARE_SLOT;
+        session.lastSource = src;
+        session.pendingAmount += amount;
+        session.sourceAmounts[src] = (session.sourceAmounts[src] || 0) + amount;
+        this.persist(session);
+        return session.pendingAmount;
+    }
+
+    // (Re)arm the slot's inactivity timeout
+    setTimer(session, ms, onExpire) {
+        this.clearTimer(session);
+        session.timer = setTimeout(onExpire, ms);
+    }
+
+    clearTimer(session) {
+        if (session && session.timer) clearTimeout(session.timer);
+        if (session) session.timer = null;
+    }
+
+    // Free the slot and hand back its session for finalizing.
+    // The stored copy stays until forget() is called once the credit is applied.
+    release(slot) {
+        const session = this.get(slot);
+        if (!session) return null;
+        this.clearTimer(session);
+        this.sessions.delete(slot);
+        return session;
+    }
+
+    // --- Persistence ---
+
+    persist(session) {
+        try {
+            db.prepare(`
+                INSERT INTO coin_sessions (id, slot, mac_address, ip_address, client_id, selection_mode, pending_amount, source_amounts, last_source)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET
+                    ip_address = excluded.ip_address,
+                    client_id = excluded.client_id,
+                    selection_mode = excluded.selection_mode,
+                    pending_amount = excluded.pending_amount,
+                    source_amounts = excluded.source_amounts,
+                    last_source = excluded.last_source,
+                    updated_at = CURRENT_TIMESTAMP
+            `).run(
+                session.id,
+                session.slot,
+                session.mac,
+                session.ip || null,
+                session.clientId == null ? null : String(session.clientId),
+                session.selectionMode || null,
+                Number(session.pendingAmount) || 0,
+                JSON.stringify(session.sourceAmounts || {}),
+                session.lastSource || null
+            );
+        } catch (e) {
+            console.error('[Coin] Failed to persist coin session:', e);
+        }
+    }
+
+    forget(session) {
+        if (!session || !session.id) return;
+        try {
+            this.remove(session);
+        } catch (e) {
+            console.error('[Coin] Failed to remove coin session:', e);
+        }
+    }
+
+    // As forget(), for use inside the caller's credit transaction: a failure rolls the credit back
+    remove(session) {
+        if (!session || !session.id) return;
+        db.prepare('DELETE FROM coin_sessions WHERE id = ?').run(session.id);
+    }
+
+    /**
+     * Sessions left behind by a crash or restart (stored but not live in this process), oldest first
+     */
+    loadOrphaned() {
+        const live = new Set(this.list().map(s => s.id));
+        return db.prepare('SELECT * FROM coin_sessions ORDER BY started_at ASC').all()
+            .filter(row => !live.has(row.id))
+            .map(row => {
+                let sourceAmounts = {};
+                try { sourceAmounts = JSON.parse(row.source_amounts || '{}') || {}; } catch (e) {}
+                return {
+                    id: row.id,
+                    slot: row.slot,
+                    mac: row.mac_address,
+                    ip: row.ip_address,
+                    clientId: row.client_id,
+                    selectionMode: row.selection_mode,
+                    pendingAmount: Number(row.pending_amount) || 0,
+                    sourceAmounts,
+                    lastSource: row.last_source,
+                    startedAt: row.started_at,
+                    timer: null
+                };
+            });
+    }
+}
+
+module.exports = new CoinSessionService();
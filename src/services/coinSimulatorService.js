@@ -0,0 +1,114 @@
+const coinService = require('./coinService');
+
+const MAX_PULSES_PER_TRAIN = 200;
+const MAX_TOTAL_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Drives CoinService's GPIO handlers with timed edges, exactly as the acceptor
+ * would, so debounce, commit timing, the pulse analyzer and the activity ban all
+ * apply. Only available in simulation mode (no GPIO).
+ *
+ * A run is a list of trains:
+ * { kind: 'coin'|'bill', pulses, interval_ms = 100, width_ms = 30, bounce_ms = null, delay_ms = 0 }
+ * - interval_ms: start-to-start spacing of pulses in the train
+ * - width_ms: how long each pulse stays active (only observed with coin pin edge BOTH)
+ * - bounce_ms: add a contact-bounce edge this long after each pulse (should be debounced)
+ * - delay_ms: idle time before the train (> 300ms makes it a separate commit)
+ */
+class CoinSimulatorService {
+    constructor() {
+        this.running = false;
+    }
+
+    normalize(trains) {
+        if (!Array.isArray(trains) || trains.length === 0) throw new Error('trains must be a non-empty array');
+
+        const int = (v, def, min, label) => {
+            if (v === undefined || v === null || v === '') return def;
+            const n = Math.trunc(Number(v));
+            if (!Number.isFinite(n) || n < min) throw new Error(`${label} must be a number >= ${min}`);
+            return n;
+        };
+
+        let totalMs = 0;
+        const list = trains.map(t => {
+            const train = {
+                kind: t.kind === 'bill' ? 'bill' : 'coin',
+                pulses: int(t.pulses, null, 1, 'pulses'),
+                interval_ms: int(t.interval_ms, 100, 1, 'interval_ms'),
+                width_ms: int(t.width_ms, 30, 0, 'width_ms'),
+                bounce_ms: int(t.bounce_ms, null, 0, 'bounce_ms'),
+                delay_ms: int(t.delay_ms, 0, 0, 'delay_ms')
+            };
+            if (train.pulses === null) throw new Error('pulses is required');
+            if (train.pulses > MAX_PULSES_PER_TRAIN) throw new Error(`pulses must be at most ${MAX_PULSES_PER_TRAIN}`);
+            totalMs += train.delay_ms + train.pulses * Math.max(train.interval_ms, train.width_ms + (train.bounce_ms || 0));
+            return train;
+        });
+        if (totalMs > MAX_TOTAL_MS) throw new Error(`Simulation would take longer than ${MAX_TOTAL_MS / 1000}s`);
+        return list;
+    }
+
+    // One pulse as GPIO edges (value 0 = active, 1 = released)
+    async pulse(train) {
+        const edge = (value) => train.kind === 'bill'
+            ? coinService.handleBillPulse(null, value)
+            : coinService.handleCoinPulse(null, value);
+        const both = train.kind === 'coin' && coinService.coinEdge === 'both';
+
+        edge(0);
+        if (both) {
+            await sleep(train.width_ms);
+            edge(1);
+        }
+        if (train.bounce_ms !== null) {
+            await sleep(train.bounce_ms);
+            edge(0);
+            if (both) edge(1);
+        }
+    }
+
+    /**
+     * Run the trains and wait for the last commit
+     * @returns {Promise<{ pulses_sent: number, duration_ms: number, events: Object[] }>}
+     *   events: what CoinService emitted ('coin' with credit/signature, or 'anomaly')
+     */
+    async run(trains) {
+        if (!coinService.isSimulation()) throw new Error('The coin simulator only runs in simulation mode (no GPIO)');
+        if (this.running) throw new Error('A simulation is already running');
+        const list = this.normalize(trains);
+
+        this.running = true;
+        const events = [];
+        const onCoin = (credit, signature) => events.push({ type: 'coin', credit, signature });
+        const onAnomaly = (event) => events.push({ type: 'anomaly', classification: event.classification, pulses: event.pulses, reasons: event.reasons });
+        coinService.on('coin', onCoin);
+        coinService.on('anomaly', onAnomaly);
+
+        const started = Date.now();
+        let sent = 0;
+        try {
+            for (const train of list) {
+                if (train.delay_ms) await sleep(train.delay_ms);
+                for (let i = 0; i < train.pulses; i++) {
+                    const pulseStart = Date.now();
+                    await this.pulse(train);
+                    sent++;
+                    if (i < train.pulses - 1) await sleep(Math.max(0, train.interval_ms - (Date.now() - pulseStart)));
+                }
+            }
+            // Let the commit timer fire
+            await sleep(coinService.commitTime + 100);
+        } finally {
+            coinService.off('coin', onCoin);
+            coinService.off('anomaly', onAnomaly);
+            this.running = false;
+        }
+
+        return { pulses_sent: sent, duration_ms: Date.now() - started, events };
+    }
+}
+
+module.exports = new CoinSimulatorService();
@@ -0,0 +1,75 @@
+const configService = require('./configService');
+
+const MB = 1024 * 1024;
+const ACTIONS = ['pause', 'expire'];
+
+/**
+ * Data allowances for rates and vouchers (data_mb, 0 = unlimited data).
+ * A customer's allowance is users.data_remaining in bytes; NULL means no cap.
+ * - Time + data plan: the session ends when either runs out.
+ * - Data-only plan (minutes 0): the data is valid for data_plan_validity_hours.
+ * Unlimited data wins: buying an uncapped plan removes the cap, and a capped plan
+ * bought while uncapped time is still running doesn't add one.
+ * When the allowance runs out the session is paused (time kept until more data
+ * is bought) or expired, per data_cap_action.
+ */
+class DataPlanService {
+    getSettings() {
+        const hours = Number(configService.get('data_plan_validity_hours'));
+        const action = configService.get('data_cap_action');
+        return {
+            validityMinutes: Math.round((Number.isFinite(hours) && hours > 0 ? hours : 24) * 60),
+            action: ACTIONS.includes(action) ? action : 'pause'
+        };
+    }
+
+    toBytes(mb) {
+        const n = Number(mb);
+        return Number.isFinite(n) && n > 0 ? Math.round(n * MB) : 0;
+    }
+
+    // Validates a plan's allowance (MB). Returns 0 for unlimited.
+    parseMb(value) {
+        if (value === undefined || value === null || value === '') return 0;
+        const mb = Number(value);
+        if (!Number.isInteger(mb) || mb < 0) throw new Error('Data allowance must be a whole number of MB (0 = unlimited)');
+        return mb;
+    }
+
+    // Minutes a plan grants: data-only plans get the validity window
+    planMinutes(minutes, dataMb) {
+        const m = Number(minutes) || 0;
+        if (m > 0 || !(Number(dataMb) > 0)) return m;
+        return this.getSettings().validityMinutes;
+    }
+
+    /**
+     * data_remaining after the user buys a plan with `dataMb` (0/null = unlimited)
+     * @param {Object|null} user Row before the purchase
+     * @returns {number|null} Bytes, or null for no cap
+     */
+    nextRemaining(user, dataMb) {
+        return this.addBytes(user, this.toBytes(dataMb));
+    }
+
+    // Same as nextRemaining() for an allowance in bytes (0 = unlimited)
+    addBytes(user, bytes) {
+        if (!bytes) return null;
+        if (!user) return bytes;
+
+        const hasTime = Number(user.time_remaining) > 0;
+        if (!hasTime) return bytes; // Previous allowance ended with the session
+        if (user.data_remaining === null || user.data_remaining === undefined) return null;
+        return Math.max(0, Number(user.data_remaining) || 0) + bytes;
+    }
+
+    isCapped(user) {
+        return !!user && user.data_remaining !== null && user.data_remaining !== undefined;
+    }
+
+    isExhausted(user) {
+        return this.isCapped(user) && Number(user.data_remaining) <= 0;
+    }
+}
+
+module.exports = new DataPlanService();
@@ -0,0 +1,127 @@
+const { db } = require('../database/db');
+const configService = require('./configService');
+
+const MB = 1024 * 1024;
+
+/**
+ * Fair-use policy: once a user downloads more than the plan's threshold within the
+ * rolling window (fup_window_hours, default 24), their speed drops to the plan's
+ * throttled speed; it comes back once old traffic ages out of the window.
+ * The policy (fup_threshold_mb, fup_download_speed, fup_upload_speed) is set per rate
+ * and per voucher, copied to the user on purchase like the speeds. The latest plan's
+ * policy applies; threshold 0 means no fair-use limit.
+ * Downloads are kept in hourly buckets in fair_use_usage.
+ */
+class FairUseService {
+    constructor() {
+        this.lastCleanup = 0;
+    }
+
+    getSettings() {
+        const hours = parseInt(configService.get('fup_window_hours'), 10);
+        return {
+            windowHours: Number.isInteger(hours) && hours > 0 ? hours : 24
+        };
+    }
+
+    /**
+     * Validate a plan's policy. Speeds are kbps.
+     * @returns {{ fup_threshold_mb: number, fup_download_speed: number|null, fup_upload_speed: number|null }}
+     */
+    parsePolicy(input) {
+        const data = input || {};
+        const int = (v) => (v === undefined || v === null || v === '' ? 0 : Number(v));
+        const threshold = int(data.fup_threshold_mb);
+        if (!Number.isInteger(threshold) || threshold < 0) throw new Error('Fair-use threshold must be a whole number of MB (0 = off)');
+        if (threshold === 0) return { fup_threshold_mb: 0, fup_download_speed: null, fup_upload_speed: null };
+
+        const down = int(data.fup_download_speed);
+        const up = int(data.fup_upload_speed);
+        if (!Number.isInteger(down) || down <= 0 || !Number.isInteger(up) || up <= 0) {
+            throw new Error('Set the throttled download and upload speed for the fair-use threshold');
+        }
+        return { fup_threshold_mb: threshold, fup_download_speed: down, fup_upload_speed: up };
+    }
+
+    // Policy carried by a rate or voucher row, in the users column layout
+    policyOf(plan) {
+        if (!plan || !(Number(plan.fup_threshold_mb) > 0)) return { fup_threshold_mb: 0, fup_download_speed: null, fup_upload_speed: null };
+        return {
+            fup_threshold_mb: Number(plan.fup_threshold_mb),
+            fup_download_speed: plan.fup_download_speed,
+            fup_upload_speed: plan.fup_upload_speed
+        };
+    }
+
+    hasPolicy(user) {
+        return !!user && Number(user.fup_threshold_mb) > 0 && Number(user.fup_download_speed) > 0 && Number(user.fup_upload_speed) > 0;
+    }
+
+    // Speeds to apply for the user right now (throttled or their plan speeds)
+    speedsFor(user) {
+        if (user && user.fup_throttled && this.hasPolicy(user)) {
+            return { download: user.fup_download_speed, upload: user.fup_upload_speed };
+        }
+        return { download: user ? user.download_speed : null, upload: user ? user.upload_speed : null };
+    }
+
+    record(userId, bytesDown) {
+        if (!userId || !(bytesDown > 0)) return;
+        db.prepare(`
+            INSERT INTO fair_use_usage (user_id, hour, bytes_down) VALUES (?, strftime('%Y-%m-%d %H:00:00', 'now'), ?)
+            ON CONFLICT(user_id, hour) DO UPDATE SET bytes_down = bytes_down + excluded.bytes_down
+        `).run(userId, bytesDown);
+
+        // Hourly: drop buckets no window can reach any more
+        if (Date.now() - this.lastCleanup > 3600000) {
+            this.lastCleanup = Date.now();
+            const keepHours = Math.max(this.getSettings().windowHours, 24) + 1;
+            db.prepare(`DELETE FROM fair_use_usage WHERE hour < strftime('%Y-%m-%d %H:00:00', 'now', ?)`).run(`-${keepHours} hours`);
+        }
+    }
+
+    // Bytes downloaded in the current window (the current hour plus the previous windowHours - 1)
+    usage(userId) {
+        const { windowHours } = this.getSettings();
+        const row = db.prepare(`
+            SELECT COALESCE(SUM(bytes_down), 0) as bytes FROM fair_use_usage
+            WHERE user_id = ? AND hour >= strftime('%Y-%m-%d %H:00:00', 'now', ?)
+        `).get(userId, `-${windowHours - 1} hours`);
+        return row.bytes;
+    }
+
+    /**
+     * Compare the window's usage with the user's threshold and flip fup_throttled.
+     * The caller applies the speeds.
+     * @returns {'throttle'|'restore'|null}
+     */
+    evaluate(user) {
+        if (!user || (!this.hasPolicy(user) && !user.fup_throttled)) return null;
+
+        const over = this.hasPolicy(user) && this.usage(user.id) >= Number(user.fup_threshold_mb) * MB;
+        if (over && !user.fup_throttled) {
+            db.prepare('UPDATE users SET fup_throttled = 1 WHERE id = ?').run(user.id);
+            return 'throttle';
+        }
+        if (!over && user.fup_throttled) {
+            db.prepare('UPDATE users SET fup_throttled = 0 WHERE id = ?').run(user.id);
+            return 'restore';
+        }
+        return null;
+    }
+
+    // Portal status, null when the user's plan has no fair-use limit
+    status(user) {
+        if (!this.hasPolicy(user)) return null;
+        return {
+            throttled: !!user.fup_throttled,
+            threshold_mb: Number(user.fup_threshold_mb),
+            used_mb: Math.floor(this.usage(user.id) / MB),
+            window_hours: this.getSettings().windowHours,
+            download_speed: user.fup_download_speed,
+            upload_speed: user.fup_upload_speed
+        };
+    }
+}
+
+module.exports = new FairUseService();
@@ -0,0 +1,198 @@
+const { db } = require('../database/db');
+const configService = require('./configService');
+const logService = require('./logService');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Loyalty points keyed by the customer's user_code (CJ-XXXXXX), so they follow
+ * the customer across devices when a session is restored by code.
+ * Points are earned per peso spent (coins, sub-vendo, vouchers) and burned for
+ * free minutes. Every change is a row in loyalty_points_ledger; the balance is the sum.
+ */
+class LoyaltyService {
+    getSettings() {
+        const num = (key, def) => {
+            const raw = configService.get(key);
+            const v = Number(raw);
+            return raw !== null && raw !== undefined && raw !== '' && Number.isFinite(v) && v >= 0 ? v : def;
+        };
+        const enabled = configService.get('loyalty_enabled');
+        return {
+            enabled: enabled === true || enabled === 'true' || enabled === '1' || enabled === 'enabled',
+            pointsPerPeso: num('loyalty_points_per_peso', 1),     // Earn ratio
+            minutesPerPoint: num('loyalty_minutes_per_point', 1), // Burn ratio
+            minRedeemPoints: num('loyalty_min_redeem_points', 10)
+        };
+    }
+
+    getBalance(userCode) {
+        if (!userCode) return 0;
+        const row = db.prepare('SELECT COALESCE(SUM(points), 0) as balance FROM loyalty_points_ledger WHERE user_code = ?').get(userCode);
+        return round2(row.balance);
+    }
+
+    /**
+     * Credit points for a purchase. No-op when the program is off or the customer has no code yet.
+     * @param {{ userCode: string, mac: string, amount: number, source: string, reference: string }} purchase
+     *   source: 'hardware', 'subvendo:<device_id>' or 'voucher'
+     * @returns {number} Points earned
+     */
+    earn({ userCode, mac = null, amount, source, reference = null }) {
+        const settings = this.getSettings();
+        const pesos = Number(amount) || 0;
+        if (!settings.enabled || !userCode || pesos <= 0) return 0;
+
+        const points = round2(pesos * settings.pointsPerPeso);
+        if (points <= 0) return 0;
+
+        db.prepare(`
+            INSERT INTO loyalty_points_ledger (user_code, mac_address, type, points, amount, source, reference)
+            VALUES (?, ?, 'earn', ?, ?, ?, ?)
+        `).run(userCode, mac, points, pesos, source || null, reference == null ? null : String(reference));
+        return points;
+    }
+
+    /**
+     * Burn points for free minutes (added to the customer's time)
+     * @returns {{ points: number, minutes: number, balance: number }}
+     */
+    redeem({ userCode, mac = null, points }) {
+        const settings = this.getSettings();
+        if (!settings.enabled) throw new Error('Loyalty program is not enabled');
+        if (!userCode) throw new Error('No customer code yet. Buy time first to start earning points.');
+
+        const burn = Number(points);
+        if (!Number.isInteger(burn) || burn <= 0) throw new Error('Points must be a whole number');
+        if (burn < settings.minRedeemPoints) throw new Error(`Redeem at least ${settings.minRedeemPoints} points`);
+
+        const minutes = Math.floor(burn * settings.minutesPerPoint);
+        if (minutes <= 0) throw new Error('Not enough points for a minute of time');
+
+        const transaction = db.transaction(() => {
+            const balance = this.getBalance(userCode);
+            if (burn > balance) throw new Error(`Not enough points (balance ${balance})`);
+
+            const user = db.prepare('SELECT id FROM users WHERE user_code = ?').get(userCode);
+            if (!user) throw new Error('Customer not found');
+
+            db.prepare(`
+                INSERT INTO loyalty_points_ledger (user_code, mac_address, type, points, minutes, source)
+                VALUES (?, ?, 'redeem', ?, ?, 'portal')
+            `).run(userCode, mac, -burn, minutes);
+            db.prepare(`
+                UPDATE users
+                SET time_remaining = time_remaining + ?,
+                    total_time = total_time + ?,
+                    is_paused = 0,
+                    is_connected = 1,
+                    last_active_at = CURRENT_TIMESTAMP,
+                    last_traffic_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(minutes * 60, minutes * 60, user.id);
+            return round2(balance - burn);
+        });
+
+        const balance = transaction();
+        logService.info('SYSTEM', `Loyalty: ${userCode} redeemed ${burn} points for ${minutes} mins (balance ${balance})`);
+        return { points: burn, minutes, balance };
+    }
+
+    history(userCode, limit = 10) {
+        if (!userCode) return [];
+        const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100);
+        return db.prepare(`
+            SELECT type, points, amount, minutes, source, created_at FROM loyalty_points_ledger
+            WHERE user_code = ? ORDER BY created_at DESC, id DESC LIMIT ?
+        `).all(userCode, safeLimit);
+    }
+
+    // Admin: ledger entries with filters
+    list({ user_code, type, limit = 100, offset = 0 } = {}) {
+        const where = [];
+        const params = [];
+        if (user_code) { where.push('user_code = ?'); params.push(String(user_code).toUpperCase()); }
+        if (type) { where.push('type = ?'); params.push(String(type)); }
+        const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+        const safeOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+        const total = db.prepare(`SELECT COUNT(*) as count FROM loyalty_points_ledger ${clause}`).get(...params).count;
+        const entries = db.prepare(`
+            SELECT * FROM loyalty_points_ledger ${clause}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, safeLimit, safeOffset);
+        return { total, entries };
+    }
+
+    /**
+     * Admin report: totals for the period (local dates, inclusive), earnings by source,
+     * outstanding liability and top balances
+     */
+    report({ from, to } = {}) {
+        const where = [];
+        const params = [];
+        if (from) { where.push("date(created_at, 'localtime') >= date(?)"); params.push(String(from)); }
+        if (to) { where.push("date(created_at, 'localtime') <= date(?)"); params.push(String(to)); }
+        const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+        const period = db.prepare(`
+            SELECT
+                COALESCE(SUM(CASE WHEN type = 'earn' THEN points END), 0) as points_earned,
+                COALESCE(SUM(CASE WHEN type = 'redeem' THEN -points END), 0) as points_redeemed,
+                COALESCE(SUM(CASE WHEN type = 'redeem' THEN minutes END), 0) as minutes_redeemed,
+                COALESCE(SUM(CASE WHEN type = 'earn' THEN amount END), 0) as pesos_spent,
+                COUNT(DISTINCT user_code) as customers
+            FROM loyalty_points_ledger ${clause}
+        `).get(...params);
+
+        const bySource = db.prepare(`
+            SELECT source, SUM(points) as points, SUM(amount) as amount, COUNT(*) as count
+            FROM loyalty_points_ledger ${clause ? `${clause} AND` : 'WHERE'} type = 'earn'
+            GROUP BY source ORDER BY points DESC
+        `).all(...params);
+
+        const outstanding = db.prepare(`
+            SELECT COALESCE(SUM(points), 0) as points, COUNT(DISTINCT user_code) as members
+            FROM loyalty_points_ledger
+        `).get();
+
+        const top = db.prepare(`
+            SELECT l.user_code, SUM(l.points) as balance, MAX(l.created_at) as last_activity,
+                (SELECT mac_address FROM users u WHERE u.user_code = l.user_code) as mac_address
+            FROM loyalty_points_ledger l
+            GROUP BY l.user_code HAVING balance > 0
+            ORDER BY balance DESC LIMIT 20
+        `).all();
+
+        const settings = this.getSettings();
+        return {
+            settings,
+            period: {
+                from: from || null,
+                to: to || null,
+                points_earned: round2(period.points_earned),
+                points_redeemed: round2(period.points_redeemed),
+                minutes_redeemed: period.minutes_redeemed,
+                pesos_spent: period.pesos_spent,
+                customers: period.customers
+            },
+            by_source: bySource.map(s => ({ ...s, points: round2(s.points) })),
+            outstanding: {
+                points: round2(outstanding.points),
+                minutes: Math.floor(outstanding.points * settings.minutesPerPoint),
+                members: outstanding.members
+            },
+            top: top.map(t => ({ ...t, balance: round2(t.balance) }))
+        };
+    }
+
+    // Keep points with the customer when an admin changes their code
+    renameCode(oldCode, newCode) {
+        if (!oldCode || !newCode || oldCode === newCode) return;
+        db.prepare('UPDATE loyalty_points_ledger SET user_code = ? WHERE user_code = ?').run(newCode, oldCode);
+    }
+}
+
+module.exports = new LoyaltyService();
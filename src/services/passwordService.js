@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// scrypt cost parameters. 2^14 keeps a login under ~100ms on Orange Pi class boards.
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const PREFIX = 'scrypt';
+
+class PasswordService {
+    /**
+     * Stored format: scrypt$N$r$p$<salt hex>$<key hex>
+     */
+    isHashed(stored) {
+        return typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+    }
+
+    format(salt, key) {
+        return [PREFIX, SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('hex'), key.toString('hex')].join('$');
+    }
+
+    parse(stored) {
+        const parts = String(stored).split('$');
+        if (parts.length !== 6 || parts[0] !== PREFIX) return null;
+        const [, N, r, p, saltHex, keyHex] = parts;
+        return {
+            N: Number(N),
+            r: Number(r),
+            p: Number(p),
+            salt: Buffer.from(saltHex, 'hex'),
+            key: Buffer.from(keyHex, 'hex')
+        };
+    }
+
+    async hash(plain) {
+        const salt = crypto.randomBytes(SALT_BYTES);
+        const key = await scryptAsync(String(plain), salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+        return this.format(salt, key);
+    }
+
+    // Used where an async call is not possible (DB seeding during initDb)
+    hashSync(plain) {
+        const salt = crypto.randomBytes(SALT_BYTES);
+        const key = crypto.scryptSync(String(plain), salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+        return this.format(salt, key);
+    }
+
+    /**
+     * Verify a plain value against a stored hash.
+     * Legacy plaintext values are still accepted so they can be migrated on first successful use.
+     */
+    async verify(plain, stored) {
+        if (plain == null || !stored) return false;
+
+        if (!this.isHashed(stored)) {
+            const a = Buffer.from(String(plain));
+            const b = Buffer.from(String(stored));
+            return a.length === b.length && crypto.timingSafeEqual(a, b);
+        }
+
+        const parsed = this.parse(stored);
+        if (!parsed || parsed.key.length === 0) return false;
+
+        const key = await scryptAsync(String(plain), parsed.salt, parsed.key.length, {
+            N: parsed.N,
+            r: parsed.r,
+            p: parsed.p,
+            maxmem: 256 * parsed.N * parsed.r
+        });
+        return crypto.timingSafeEqual(key, parsed.key);
+    }
+
+    // True if the stored value is plaintext or uses weaker parameters than the current defaults
+    needsRehash(stored) {
+        if (!this.isHashed(stored)) return true;
+        const parsed = this.parse(stored);
+        return !parsed || parsed.N < SCRYPT_N || parsed.r < SCRYPT_R || parsed.p < SCRYPT_P;
+    }
+
+    // Security answers are matched case-insensitively, so normalize before hashing/verifying
+    normalizeAnswer(answer) {
+        return String(answer || '').toLowerCase().trim();
+    }
+}
+
+module.exports = new PasswordService();
@@ -0,0 +1,184 @@
+const { db } = require('../database/db');
+
+const KINDS = ['percent', 'minutes'];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+const localDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const localTime = (d) => `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+
+/**
+ * Promotional rate rules (happy hours, weekday pricing, bonus minutes).
+ * A rule adds bonus minutes on top of what the rates give for a coin purchase:
+ * - kind 'percent': +value% of the rate minutes (e.g. +20% from 01:00 to 06:00)
+ * - kind 'minutes': +value minutes once the purchase reaches min_amount,
+ *   or for every min_amount pesos when repeat_bonus is set (e.g. P20 gives +30 min on Sundays)
+ * Rules are scoped by time window (may cross midnight), days of week (0 = Sunday),
+ * date range and optionally one slot ('hardware' or 'subvendo:<device_id>').
+ * Times are the box's local time. When several rules match, the one giving the
+ * most bonus applies; rules don't stack.
+ */
+class PromoService {
+    get kinds() {
+        return KINDS;
+    }
+
+    list() {
+        return db.prepare('SELECT * FROM promo_rules ORDER BY is_active DESC, id ASC').all();
+    }
+
+    get(id) {
+        return db.prepare('SELECT * FROM promo_rules WHERE id = ?').get(id) || null;
+    }
+
+    validate(input) {
+        const data = input || {};
+        const name = typeof data.name === 'string' ? data.name.trim().slice(0, 64) : '';
+        if (!name) throw new Error('Name is required');
+
+        const kind = KINDS.includes(data.kind) ? data.kind : null;
+        if (!kind) throw new Error(`Invalid kind. Allowed: ${KINDS.join(', ')}`);
+
+        const value = Number(data.value);
+        if (!Number.isFinite(value) || value <= 0) throw new Error('Value must be a positive number');
+        if (kind === 'percent' && value > 1000) throw new Error('Percent bonus must be at most 1000');
+
+        const minAmount = data.min_amount === undefined || data.min_amount === null || data.min_amount === '' ? 0 : parseInt(data.min_amount, 10);
+        if (!Number.isInteger(minAmount) || minAmount < 0) throw new Error('Minimum amount must be 0 or more');
+
+        const repeatBonus = data.repeat_bonus === true || data.repeat_bonus === 1 || data.repeat_bonus === '1';
+        if (repeatBonus && (kind !== 'minutes' || minAmount <= 0)) throw new Error('Repeating bonus needs kind "minutes" and a minimum amount');
+
+        let days = data.days_of_week;
+        if (days === undefined || days === null || days === '') {
+            days = null;
+        } else {
+            const list = (Array.isArray(days) ? days : String(days).split(',')).map(d => parseInt(d, 10));
+            if (list.some(d => !Number.isInteger(d) || d < 0 || d > 6)) throw new Error('Days of week must be 0 (Sunday) to 6 (Saturday)');
+            days = list.length > 0 && list.length < 7 ? Array.from(new Set(list)).sort().join(',') : null;
+        }
+
+        const startTime = data.start_time ? String(data.start_time) : null;
+        const endTime = data.end_time ? String(data.end_time) : null;
+        if ((startTime && !TIME_RE.test(startTime)) || (endTime && !TIME_RE.test(endTime))) throw new Error('Times must be HH:MM (24-hour)');
+        if (!!startTime !== !!endTime) throw new Error('Set both start and end time, or neither');
+
+        const startDate = data.start_date ? String(data.start_date) : null;
+        const endDate = data.end_date ? String(data.end_date) : null;
+        if ((startDate && !DATE_RE.test(startDate)) || (endDate && !DATE_RE.test(endDate))) throw new Error('Dates must be YYYY-MM-DD');
+        if (startDate && endDate && startDate > endDate) throw new Error('Start date is after end date');
+
+        const slot = data.slot ? String(data.slot) : null;
+        if (slot && slot !== 'hardware' && !slot.startsWith('subvendo:')) throw new Error('Invalid slot');
+
+        const isActive = data.is_active === undefined ? 1 : (data.is_active === false || data.is_active === 0 || data.is_active === '0' ? 0 : 1);
+
+        return {
+            name, kind, value, min_amount: minAmount, repeat_bonus: repeatBonus ? 1 : 0,
+            days_of_week: days, start_time: startTime, end_time: endTime,
+            start_date: startDate, end_date: endDate, slot, is_active: isActive
+        };
+    }
+
+    create(input) {
+        const r = this.validate(input);
+        const info = db.prepare(`
+            INSERT INTO promo_rules (name, kind, value, min_amount, repeat_bonus, days_of_week, start_time, end_time, start_date, end_date, slot, is_active)
+            VALUES (@name, @kind, @value, @min_amount, @repeat_bonus, @days_of_week, @start_time, @end_time, @start_date, @end_date, @slot, @is_active)
+        `).run(r);
+        return this.get(info.lastInsertRowid);
+    }
+
+    update(id, input) {
+        if (!this.get(id)) return null;
+        const r = this.validate(input);
+        db.prepare(`
+            UPDATE promo_rules SET name = @name, kind = @kind, value = @value, min_amount = @min_amount, repeat_bonus = @repeat_bonus,
+                days_of_week = @days_of_week, start_time = @start_time, end_time = @end_time,
+                start_date = @start_date, end_date = @end_date, slot = @slot, is_active = @is_active
+            WHERE id = @id
+        `).run({ ...r, id });
+        return this.get(id);
+    }
+
+    remove(id) {
+        return db.prepare('DELETE FROM promo_rules WHERE id = ?').run(id).changes > 0;
+    }
+
+    /**
+     * Whether the rule's schedule covers `at`.
+     * For a window crossing midnight (22:00-02:00) the early-morning part belongs to
+     * the previous day, so "Sunday 22:00-02:00" still runs at 01:00 on Monday.
+     */
+    isActiveAt(rule, at = new Date(), slot = null) {
+        if (!rule || !rule.is_active) return false;
+        if (rule.slot && rule.slot !== slot) return false;
+
+        let day = new Date(at);
+        if (rule.start_time && rule.end_time && rule.start_time !== rule.end_time) {
+            const now = localTime(at);
+            if (rule.start_time < rule.end_time) {
+                if (now < rule.start_time || now >= rule.end_time) return false;
+            } else if (now >= rule.end_time && now < rule.start_time) {
+                return false;
+            } else if (now < rule.end_time) {
+                day.setDate(day.getDate() - 1);
+            }
+        }
+
+        if (rule.days_of_week) {
+            const days = String(rule.days_of_week).split(',').map(d => parseInt(d, 10));
+            if (!days.includes(day.getDay())) return false;
+        }
+
+        const date = localDate(day);
+        if (rule.start_date && date < rule.start_date) return false;
+        if (rule.end_date && date > rule.end_date) return false;
+        return true;
+    }
+
+    getActive(slot = null, at = new Date()) {
+        return db.prepare('SELECT * FROM promo_rules WHERE is_active = 1 ORDER BY id ASC').all()
+            .filter(rule => this.isActiveAt(rule, at, slot));
+    }
+
+    bonusFor(rule, amount, baseMinutes) {
+        const minAmount = Number(rule.min_amount) || 0;
+        if (amount <= 0 || amount < minAmount) return 0;
+        if (rule.kind === 'percent') return Math.floor(baseMinutes * Number(rule.value) / 100);
+        const times = rule.repeat_bonus && minAmount > 0 ? Math.floor(amount / minAmount) : 1;
+        return Math.floor(Number(rule.value) * times);
+    }
+
+    /**
+     * Best promo for a purchase
+     * @param {number} amount Pesos paid
+     * @param {number} baseMinutes Minutes the rates give for the amount
+     * @param {string|null} slot 'hardware' or 'subvendo:<device_id>'
+     * @returns {{ bonusMinutes: number, promo: Object|null }}
+     */
+    apply(amount, baseMinutes, slot = null, at = new Date()) {
+        let best = { bonusMinutes: 0, promo: null };
+        for (const rule of this.getActive(slot, at)) {
+            const bonus = this.bonusFor(rule, Number(amount) || 0, Number(baseMinutes) || 0);
+            if (bonus > best.bonusMinutes) best = { bonusMinutes: bonus, promo: rule };
+        }
+        return best;
+    }
+
+    // Short customer-facing text, e.g. "+20% minutes, 01:00-06:00"
+    describe(rule) {
+        const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const parts = [];
+        if (rule.kind === 'percent') parts.push(`+${rule.value}% minutes`);
+        else parts.push(`+${rule.value} min${rule.min_amount > 0 ? ` ${rule.repeat_bonus ? 'for every' : 'with'} P${rule.min_amount}` : ''}`);
+        if (rule.kind === 'percent' && rule.min_amount > 0) parts.push(`P${rule.min_amount} and up`);
+        if (rule.days_of_week) parts.push(String(rule.days_of_week).split(',').map(d => names[parseInt(d, 10)]).join('/'));
+        if (rule.start_time && rule.end_time && rule.start_time !== rule.end_time) parts.push(`${rule.start_time}-${rule.end_time}`);
+        if (rule.end_date) parts.push(`until ${rule.end_date}`);
+        return parts.join(', ');
+    }
+}
+
+module.exports = new PromoService();
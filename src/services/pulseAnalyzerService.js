@@ -0,0 +1,171 @@
+const { db } = require('../database/db');
+const configService = require('./configService');
+
+// A gap this many times the typical (median) pulse spacing starts the next coin of the train
+const COIN_GAP_FACTOR = 2;
+
+/**
+ * Classifies each committed pulse train from the GPIO coin/bill acceptor as
+ * 'valid', 'noise' or 'tamper' (stringed coins, shorted signal line, injected pulses).
+ *
+ * A train is what CoinService collects between commits:
+ * { source, startedAt, endedAt, pulses: [{ at, width, value, kind }], bounced }
+ * kind is 'coin' or 'bill'; value is the legacy peso value of the pulse (bill_multiplier for bills).
+ * width is only known when the pin edge is BOTH (null otherwise).
+ */
+class PulseAnalyzerService {
+    getSettings() {
+        const num = (key, def) => {
+            const raw = configService.get(key);
+            const v = Number(raw);
+            return raw !== null && raw !== '' && Number.isFinite(v) ? v : def;
+        };
+        const bool = (key, def) => {
+            const v = configService.get(key);
+            if (v === null || v === undefined || v === '') return def;
+            return v === true || v === 'true' || v === '1' || v === 1 || v === 'enabled';
+        };
+
+        let validCounts = configService.get('coin_valid_pulse_counts');
+        if (!Array.isArray(validCounts)) {
+            validCounts = String(validCounts || '').split(',');
+        }
+        validCounts = validCounts.map(v => parseInt(v, 10)).filter(v => Number.isInteger(v) && v > 0);
+
+        return {
+            enabled: bool('coin_analyzer_enabled', true),
+            minPulseWidthMs: num('coin_min_pulse_width_ms', 5),     // Shorter blips are electrical noise
+            maxPulseWidthMs: num('coin_max_pulse_width_ms', 200),   // Longer means the line is being held
+            maxIntervalJitter: num('coin_max_interval_jitter', 0.5), // Coefficient of variation of pulse spacing
+            validPulseCounts: validCounts,                           // Empty = any count accepted
+            tripRelay: bool('coin_tamper_trip_relay', false),
+            tripRelayMinutes: num('coin_tamper_relay_minutes', 5)
+        };
+    }
+
+    /**
+     * @param {Object} train See class comment
+     * @returns {{ classification: 'valid'|'noise'|'tamper', credit: number, signature: { coin: number, bill: number }, reasons: string[], stats: Object }}
+     */
+    classify(train) {
+        const settings = this.getSettings();
+        const pulses = (train && train.pulses) || [];
+        const stats = {
+            pulses: pulses.length,
+            bounced: (train && train.bounced) || 0,
+            duration_ms: pulses.length ? pulses[pulses.length - 1].at - pulses[0].at : 0
+        };
+        const total = pulses.reduce((sum, p) => sum + (p.value || 1), 0);
+
+        if (!settings.enabled) {
+            return { classification: total > 0 ? 'valid' : 'noise', credit: total, signature: this.signature(pulses), reasons: [], stats };
+        }
+
+        const reasons = [];
+
+        // 1. Pulse width (only measurable with edge BOTH)
+        const clean = pulses.filter(p => p.width == null || p.width >= settings.minPulseWidthMs);
+        stats.noise_pulses = pulses.length - clean.length;
+        const widths = clean.map(p => p.width).filter(w => w != null);
+        if (widths.length > 0) {
+            stats.min_width_ms = Math.min(...widths);
+            stats.max_width_ms = Math.max(...widths);
+            if (stats.max_width_ms > settings.maxPulseWidthMs) {
+                reasons.push(`pulse held for ${stats.max_width_ms}ms (max ${settings.maxPulseWidthMs}ms)`);
+            }
+        }
+
+        if (clean.length === 0) {
+            return { classification: 'noise', credit: 0, reasons: ['only sub-threshold blips'], stats };
+        }
+
+        // 2. Inter-pulse timing: an acceptor emits evenly spaced pulses at the same rate for every coin.
+        // Several coins can land in one train, so the gaps between coins are left out of the score
+        const coins = this.splitCoins(clean);
+        stats.coins = coins.length;
+        const intervals = [].concat(...coins.map(coin => this.intervals(coin)));
+        if (intervals.length >= 2) {
+            const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+            const variance = intervals.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / intervals.length;
+            const jitter = mean > 0 ? Math.sqrt(variance) / mean : 0;
+            stats.mean_interval_ms = Math.round(mean);
+            stats.interval_jitter = Math.round(jitter * 100) / 100;
+            if (jitter > settings.maxIntervalJitter) {
+                reasons.push(`irregular pulse spacing (jitter ${stats.interval_jitter}, max ${settings.maxIntervalJitter})`);
+            }
+        }
+
+        // 3. Pulses-per-coin: the acceptor is programmed for a fixed set of counts
+        if (settings.validPulseCounts.length > 0) {
+            const counts = coins.filter(coin => coin.every(p => p.kind !== 'bill')).map(coin => coin.length);
+            const bad = counts.filter(count => !settings.validPulseCounts.includes(count));
+            if (bad.length > 0) {
+                reasons.push(`${bad.join(', ')} pulses does not match any coin (${settings.validPulseCounts.join(', ')})`);
+            }
+        }
+
+        const credit = clean.reduce((sum, p) => sum + (p.value || 1), 0);
+        if (reasons.length > 0) return { classification: 'tamper', credit: 0, reasons, stats };
+        return { classification: 'valid', credit, signature: this.signature(clean), reasons: [], stats };
+    }
+
+    intervals(pulses) {
+        const intervals = [];
+        for (let i = 1; i < pulses.length; i++) intervals.push(pulses[i].at - pulses[i - 1].at);
+        return intervals;
+    }
+
+    // Split a train into coins at gaps well above the typical pulse spacing
+    splitCoins(pulses) {
+        if (pulses.length < 2) return pulses.length ? [pulses] : [];
+        const sorted = this.intervals(pulses).slice().sort((a, b) => a - b);
+        const median = sorted[Math.floor((sorted.length - 1) / 2)];
+        const coins = [[pulses[0]]];
+        for (let i = 1; i < pulses.length; i++) {
+            if (median > 0 && pulses[i].at - pulses[i - 1].at > median * COIN_GAP_FACTOR) coins.push([]);
+            coins[coins.length - 1].push(pulses[i]);
+        }
+        return coins;
+    }
+
+    // Pulse counts per input, used by coinCalibrationService
+    signature(pulses) {
+        return {
+            coin: pulses.filter(p => p.kind !== 'bill').length,
+            bill: pulses.filter(p => p.kind === 'bill').length
+        };
+    }
+
+    /**
+     * Store a suspected tamper (or other notable) event
+     * @returns {number} Event id
+     */
+    recordEvent({ source = 'hardware', classification, pulses = 0, reasons = [], stats = {}, relayTripped = false }) {
+        const info = db.prepare(`
+            INSERT INTO coin_events (source, classification, pulses, reasons, details, relay_tripped)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(source, classification, pulses, reasons.join('; '), JSON.stringify(stats), relayTripped ? 1 : 0);
+        return info.lastInsertRowid;
+    }
+
+    list({ classification, limit = 100, offset = 0 } = {}) {
+        const where = classification ? 'WHERE classification = ?' : '';
+        const params = classification ? [String(classification)] : [];
+        const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+        const safeOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+        const total = db.prepare(`SELECT COUNT(*) as count FROM coin_events ${where}`).get(...params).count;
+        const events = db.prepare(`
+            SELECT * FROM coin_events ${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, safeLimit, safeOffset).map(row => {
+            let details = {};
+            try { details = JSON.parse(row.details || '{}'); } catch (e) {}
+            return { ...row, details };
+        });
+        return { total, events };
+    }
+}
+
+module.exports = new PulseAnalyzerService();
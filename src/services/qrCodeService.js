@@ -0,0 +1,309 @@
+// QR Code Model 2, byte mode, error correction level M, versions 1-10
+// (up to 213 bytes, plenty for a portal URL with a voucher code).
+// Per version: EC codewords per block, number of blocks
+const ECC_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = 10;
+const ECL_M_BITS = 0;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+const FINDER_LIKE = [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0];
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// GF(256) multiply, polynomial 0x11D
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    }
+    return result;
+}
+
+function rawCodewords(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        modules -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) modules -= 36;
+    }
+    return Math.floor(modules / 8);
+}
+
+const dataCodewords = (version) => rawCodewords(version) - ECC_PER_BLOCK[version] * NUM_BLOCKS[version];
+
+function alignmentPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+}
+
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        const finder = (cx, cy) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) this.setFunction(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        };
+        finder(3, 3);
+        finder(size - 4, 3);
+        finder(3, size - 4);
+
+        const align = alignmentPositions(this.version, size);
+        const last = align.length - 1;
+        align.forEach((ay, i) => {
+            align.forEach((ax, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        this.drawFormatBits(0); // Reserve the area; redrawn with the chosen mask
+        this.drawVersion();
+    }
+
+    drawFormatBits(mask) {
+        const size = this.size;
+        const data = (ECL_M_BITS << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+        this.setFunction(8, 7, getBit(bits, 6));
+        this.setFunction(8, 8, getBit(bits, 7));
+        this.setFunction(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+        this.setFunction(8, size - 8, true); // Dark module
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (this.version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, getBit(bits, i));
+            this.setFunction(b, a, getBit(bits, i));
+        }
+    }
+
+    // Zigzag placement of the final codewords
+    drawCodewords(codewords) {
+        const size = this.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const fn = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && fn(x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    penalty() {
+        const size = this.size;
+        const m = this.modules;
+        let score = 0;
+
+        const scanLine = (get) => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && get(i) === get(i - 1)) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + FINDER_LIKE.length <= size; i++) {
+                const forward = FINDER_LIKE.every((v, k) => get(i + k) === !!v);
+                const backward = FINDER_LIKE.every((v, k) => get(i + k) === !!FINDER_LIKE[FINDER_LIKE.length - 1 - k]);
+                if (forward || backward) score += 40;
+            }
+        };
+        for (let y = 0; y < size; y++) scanLine(x => m[y][x]);
+        for (let x = 0; x < size; x++) scanLine(y => m[y][x]);
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (m[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) score += 3;
+            }
+        }
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+}
+
+class QrCodeService {
+    /**
+     * Encode text as a QR matrix
+     * @returns {boolean[][]} modules[y][x], true = dark
+     */
+    encode(text) {
+        const bytes = Buffer.from(String(text), 'utf8');
+        let version = 1;
+        const headerBits = (v) => 4 + (v < 10 ? 8 : 16);
+        while (version <= MAX_VERSION && headerBits(version) + bytes.length * 8 > dataCodewords(version) * 8) version++;
+        if (version > MAX_VERSION) throw new Error('Text too long for a QR code');
+
+        // Bit stream: mode, length, data, terminator, padding
+        const bits = [];
+        const push = (value, len) => { for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+        push(0x4, 4);
+        push(bytes.length, version < 10 ? 8 : 16);
+        for (const b of bytes) push(b, 8);
+        const capacity = dataCodewords(version) * 8;
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+
+        // Split into blocks, add error correction, interleave
+        const numBlocks = NUM_BLOCKS[version];
+        const eccLen = ECC_PER_BLOCK[version];
+        const raw = rawCodewords(version);
+        const numShort = numBlocks - raw % numBlocks;
+        const shortLen = Math.floor(raw / numBlocks);
+        const divisor = rsDivisor(eccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dataLen = shortLen - eccLen + (i < numShort ? 0 : 1);
+            const block = data.slice(k, k + dataLen);
+            k += dataLen;
+            blocks.push({ data: block, ecc: rsRemainder(block, divisor) });
+        }
+        const codewords = [];
+        for (let i = 0; i <= shortLen - eccLen; i++) {
+            blocks.forEach(b => { if (i < b.data.length) codewords.push(b.data[i]); });
+        }
+        for (let i = 0; i < eccLen; i++) blocks.forEach(b => codewords.push(b.ecc[i]));
+
+        const qr = new QrMatrix(version);
+        qr.drawFunctionPatterns();
+        qr.drawCodewords(codewords);
+
+        let bestMask = 0;
+        let bestScore = Infinity;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            qr.applyMask(mask);
+            qr.drawFormatBits(mask);
+            const score = qr.penalty();
+            if (score < bestScore) {
+                bestScore = score;
+                bestMask = mask;
+            }
+            qr.applyMask(mask); // XOR again to undo
+        }
+        qr.applyMask(bestMask);
+        qr.drawFormatBits(bestMask);
+        return qr.modules;
+    }
+
+    /**
+     * Render text as an inline SVG (one path, with a 4-module quiet zone)
+     * @param {string} text
+     * @param {{ size?: string }} options CSS size of the square, e.g. '30mm'
+     */
+    toSvg(text, { size = '100%' } = {}) {
+        const modules = this.encode(text);
+        const dim = modules.length + 8;
+        let path = '';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => { if (dark) path += `M${x + 4} ${y + 4}h1v1h-1z`; });
+        });
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${size}" height="${size}" shape-rendering="crispEdges"><rect width="${dim}" height="${dim}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+}
+
+module.exports = new QrCodeService();
@@ -0,0 +1,271 @@
+const { db } = require('../database/db');
+const adminAccountService = require('./adminAccountService');
+const voucherService = require('./voucherService');
+const logService = require('./logService');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const MAX_GENERATE = 500;
+const CREDIT_TYPES = ['topup', 'adjust'];
+
+/**
+ * Resellers (e.g. sari-sari stores) buy voucher codes from the owner and sell them at
+ * the retail price. Each reseller logs in with an admins account of role 'reseller'
+ * (reseller.html) and may only generate codes from the plans (rates) the owner allows,
+ * each at a wholesale price. Generating debits their credit; the balance is the sum of
+ * reseller_ledger and may go down to -credit_limit. Codes and batches carry reseller_id
+ * and the batch's reseller name, so they show up in the voucher reconciliation report.
+ * The reseller's commission is the retail value of their codes minus what they paid.
+ */
+class ResellerService {
+    get maxGenerate() {
+        return MAX_GENERATE;
+    }
+
+    get(id) {
+        return db.prepare(`
+            SELECT r.*, a.username FROM resellers r LEFT JOIN admins a ON a.id = r.admin_id WHERE r.id = ?
+        `).get(id);
+    }
+
+    getByAdmin(adminId) {
+        return db.prepare(`
+            SELECT r.*, a.username FROM resellers r LEFT JOIN admins a ON a.id = r.admin_id WHERE r.admin_id = ?
+        `).get(adminId);
+    }
+
+    getBalance(id) {
+        const row = db.prepare('SELECT COALESCE(SUM(amount), 0) as balance FROM reseller_ledger WHERE reseller_id = ?').get(id);
+        return round2(row.balance);
+    }
+
+    // Owner: all resellers with balance and code counts
+    list() {
+        return db.prepare(`
+            SELECT r.*, a.username,
+                (SELECT COALESCE(SUM(amount), 0) FROM reseller_ledger l WHERE l.reseller_id = r.id) as balance,
+                (SELECT COUNT(*) FROM reseller_plans p JOIN rates ra ON ra.id = p.rate_id WHERE p.reseller_id = r.id) as plans,
+                (SELECT COUNT(*) FROM vouchers v WHERE v.reseller_id = r.id) as vouchers_issued,
+                (SELECT COUNT(*) FROM vouchers v WHERE v.reseller_id = r.id AND v.is_used = 1) as vouchers_redeemed
+            FROM resellers r LEFT JOIN admins a ON a.id = r.admin_id
+            ORDER BY r.name COLLATE NOCASE
+        `).all().map(r => ({ ...r, balance: round2(r.balance) }));
+    }
+
+    parseProfile(data, current = {}) {
+        const name = data.name !== undefined ? String(data.name || '').trim().slice(0, 64) : current.name;
+        if (!name) throw new Error('Reseller name is required');
+        const contact = data.contact !== undefined ? String(data.contact || '').trim().slice(0, 128) || null : (current.contact || null);
+        const creditLimit = data.credit_limit !== undefined && data.credit_limit !== '' ? Number(data.credit_limit) : (current.credit_limit || 0);
+        if (!Number.isFinite(creditLimit) || creditLimit < 0) throw new Error('Credit limit must be 0 or more');
+        return { name, contact, credit_limit: round2(creditLimit) };
+    }
+
+    /**
+     * Owner: create a reseller and its login
+     * @param {{ username: string, password: string, name: string, contact?: string, credit_limit?: number }} data
+     */
+    async create(data) {
+        const profile = this.parseProfile(data || {});
+        const account = await adminAccountService.create({ username: data.username, password: data.password, role: 'reseller' });
+        const info = db.prepare('INSERT INTO resellers (admin_id, name, contact, credit_limit) VALUES (?, ?, ?, ?)')
+            .run(account.id, profile.name, profile.contact, profile.credit_limit);
+        logService.info('SYSTEM', `Reseller ${profile.name} created (login: ${account.username})`);
+        return this.get(info.lastInsertRowid);
+    }
+
+    /**
+     * Owner: update the profile; is_active also enables/disables the login
+     * @returns {Object|null} The reseller, or null if it doesn't exist
+     */
+    async update(id, data) {
+        const reseller = this.get(id);
+        if (!reseller) return null;
+        const profile = this.parseProfile(data || {}, reseller);
+        const isActive = data.is_active !== undefined ? (data.is_active === true || data.is_active === 1 || data.is_active === '1' ? 1 : 0) : reseller.is_active;
+
+        db.transaction(() => {
+            db.prepare('UPDATE resellers SET name = ?, contact = ?, credit_limit = ?, is_active = ? WHERE id = ?')
+                .run(profile.name, profile.contact, profile.credit_limit, isActive, id);
+            // Keep the name on the batches in step for the reconciliation report
+            if (profile.name !== reseller.name) db.prepare('UPDATE voucher_batches SET reseller = ? WHERE reseller_id = ?').run(profile.name, id);
+        })();
+        if (isActive !== reseller.is_active || data.password) {
+            await adminAccountService.update(reseller.admin_id, { is_active: isActive, password: data.password || undefined });
+        }
+        return this.get(id);
+    }
+
+    /**
+     * Owner: add credit (topup, amount > 0) or correct the balance (adjust, +/-)
+     * @returns {{ id: number, balance: number }}
+     */
+    addCredit(id, { amount, type = 'topup', note = null, createdBy = null }) {
+        if (!CREDIT_TYPES.includes(type)) throw new Error(`Invalid type. Allowed: ${CREDIT_TYPES.join(', ')}`);
+        const value = round2(Number(amount));
+        if (!Number.isFinite(value) || value === 0) throw new Error('Amount must be a non-zero number');
+        if (type === 'topup' && value < 0) throw new Error('Top-up amount must be positive; use an adjustment to deduct');
+
+        return db.transaction(() => {
+            const balance = round2(this.getBalance(id) + value);
+            const info = db.prepare(`
+                INSERT INTO reseller_ledger (reseller_id, type, amount, balance_after, note, created_by) VALUES (?, ?, ?, ?, ?, ?)
+            `).run(id, type, value, balance, note ? String(note).slice(0, 200) : null, createdBy);
+            return { id: info.lastInsertRowid, balance };
+        })();
+    }
+
+    // Plans the reseller may sell: the rate, its retail price (amount) and their wholesale price
+    plans(id) {
+        return db.prepare(`
+            SELECT p.rate_id, p.wholesale_price, r.amount, r.minutes, r.upload_speed, r.download_speed, r.data_mb,
+                r.fup_threshold_mb, r.fup_download_speed, r.fup_upload_speed, r.access_start_time, r.access_end_time, r.access_days
+            FROM reseller_plans p JOIN rates r ON r.id = p.rate_id
+            WHERE p.reseller_id = ?
+            ORDER BY r.amount ASC
+        `).all(id).map(p => ({ ...p, plan_name: this.planName(p) }));
+    }
+
+    /**
+     * Owner: replace the allowed plans
+     * @param {{ rate_id: number, wholesale_price: number }[]} plans
+     */
+    setPlans(id, plans) {
+        if (!Array.isArray(plans)) throw new Error('Plans must be a list');
+        const rows = plans.map(p => {
+            const rate = db.prepare('SELECT * FROM rates WHERE id = ?').get(p.rate_id);
+            if (!rate) throw new Error(`Rate ${p.rate_id} not found`);
+            const price = Number(p.wholesale_price);
+            if (!Number.isFinite(price) || price < 0) throw new Error(`Wholesale price for the ₱${rate.amount} plan must be 0 or more`);
+            return { rate_id: rate.id, wholesale_price: round2(price) };
+        });
+
+        db.transaction(() => {
+            db.prepare('DELETE FROM reseller_plans WHERE reseller_id = ?').run(id);
+            const insert = db.prepare('INSERT INTO reseller_plans (reseller_id, rate_id, wholesale_price) VALUES (?, ?, ?)');
+            rows.forEach(r => insert.run(id, r.rate_id, r.wholesale_price));
+        })();
+        return this.plans(id);
+    }
+
+    // Voucher plan name for a rate, e.g. "₱20 - 3 hrs" or "₱50 - 1 GB"
+    planName(rate) {
+        const minutes = Number(rate.minutes) || 0;
+        let what;
+        if (minutes > 0) {
+            const d = Math.floor(minutes / 1440);
+            const h = Math.floor((minutes % 1440) / 60);
+            const m = minutes % 60;
+            what = [d && `${d} ${d === 1 ? 'day' : 'days'}`, h && `${h} ${h === 1 ? 'hr' : 'hrs'}`, m && `${m} ${m === 1 ? 'min' : 'mins'}`].filter(Boolean).join(' ');
+        } else {
+            const mb = Number(rate.data_mb) || 0;
+            what = mb >= 1024 ? `${parseFloat((mb / 1024).toFixed(2))} GB` : `${mb} MB`;
+        }
+        return `₱${rate.amount} - ${what}`;
+    }
+
+    /**
+     * Reseller: generate codes from an allowed plan, debiting count x wholesale price
+     * @param {number} id Reseller
+     * @param {{ rate_id: number, count: number, batch_label?: string }} request
+     * @param {string} createdBy Login username
+     * @returns {{ batch_id: number, codes: string[], cost: number, balance: number }}
+     */
+    generate(id, { rate_id, count, batch_label }, createdBy = null) {
+        const reseller = this.get(id);
+        if (!reseller || !reseller.is_active) throw new Error('Reseller account is disabled');
+
+        const qty = Number(count);
+        if (!Number.isInteger(qty) || qty < 1 || qty > MAX_GENERATE) throw new Error(`Generate 1 to ${MAX_GENERATE} codes at a time`);
+        const plan = this.plans(id).find(p => p.rate_id === Number(rate_id));
+        if (!plan) throw new Error('This plan is not available to your account');
+
+        const cost = round2(plan.wholesale_price * qty);
+        return db.transaction(() => {
+            const balance = this.getBalance(id);
+            if (balance - cost < -Number(reseller.credit_limit || 0)) {
+                throw new Error(`Not enough credit: ${qty} code(s) cost ₱${cost}, available ₱${round2(balance + Number(reseller.credit_limit || 0))}`);
+            }
+
+            const codes = voucherService.generateVouchers({
+                count: qty,
+                duration: plan.minutes,
+                data_mb: plan.data_mb,
+                fup_threshold_mb: plan.fup_threshold_mb,
+                fup_download_speed: plan.fup_download_speed,
+                fup_upload_speed: plan.fup_upload_speed,
+                access_start_time: plan.access_start_time,
+                access_end_time: plan.access_end_time,
+                access_days: plan.access_days,
+                plan_name: plan.plan_name,
+                price: plan.amount,
+                download_speed: plan.download_speed,
+                upload_speed: plan.upload_speed,
+                batch_label: batch_label || `${reseller.name} ${plan.plan_name} ${new Date().toISOString().slice(0, 10)}`,
+                reseller: reseller.name,
+                reseller_id: id,
+                created_by: createdBy
+            });
+            const batch = db.prepare('SELECT batch_id FROM vouchers WHERE code = ?').get(codes[0]);
+            const after = round2(balance - cost);
+            db.prepare(`
+                INSERT INTO reseller_ledger (reseller_id, type, amount, balance_after, batch_id, voucher_count, retail_value, note, created_by)
+                VALUES (?, 'generate', ?, ?, ?, ?, ?, ?, ?)
+            `).run(id, -cost, after, batch.batch_id, qty, round2(plan.amount * qty), plan.plan_name, createdBy);
+
+            logService.info('VOUCHER', `Reseller ${reseller.name} generated ${qty} x ${plan.plan_name} (batch ${batch.batch_id}, cost ₱${cost}, balance ₱${after})`);
+            return { batch_id: batch.batch_id, codes, cost, balance: after };
+        })();
+    }
+
+    /**
+     * Statement for a period (local dates, inclusive): opening and closing balance, ledger
+     * entries, and the codes generated and redeemed with the reseller's commission
+     */
+    statement(id, { from, to } = {}) {
+        const reseller = this.get(id);
+        if (!reseller) return null;
+
+        const where = ['reseller_id = ?'];
+        const params = [id];
+        if (from) { where.push("date(created_at, 'localtime') >= date(?)"); params.push(String(from)); }
+        if (to) { where.push("date(created_at, 'localtime') <= date(?)"); params.push(String(to)); }
+
+        const opening = from
+            ? db.prepare("SELECT COALESCE(SUM(amount), 0) as balance FROM reseller_ledger WHERE reseller_id = ? AND date(created_at, 'localtime') < date(?)").get(id, String(from)).balance
+            : 0;
+        const entries = db.prepare(`
+            SELECT * FROM reseller_ledger WHERE ${where.join(' AND ')} ORDER BY created_at ASC, id ASC
+        `).all(...params);
+
+        const sum = (type, field) => round2(entries.filter(e => e.type === type).reduce((acc, e) => acc + (Number(e[field]) || 0), 0));
+        const generated = {
+            vouchers: entries.filter(e => e.type === 'generate').reduce((acc, e) => acc + (e.voucher_count || 0), 0),
+            cost: -sum('generate', 'amount'),
+            retail_value: sum('generate', 'retail_value')
+        };
+        generated.commission = round2(generated.retail_value - generated.cost);
+
+        const redeemedWhere = ['reseller_id = ?', 'is_used = 1'];
+        const redeemedParams = [id];
+        if (from) { redeemedWhere.push("date(used_at, 'localtime') >= date(?)"); redeemedParams.push(String(from)); }
+        if (to) { redeemedWhere.push("date(used_at, 'localtime') <= date(?)"); redeemedParams.push(String(to)); }
+        const redeemed = db.prepare(`
+            SELECT COUNT(*) as vouchers, COALESCE(SUM(price), 0) as retail_value FROM vouchers WHERE ${redeemedWhere.join(' AND ')}
+        `).get(...redeemedParams);
+
+        return {
+            reseller: { id: reseller.id, name: reseller.name, username: reseller.username, credit_limit: reseller.credit_limit },
+            from: from || null,
+            to: to || null,
+            opening_balance: round2(opening),
+            closing_balance: round2(opening + entries.reduce((acc, e) => acc + e.amount, 0)),
+            topups: sum('topup', 'amount'),
+            adjustments: sum('adjust', 'amount'),
+            generated,
+            redeemed: { vouchers: redeemed.vouchers, retail_value: round2(redeemed.retail_value) },
+            entries
+        };
+    }
+}
+
+module.exports = new ResellerService();
@@ -1,5 +1,8 @@
 const { db } = require('../database/db');
 const bandwidthService = require('./bandwidthService');
+const fairUseService = require('./fairUseService');
+const accessScheduleService = require('./accessScheduleService');
+const dataPlanService = require('./dataPlanService');
 
 const { exec } = require('child_process');
 
@@ -26,6 +29,8 @@ class SessionService {
                 await this.checkPausedUsers(activeMacs);
                 await this.checkIdleUsers();
                 await this.checkSessionTimeout();
+                await this.checkAccessSchedules();
+                await this.checkLapsedVoucherTime();
                 await this.syncFirewall(activeMacs);
             } catch (e) {
                 console.error("[Session] Error in monitoring loop:", e);
@@ -126,7 +131,8 @@ class SessionService {
                     // Update QoS for new IP (and remove old if possible, but let's just set new for now)
                     if (bandwidthService && bandwidthService.setLimit) {
                          // bandwidthService.removeLimit(user.ip_address); // Optional cleanup
-                         await bandwidthService.setLimit(newIp, user.download_speed, user.upload_speed);
+                         const speeds = fairUseService.speedsFor(user);
+                         await bandwidthService.setLimit(newIp, speeds.download, speeds.upload);
                     }
                     
                     // Update Firewall Accounting for new IP
@@ -291,6 +297,68 @@ class SessionService {
         }
     }
 
+    // Plans with an access window: pause outside it (connected or not, so the countdown stops), resume the sessions we paused once it opens
+    async checkAccessSchedules() {
+        try {
+            const users = db.prepare(`
+                SELECT * FROM users
+                WHERE time_remaining > 0
+                  AND ((access_start_time IS NOT NULL AND access_end_time IS NOT NULL) OR access_days IS NOT NULL OR schedule_paused = 1)
+            `).all();
+            const now = new Date();
+
+            for (const user of users) {
+                const open = accessScheduleService.isOpen(user, now);
+
+                if (user.is_paused === 0 && !open) {
+                    await this.pauseUser(user, `Outside access hours ${accessScheduleService.describe(user)}`);
+                    db.prepare('UPDATE users SET schedule_paused = 1 WHERE id = ?').run(user.id);
+                } else if (user.schedule_paused === 1 && user.is_paused === 1 && open) {
+                    if (dataPlanService.isExhausted(user)) continue;
+                    db.prepare('UPDATE users SET schedule_paused = 0 WHERE id = ?').run(user.id);
+                    await this.resumeUser(user);
+                } else if (user.schedule_paused === 1 && user.is_paused === 0) {
+                    // Resumed some other way (customer, admin, new purchase) while the window was open
+                    db.prepare('UPDATE users SET schedule_paused = 0 WHERE id = ?').run(user.id);
+                }
+            }
+        } catch (e) {
+            console.error("[Session] Error checking access schedules:", e);
+        }
+    }
+
+    // Voucher time past its valid-days deadline: remove what is left of it, keep other time
+    async checkLapsedVoucherTime() {
+        try {
+            const users = db.prepare(`
+                SELECT id, mac_address, ip_address, time_remaining, expiring_seconds, time_expires_at
+                FROM users
+                WHERE time_expires_at IS NOT NULL AND time_expires_at <= CURRENT_TIMESTAMP
+            `).all();
+
+            for (const user of users) {
+                const lapsed = Math.min(Math.max(0, user.time_remaining), Math.max(0, user.expiring_seconds || 0));
+                const left = Math.max(0, user.time_remaining - lapsed);
+                console.log(`[Session] Voucher time for ${user.mac_address} lapsed (${user.time_expires_at}). Removed ${lapsed}s, ${left}s left.`);
+
+                if (left > 0) {
+                    db.prepare('UPDATE users SET time_remaining = ?, expiring_seconds = 0, time_expires_at = NULL WHERE id = ?').run(left, user.id);
+                    continue;
+                }
+                db.prepare('UPDATE users SET time_remaining = 0, is_connected = 0, expiring_seconds = 0, time_expires_at = NULL WHERE id = ?').run(user.id);
+                if (lapsed > 0) {
+                    const networkService = require('./networkService');
+                    await networkService.blockUser(user.mac_address, user.ip_address);
+                    if (user.ip_address && bandwidthService && bandwidthService.removeLimit) {
+                        await bandwidthService.removeLimit(user.ip_address);
+                    }
+                }
+            }
+        } catch (e) {
+            console.error("[Session] Error checking lapsed voucher time:", e);
+        }
+    }
+
     async checkPausedUsers(activeMacs = null) {
         return;
     }
@@ -310,7 +378,8 @@ class SessionService {
             // Restore Traffic Control (QoS)
             if (user.ip_address) {
                 if (bandwidthService && bandwidthService.setLimit) {
-                    await bandwidthService.setLimit(user.ip_address, user.download_speed, user.upload_speed);
+                    const speeds = fairUseService.speedsFor(user);
+                    await bandwidthService.setLimit(user.ip_address, speeds.download, speeds.upload);
                 }
             }
         } catch (e) {
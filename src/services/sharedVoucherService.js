@@ -0,0 +1,135 @@
+const { db } = require('../database/db');
+const logService = require('./logService');
+
+/**
+ * Shared (multi-device) vouchers: up to max_devices devices redeem the same code and
+ * draw on one time pool (vouchers.pool_remaining, seconds). Members are linked through
+ * users.shared_voucher_id and keep a copy of the pool in time_remaining, so the portal,
+ * firewall sync and session checks work unchanged. The countdown loop calls tick()
+ * instead of counting members down one by one: the pool runs while any member is
+ * active (not paused). Coins or admin edits that add to or take from a member are merged
+ * into the pool on the next tick. A member whose time was ended (data cap, lapsing, admin
+ * set it to 0) leaves the pool without taking it down; use kick() to remove one device
+ * on purpose. Time can't be transferred out of a pool (TimeTransferService).
+ * voucher_devices keeps who joined and left, so kicked devices stay out.
+ */
+class SharedVoucherService {
+    get maxDevices() {
+        return 10;
+    }
+
+    // Devices a voucher allows; 1 is an ordinary single-device voucher
+    parseMaxDevices(value) {
+        if (value === undefined || value === null || value === '') return 1;
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 1 || n > this.maxDevices) throw new Error(`Devices must be 1 to ${this.maxDevices}`);
+        return n;
+    }
+
+    countMembers(voucherId) {
+        return db.prepare('SELECT COUNT(*) as count FROM users WHERE shared_voucher_id = ?').get(voucherId).count;
+    }
+
+    isKicked(voucherId, macAddress) {
+        return !!db.prepare("SELECT id FROM voucher_devices WHERE voucher_id = ? AND mac_address = ? AND removed_reason = 'kicked'")
+            .get(voucherId, macAddress);
+    }
+
+    addMember(voucherId, user, macAddress) {
+        db.prepare('UPDATE users SET shared_voucher_id = ? WHERE id = ?').run(voucherId, user.id);
+        db.prepare('INSERT INTO voucher_devices (voucher_id, user_id, mac_address) VALUES (?, ?, ?)').run(voucherId, user.id, macAddress);
+    }
+
+    /**
+     * Devices that joined a voucher, current members first
+     * @returns {Object[]} voucher_devices rows with the device's IP, time and state (active = still a member)
+     */
+    members(voucherId) {
+        return db.prepare(`
+            SELECT d.*, u.ip_address, u.user_code, u.time_remaining, u.is_connected, u.is_paused,
+                   CASE WHEN d.removed_at IS NULL AND u.shared_voucher_id = d.voucher_id THEN 1 ELSE 0 END as active
+            FROM voucher_devices d LEFT JOIN users u ON u.id = d.user_id
+            WHERE d.voucher_id = ?
+            ORDER BY active DESC, d.joined_at ASC, d.id ASC
+        `).all(voucherId);
+    }
+
+    /**
+     * Remove a device from the pool. It loses the shared time and can't join this voucher again.
+     * The caller blocks the device in the firewall.
+     * @returns {Object} The removed user (mac_address, ip_address)
+     */
+    kick(voucherId, userId, removedBy = null) {
+        const user = db.prepare('SELECT * FROM users WHERE id = ? AND shared_voucher_id = ?').get(userId, voucherId);
+        if (!user) throw new Error('This device is not using the voucher');
+
+        const transaction = db.transaction(() => {
+            db.prepare('UPDATE users SET shared_voucher_id = NULL, time_remaining = 0, is_connected = 0, expiring_seconds = 0, time_expires_at = NULL WHERE id = ?')
+                .run(user.id);
+            db.prepare("UPDATE voucher_devices SET removed_at = CURRENT_TIMESTAMP, removed_reason = 'kicked', removed_by = ? WHERE voucher_id = ? AND user_id = ? AND removed_at IS NULL")
+                .run(removedBy, voucherId, user.id);
+        });
+        transaction();
+
+        logService.info('VOUCHER', `Device ${user.mac_address} removed from shared voucher #${voucherId}${removedBy ? ` by ${removedBy}` : ''}`);
+        return user;
+    }
+
+    /**
+     * Count down every shared pool by deltaSeconds (once per pool, not per device)
+     * @returns {Object[]} Members whose pool ran out (id, mac_address, ip_address), detached and ready to expire
+     */
+    tick(deltaSeconds) {
+        const pools = db.prepare(`
+            SELECT id, code, pool_remaining FROM vouchers
+            WHERE max_devices > 1 AND id IN (SELECT shared_voucher_id FROM users WHERE shared_voucher_id IS NOT NULL)
+        `).all();
+        if (pools.length === 0) return [];
+
+        const selectMembers = db.prepare('SELECT id, mac_address, ip_address, time_remaining, is_paused FROM users WHERE shared_voucher_id = ?');
+        const mirror = db.prepare(`
+            UPDATE users SET time_remaining = ?,
+                expiring_seconds = CASE WHEN time_expires_at IS NOT NULL THEN ? ELSE 0 END
+            WHERE shared_voucher_id = ?
+        `);
+        const savePool = db.prepare('UPDATE vouchers SET pool_remaining = ? WHERE id = ?');
+        const detach = db.prepare('UPDATE users SET shared_voucher_id = NULL WHERE id = ?');
+        const markRemoved = db.prepare('UPDATE voucher_devices SET removed_at = CURRENT_TIMESTAMP, removed_reason = ? WHERE voucher_id = ? AND user_id = ? AND removed_at IS NULL');
+        const expired = [];
+
+        const transaction = db.transaction(() => {
+            for (const pool of pools) {
+                const previous = Math.max(0, pool.pool_remaining || 0);
+                // Members whose own session was ended leave; their zeroed time is not a debit on the pool
+                const members = selectMembers.all(pool.id).filter(m => {
+                    if (m.time_remaining > 0) return true;
+                    detach.run(m.id);
+                    markRemoved.run('expired', pool.id, m.id);
+                    return false;
+                });
+                if (members.length === 0) continue;
+
+                // Members mirror the pool after every tick; any difference was added or removed elsewhere
+                let remaining = members.reduce((sum, m) => sum + (m.time_remaining - previous), previous);
+                if (members.some(m => m.is_paused === 0)) remaining -= deltaSeconds;
+                remaining = Math.max(0, remaining);
+
+                savePool.run(remaining, pool.id);
+                if (remaining > 0) {
+                    mirror.run(remaining, remaining, pool.id);
+                    continue;
+                }
+
+                db.prepare('UPDATE users SET shared_voucher_id = NULL WHERE shared_voucher_id = ?').run(pool.id);
+                db.prepare("UPDATE voucher_devices SET removed_at = CURRENT_TIMESTAMP, removed_reason = 'used_up' WHERE voucher_id = ? AND removed_at IS NULL")
+                    .run(pool.id);
+                expired.push(...members);
+                logService.info('VOUCHER', `Shared voucher ${pool.code} used up (${members.length} device${members.length === 1 ? '' : 's'})`);
+            }
+        });
+        transaction();
+        return expired;
+    }
+}
+
+module.exports = new SharedVoucherService();
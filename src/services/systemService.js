@@ -3,6 +3,7 @@ const { db } = require('../database/db');
 const path = require('path');
 const fs = require('fs');
 const logService = require('./logService');
+const passwordService = require('./passwordService');
 
 class SystemService {
     async reboot() {
@@ -32,12 +33,34 @@ class SystemService {
             // Clear specific tables
             db.prepare('DELETE FROM sales').run();
             db.prepare('DELETE FROM vouchers').run();
+            db.prepare('DELETE FROM voucher_devices').run();
+            db.prepare('DELETE FROM voucher_batches').run();
+            db.prepare('DELETE FROM reseller_ledger').run();
+            db.prepare('DELETE FROM reseller_plans').run();
+            db.prepare('DELETE FROM resellers').run();
             db.prepare('DELETE FROM users').run();
-            db.prepare('DELETE FROM logs').run();
+            db.prepare('DELETE FROM coin_sessions').run();
+            db.prepare('DELETE FROM system_logs').run();
+            db.prepare('DELETE FROM coin_events').run();
+            db.prepare('DELETE FROM loyalty_points_ledger').run();
+            db.prepare('DELETE FROM time_transfers').run();
+            db.prepare('DELETE FROM fair_use_usage').run();
             // Reset settings to defaults if needed
             // Keep admin credentials or reset to default? 
             // Usually factory reset resets admin to default.
-            db.prepare('UPDATE admins SET username = ?, password_hash = ? WHERE id = 1').run('admin', 'admin');
+            // Extra cashier/technician accounts are removed; the primary owner goes back to admin/admin.
+            const defaultHash = await passwordService.hash('admin');
+            const defaultAnswer = await passwordService.hash('admin');
+            db.prepare('DELETE FROM admin_sessions').run();
+            db.prepare('DELETE FROM admin_recovery_codes').run();
+            db.prepare('DELETE FROM api_tokens').run();
+            const owner = db.prepare("SELECT id FROM admins WHERE role = 'owner' ORDER BY id ASC LIMIT 1").get()
+                || db.prepare('SELECT id FROM admins ORDER BY id ASC LIMIT 1').get();
+            if (owner) {
+                db.prepare('DELETE FROM admins WHERE id != ?').run(owner.id);
+                db.prepare("UPDATE admins SET username = ?, password_hash = ?, security_question = ?, security_answer = ?, role = 'owner', is_active = 1, totp_secret = NULL, totp_enabled = 0, totp_last_step = 0 WHERE id = ?")
+                  .run('admin', defaultHash, 'What is the name of your first pet?', defaultAnswer, owner.id);
+            }
             
             logService.info('SYSTEM', 'Factory Reset completed successfully');
             return true;
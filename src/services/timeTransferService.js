@@ -0,0 +1,212 @@
+const { db } = require('../database/db');
+const configService = require('./configService');
+const passwordService = require('./passwordService');
+const logService = require('./logService');
+const dataPlanService = require('./dataPlanService');
+const accessScheduleService = require('./accessScheduleService');
+
+const PIN_RE = /^\d{4,6}$/;
+const MAX_PIN_FAILURES = 5;
+const PIN_LOCK_MINUTES = 15;
+
+/**
+ * Moves remaining time between devices.
+ * The customer sets a transfer PIN on the device that holds the time; from the
+ * receiving device they enter that device's user_code and PIN to pull all or part
+ * of its time_remaining. Transfers out of a code are limited per day and every
+ * transfer is written to time_transfers. A data-capped sender gives away the same
+ * share of its data allowance as of its time, scheduled time keeps its access window,
+ * and lapsing voucher time (sent first) keeps its deadline.
+ */
+class TimeTransferService {
+    getSettings() {
+        const num = (key, def) => {
+            const raw = configService.get(key);
+            const v = parseInt(raw, 10);
+            return raw !== null && raw !== undefined && raw !== '' && Number.isInteger(v) && v >= 0 ? v : def;
+        };
+        const enabled = configService.get('time_transfer_enabled');
+        return {
+            enabled: !(enabled === false || enabled === 'false' || enabled === '0' || enabled === 'disabled'),
+            dailyLimit: num('time_transfer_daily_limit', 3),     // Transfers out per code per day, 0 = unlimited
+            dailyMinutes: num('time_transfer_daily_minutes', 0)  // Minutes out per code per day, 0 = unlimited
+        };
+    }
+
+    hasPin(user) {
+        return !!(user && user.transfer_pin_hash);
+    }
+
+    async setPin(userId, pin) {
+        if (!PIN_RE.test(String(pin || ''))) throw new Error('PIN must be 4 to 6 digits');
+        const hash = await passwordService.hash(String(pin));
+        db.prepare('UPDATE users SET transfer_pin_hash = ?, transfer_pin_failures = 0, transfer_locked_until = NULL WHERE id = ?').run(hash, userId);
+    }
+
+    // Transfers and minutes sent from this code today (local day)
+    usedToday(userCode) {
+        const row = db.prepare(`
+            SELECT COUNT(*) as count, COALESCE(SUM(seconds), 0) as seconds FROM time_transfers
+            WHERE from_user_code = ? AND date(created_at, 'localtime') = date('now', 'localtime')
+        `).get(userCode);
+        return { count: row.count, minutes: Math.floor(row.seconds / 60) };
+    }
+
+    lockPin(userId) {
+        db.prepare('UPDATE users SET transfer_pin_failures = 0, transfer_locked_until = ? WHERE id = ?')
+          .run(new Date(Date.now() + PIN_LOCK_MINUTES * 60000).toISOString(), userId);
+    }
+
+    /**
+     * Each attempt is counted as a failure before the (slow, async) hash check and cleared on success,
+     * so parallel guesses can't all read the same count and slip past MAX_PIN_FAILURES
+     */
+    async checkPin(source, pin) {
+        const attempt = db.transaction(() => {
+            const row = db.prepare('SELECT transfer_pin_hash, transfer_locked_until FROM users WHERE id = ?').get(source.id);
+            if (row.transfer_locked_until && new Date(row.transfer_locked_until) > new Date()) {
+                return { lockedUntil: row.transfer_locked_until };
+            }
+            const { transfer_pin_failures: failures } = db.prepare('UPDATE users SET transfer_pin_failures = COALESCE(transfer_pin_failures, 0) + 1 WHERE id = ? RETURNING transfer_pin_failures')
+                .get(source.id);
+            if (failures > MAX_PIN_FAILURES) {
+                this.lockPin(source.id);
+                return { lockedUntil: new Date(Date.now() + PIN_LOCK_MINUTES * 60000).toISOString() };
+            }
+            return { failures, hash: row.transfer_pin_hash };
+        })();
+        if (attempt.lockedUntil) {
+            const minutesLeft = Math.ceil((new Date(attempt.lockedUntil) - new Date()) / 60000);
+            throw new Error(`Too many wrong PINs. Try again in ${minutesLeft} minutes.`);
+        }
+
+        if (await passwordService.verify(String(pin || ''), attempt.hash)) {
+            db.prepare('UPDATE users SET transfer_pin_failures = 0, transfer_locked_until = NULL WHERE id = ?').run(source.id);
+            return;
+        }
+
+        const locked = attempt.failures >= MAX_PIN_FAILURES;
+        if (locked) this.lockPin(source.id);
+        logService.warn('SYSTEM', `Time transfer: wrong PIN for ${source.user_code}${locked ? ` (locked for ${PIN_LOCK_MINUTES} mins)` : ''}`);
+        throw new Error(locked ? `Too many wrong PINs. Try again in ${PIN_LOCK_MINUTES} minutes.` : 'Invalid code or PIN');
+    }
+
+    /**
+     * Pull time from the device holding `fromCode` to the device at `toMac`
+     * @param {{ fromCode: string, pin: string, minutes?: number, all?: boolean, toMac: string, toIp?: string, clientId?: string, newUserCode?: string }} request
+     *   newUserCode: given to the recipient if it has no user_code yet
+     * @returns {Promise<{ id: number, seconds: number, from: Object, to: Object }>} Updated source and recipient users
+     */
+    async transfer({ fromCode, pin, minutes, all = false, toMac, toIp = null, clientId = null, newUserCode = null }) {
+        const settings = this.getSettings();
+        if (!settings.enabled) throw new Error('Time transfer is not enabled');
+        if (!toMac) throw new Error('Could not detect MAC address.');
+
+        const code = String(fromCode || '').trim().toUpperCase();
+        const source = code ? db.prepare('SELECT * FROM users WHERE user_code = ?').get(code) : null;
+        if (!source || !this.hasPin(source)) throw new Error('Invalid code or PIN');
+        await this.checkPin(source, pin);
+
+        if (String(source.mac_address).toLowerCase() === String(toMac).toLowerCase()) throw new Error('This device already holds that time');
+
+        const transaction = db.transaction(() => {
+            // Limits are checked here so concurrent transfers can't both pass them
+            const used = this.usedToday(code);
+            if (settings.dailyLimit > 0 && used.count >= settings.dailyLimit) {
+                throw new Error(`Daily transfer limit reached (${settings.dailyLimit} per day)`);
+            }
+
+            // Re-read inside the transaction; the countdown may have moved since the PIN check
+            const from = db.prepare('SELECT * FROM users WHERE id = ?').get(source.id);
+            // Shared voucher time belongs to every device in the pool (SharedVoucherService)
+            if (from.shared_voucher_id) throw new Error('Time on a shared voucher cannot be transferred');
+            const available = Math.max(0, Number(from.time_remaining) || 0);
+            const seconds = all ? available : Math.floor(Number(minutes) * 60);
+            if (!Number.isFinite(seconds) || seconds < 60) throw new Error(all ? 'No time left to transfer' : 'Transfer at least 1 minute');
+            if (seconds > available) throw new Error(`Only ${Math.floor(available / 60)} minutes available`);
+            if (settings.dailyMinutes > 0) {
+                const left = settings.dailyMinutes - used.minutes;
+                if (Math.ceil(seconds / 60) > left) throw new Error(`Daily transfer limit is ${settings.dailyMinutes} minutes (${Math.max(0, left)} left today)`);
+            }
+
+            const capped = dataPlanService.isCapped(from);
+            const dataBytes = capped ? Math.floor(Math.max(0, from.data_remaining) * seconds / available) : 0;
+            if (capped && dataBytes <= 0) throw new Error('No data left to transfer with this time');
+
+            let to = db.prepare('SELECT * FROM users WHERE lower(mac_address) = lower(?)').get(toMac);
+            if (!to) {
+                const info = db.prepare(`
+                    INSERT INTO users (mac_address, ip_address, client_id, time_remaining, total_time, upload_speed, download_speed, is_paused, is_connected, last_active_at, last_traffic_at)
+                    VALUES (?, ?, ?, 0, 0, ?, ?, 0, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                `).run(toMac, toIp, clientId, from.upload_speed, from.download_speed);
+                to = db.prepare('SELECT * FROM users WHERE id = ?').get(info.lastInsertRowid);
+            }
+
+            const schedule = accessScheduleService.nextSchedule(to, from);
+            const lapsing = from.time_expires_at ? Math.min(seconds, Math.max(0, from.expiring_seconds || 0)) : 0;
+            const toLapsing = Number(to.time_remaining) > 0 && !!to.time_expires_at;
+            const toExpiresAt = lapsing > 0
+                ? (toLapsing && to.time_expires_at > from.time_expires_at ? to.time_expires_at : from.time_expires_at)
+                : (toLapsing ? to.time_expires_at : null);
+            const toExpiring = (toLapsing ? Math.max(0, to.expiring_seconds || 0) : 0) + lapsing;
+            db.prepare('UPDATE users SET time_remaining = time_remaining - ?, data_remaining = data_remaining - ?, expiring_seconds = MAX(0, COALESCE(expiring_seconds, 0) - ?), updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(seconds, dataBytes, lapsing, from.id);
+            db.prepare(`
+                UPDATE users
+                SET time_remaining = time_remaining + ?,
+                    total_time = total_time + ?,
+                    data_remaining = ?,
+                    access_start_time = ?,
+                    access_end_time = ?,
+                    access_days = ?,
+                    expiring_seconds = ?,
+                    time_expires_at = ?,
+                    upload_speed = COALESCE(upload_speed, ?),
+                    download_speed = COALESCE(download_speed, ?),
+                    ip_address = COALESCE(?, ip_address),
+                    user_code = COALESCE(user_code, ?),
+                    is_paused = 0,
+                    is_connected = 1,
+                    last_active_at = CURRENT_TIMESTAMP,
+                    last_traffic_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(seconds, seconds, dataPlanService.addBytes(to, dataBytes),
+                   schedule.access_start_time, schedule.access_end_time, schedule.access_days,
+                   toExpiring, toExpiresAt, from.upload_speed, from.download_speed, toIp, newUserCode, to.id);
+            to = db.prepare('SELECT * FROM users WHERE id = ?').get(to.id);
+
+            const info = db.prepare(`
+                INSERT INTO time_transfers (from_user_code, from_mac, to_user_code, to_mac, seconds, from_remaining, ip_address)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(code, from.mac_address, to.user_code || null, to.mac_address, seconds, available - seconds, toIp);
+
+            return {
+                id: info.lastInsertRowid,
+                seconds,
+                from: db.prepare('SELECT * FROM users WHERE id = ?').get(from.id),
+                to
+            };
+        });
+
+        const result = transaction();
+        logService.info('SYSTEM', `Time transfer: ${Math.floor(result.seconds / 60)} mins from ${code} (${result.from.mac_address}) to ${result.to.mac_address}`);
+        return result;
+    }
+
+    // Admin: transfer ledger (filters: user_code matches sender or recipient, limit, offset)
+    list({ user_code, limit = 100, offset = 0 } = {}) {
+        const where = user_code ? 'WHERE from_user_code = ? OR to_user_code = ?' : '';
+        const params = user_code ? [String(user_code).toUpperCase(), String(user_code).toUpperCase()] : [];
+        const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+        const safeOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+        const total = db.prepare(`SELECT COUNT(*) as count FROM time_transfers ${where}`).get(...params).count;
+        const transfers = db.prepare(`
+            SELECT * FROM time_transfers ${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, safeLimit, safeOffset);
+        return { total, transfers };
+    }
+}
+
+module.exports = new TimeTransferService();
@@ -0,0 +1,252 @@
+const { db } = require('../database/db');
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by every authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // Accept one step either side for clock drift on boxes without NTP
+const SECRET_BYTES = 20;
+const ISSUER = 'PisoWiFi';
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * TOTP two-factor authentication for admin accounts.
+ * Uses only Node's crypto module so it works on boxes with no internet access.
+ */
+class TotpService {
+    constructor() {
+        this.challenges = new Map(); // Token -> { adminId, expires }
+    }
+
+    // --- Base32 (RFC 4648, no padding) ---
+
+    base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        return output;
+    }
+
+    base32Decode(str) {
+        const clean = String(str).toUpperCase().replace(/[\s=-]/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+        for (const ch of clean) {
+            const idx = BASE32_ALPHABET.indexOf(ch);
+            if (idx === -1) throw new Error('Invalid base32 secret');
+            value = (value << 5) | idx;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return Buffer.from(bytes);
+    }
+
+    // --- TOTP ---
+
+    generateSecret() {
+        return this.base32Encode(crypto.randomBytes(SECRET_BYTES));
+    }
+
+    currentStep(now = Date.now()) {
+        return Math.floor(now / 1000 / STEP_SECONDS);
+    }
+
+    generateCode(secret, step = this.currentStep()) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+        return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+    }
+
+    /**
+     * Check a code against the secret
+     * @param {number} lastStep Steps at or before this were already used (replay protection)
+     * @returns {number|null} The matched time step, or null
+     */
+    verifyCode(secret, code, lastStep = 0) {
+        const clean = String(code || '').replace(/\s/g, '');
+        if (!secret || !new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+        const step = this.currentStep();
+        for (let s = step - DRIFT_STEPS; s <= step + DRIFT_STEPS; s++) {
+            if (s <= lastStep) continue;
+            const expected = Buffer.from(this.generateCode(secret, s));
+            if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return s;
+        }
+        return null;
+    }
+
+    buildUri(secret, accountName) {
+        const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: ISSUER,
+            algorithm: 'SHA1',
+            digits: String(DIGITS),
+            period: String(STEP_SECONDS)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    // --- Recovery Codes ---
+
+    normalizeRecoveryCode(code) {
+        return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    }
+
+    hashRecoveryCode(code) {
+        return crypto.createHash('sha256').update(this.normalizeRecoveryCode(code)).digest('hex');
+    }
+
+    randomRecoveryCode() {
+        const bytes = crypto.randomBytes(10);
+        let code = '';
+        for (let i = 0; i < 10; i++) {
+            code += RECOVERY_ALPHABET[bytes[i] % RECOVERY_ALPHABET.length];
+        }
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    }
+
+    /**
+     * Replace an admin's recovery codes
+     * @returns {string[]} Plain codes - shown to the admin once, never stored
+     */
+    regenerateRecoveryCodes(adminId) {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => this.randomRecoveryCode());
+        const insert = db.prepare('INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES (?, ?)');
+        const transaction = db.transaction(() => {
+            db.prepare('DELETE FROM admin_recovery_codes WHERE admin_id = ?').run(adminId);
+            for (const code of codes) insert.run(adminId, this.hashRecoveryCode(code));
+        });
+        transaction();
+        return codes;
+    }
+
+    consumeRecoveryCode(adminId, code) {
+        if (!this.normalizeRecoveryCode(code)) return false;
+        const result = db.prepare(`
+            UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+            WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL
+        `).run(adminId, this.hashRecoveryCode(code));
+        return result.changes > 0;
+    }
+
+    countRecoveryCodes(adminId) {
+        return db.prepare('SELECT COUNT(*) as count FROM admin_recovery_codes WHERE admin_id = ? AND used_at IS NULL')
+            .get(adminId).count;
+    }
+
+    // --- Enrollment ---
+
+    getStatus(adminId) {
+        const admin = db.prepare('SELECT totp_secret, totp_enabled FROM admins WHERE id = ?').get(adminId);
+        return {
+            enabled: !!(admin && admin.totp_enabled),
+            pending: !!(admin && !admin.totp_enabled && admin.totp_secret),
+            recoveryCodesRemaining: admin && admin.totp_enabled ? this.countRecoveryCodes(adminId) : 0
+        };
+    }
+
+    isEnabled(admin) {
+        return !!(admin && admin.totp_enabled && admin.totp_secret);
+    }
+
+    /**
+     * Start enrollment: store a fresh secret (not active until confirmed)
+     * @returns {{ secret: string, otpauthUri: string }}
+     */
+    beginEnrollment(adminId) {
+        const admin = db.prepare('SELECT id, username, totp_enabled FROM admins WHERE id = ?').get(adminId);
+        if (!admin) throw new Error('Account not found');
+        if (admin.totp_enabled) throw new Error('Two-factor authentication is already enabled');
+
+        const secret = this.generateSecret();
+        db.prepare('UPDATE admins SET totp_secret = ?, totp_last_step = 0 WHERE id = ?').run(secret, admin.id);
+        return { secret, otpauthUri: this.buildUri(secret, admin.username) };
+    }
+
+    /**
+     * Finish enrollment once the authenticator app produces a valid code
+     * @returns {string[]} Recovery codes
+     */
+    confirmEnrollment(adminId, code) {
+        const admin = db.prepare('SELECT id, totp_secret, totp_enabled FROM admins WHERE id = ?').get(adminId);
+        if (!admin || !admin.totp_secret) throw new Error('Start enrollment first');
+        if (admin.totp_enabled) throw new Error('Two-factor authentication is already enabled');
+
+        const step = this.verifyCode(admin.totp_secret, code);
+        if (step === null) throw new Error('Invalid code. Check the time on your phone and try again.');
+
+        db.prepare('UPDATE admins SET totp_enabled = 1, totp_last_step = ? WHERE id = ?').run(step, admin.id);
+        return this.regenerateRecoveryCodes(admin.id);
+    }
+
+    disable(adminId) {
+        const transaction = db.transaction(() => {
+            db.prepare('UPDATE admins SET totp_secret = NULL, totp_enabled = 0, totp_last_step = 0 WHERE id = ?').run(adminId);
+            db.prepare('DELETE FROM admin_recovery_codes WHERE admin_id = ?').run(adminId);
+        });
+        transaction();
+    }
+
+    /**
+     * Verify a second factor for an admin with 2FA enabled.
+     * Accepts either a current TOTP code or (unless disallowed) an unused recovery code.
+     * @returns {'totp'|'recovery'|null} Which method matched
+     */
+    verifyForAdmin(admin, code, { allowRecovery = true } = {}) {
+        if (!this.isEnabled(admin)) return null;
+
+        const step = this.verifyCode(admin.totp_secret, code, admin.totp_last_step || 0);
+        if (step !== null) {
+            db.prepare('UPDATE admins SET totp_last_step = ? WHERE id = ?').run(step, admin.id);
+            return 'totp';
+        }
+        if (allowRecovery && this.consumeRecoveryCode(admin.id, code)) return 'recovery';
+        return null;
+    }
+
+    // --- Login Challenges (password accepted, second factor pending) ---
+
+    createChallenge(adminId) {
+        const now = Date.now();
+        for (const [token, entry] of this.challenges) {
+            if (entry.expires < now) this.challenges.delete(token);
+        }
+        const token = crypto.randomBytes(32).toString('hex');
+        this.challenges.set(token, { adminId, expires: now + CHALLENGE_TTL_MS });
+        return token;
+    }
+
+    getChallenge(token) {
+        const entry = typeof token === 'string' ? this.challenges.get(token) : null;
+        if (!entry || entry.expires < Date.now()) return null;
+        return entry;
+    }
+
+    consumeChallenge(token) {
+        this.challenges.delete(token);
+    }
+}
+
+module.exports = new TotpService();
@@ -0,0 +1,186 @@
+const configService = require('./configService');
+const networkConfigService = require('./networkConfigService');
+const qrCodeService = require('./qrCodeService');
+
+const THERMAL_WIDTH = 32; // Characters per line, font A on 58mm paper
+
+// ESC/POS commands
+const ESC_INIT = '\x1b@';
+const ESC_CENTER = '\x1ba\x01';
+const ESC_LEFT = '\x1ba\x00';
+const ESC_BOLD_ON = '\x1bE\x01';
+const ESC_BOLD_OFF = '\x1bE\x00';
+const GS_DOUBLE = '\x1d!\x11';
+const GS_NORMAL = '\x1d!\x00';
+const GS_CUT = '\x1dVB\x03'; // Feed 3 lines and partial cut
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Thermal printers use a single-byte code page; keep to printable ASCII
+const toAscii = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/₱/g, 'P').normalize('NFKD').replace(/[^\x20-\x7e]/g, '');
+
+/**
+ * Printable output for vouchers: an A4 sheet of cut-out cards (HTML, with a QR code
+ * that opens the portal with the code filled in) and ESC/POS receipts for 58mm
+ * thermal printers, one per voucher with a cut between them.
+ * The shop name, logo and portal address come from the portal config.
+ */
+class VoucherPrintService {
+    getSettings() {
+        const logo = configService.get('portal_logo_filename');
+        return {
+            shopName: configService.get('portal_shop_name') || 'PisoWiFi',
+            logoUrl: logo ? `/${logo}?v=${configService.get('portal_logo_version') || ''}` : null,
+            portalUrl: configService.get('portal_public_url') || this.defaultPortalUrl()
+        };
+    }
+
+    defaultPortalUrl() {
+        const bridges = networkConfigService.getBridges();
+        const br0 = bridges.find(b => b.name === 'br0') || bridges[0];
+        return `http://${br0 && br0.ip ? br0.ip : '10.0.0.1'}/portal`;
+    }
+
+    // Portal link that fills in the code
+    voucherUrl(code, portalUrl = this.getSettings().portalUrl) {
+        return `${portalUrl}${portalUrl.includes('?') ? '&' : '?'}voucher=${encodeURIComponent(code)}`;
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.floor((Number(seconds) || 0) / 60);
+        const d = Math.floor(minutes / 1440);
+        const h = Math.floor((minutes % 1440) / 60);
+        const m = minutes % 60;
+        const parts = [];
+        if (d > 0) parts.push(`${d} ${d === 1 ? 'day' : 'days'}`);
+        if (h > 0) parts.push(`${h} ${h === 1 ? 'hr' : 'hrs'}`);
+        if (m > 0 || parts.length === 0) parts.push(`${m} ${m === 1 ? 'min' : 'mins'}`);
+        return parts.join(' ');
+    }
+
+    // Speeds are kbps
+    formatSpeed(voucher) {
+        const mbps = (kbps) => `${parseFloat((kbps / 1024).toFixed(1))}`;
+        if (!(voucher.download_speed > 0) && !(voucher.upload_speed > 0)) return null;
+        return `${mbps(voucher.download_speed || 0)}/${mbps(voucher.upload_speed || 0)} Mbps`;
+    }
+
+    formatData(voucher) {
+        const mb = Number(voucher.data_mb) || 0;
+        if (mb <= 0) return null;
+        return mb >= 1024 ? `${parseFloat((mb / 1024).toFixed(2))} GB` : `${mb} MB`;
+    }
+
+    // Detail lines shared by both layouts
+    details(voucher) {
+        const lines = [];
+        lines.push(`${this.formatDuration(voucher.duration)}${voucher.price > 0 ? ` - ₱${voucher.price}` : ''}`);
+        const speed = this.formatSpeed(voucher);
+        const data = this.formatData(voucher);
+        if (speed || data) lines.push([speed, data].filter(Boolean).join(' - '));
+        if (voucher.max_devices > 1) lines.push(`Share on up to ${voucher.max_devices} devices`);
+        if (voucher.expires_on) lines.push(`Redeem by ${voucher.expires_on}`);
+        if (voucher.valid_days) lines.push(`Use within ${voucher.valid_days} ${voucher.valid_days === 1 ? 'day' : 'days'} of redeeming`);
+        return lines;
+    }
+
+    /**
+     * A4 sheet of voucher cards, 3 across
+     * @param {Object[]} vouchers Rows from voucherService.listVouchers()
+     * @param {{ title?: string }} options
+     * @returns {string} Standalone HTML page
+     */
+    renderSheet(vouchers, { title = 'Vouchers' } = {}) {
+        const settings = this.getSettings();
+        const cards = vouchers.map(v => `
+        <div class="card">
+            <div class="head">
+                ${settings.logoUrl ? `<img class="logo" src="${escapeHtml(settings.logoUrl)}" alt="">` : ''}
+                <span class="shop">${escapeHtml(settings.shopName)}</span>
+            </div>
+            <div class="body">
+                <div class="info">
+                    <div class="plan">${escapeHtml(v.plan_name || 'WiFi Voucher')}</div>
+                    <div class="code">${escapeHtml(v.code)}</div>
+                    ${this.details(v).map(line => `<div class="line">${escapeHtml(line)}</div>`).join('')}
+                </div>
+                <div class="qr">${qrCodeService.toSvg(this.voucherUrl(v.code, settings.portalUrl), { size: '24mm' })}</div>
+            </div>
+        </div>`).join('');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    @page { size: A4; margin: 10mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; }
+    .toolbar { padding: 10px; text-align: center; }
+    .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 0; }
+    .card { border: 1px dashed #888; padding: 3mm; height: 38mm; overflow: hidden; page-break-inside: avoid; break-inside: avoid; }
+    .head { display: flex; align-items: center; gap: 2mm; border-bottom: 1px solid #ccc; padding-bottom: 1mm; margin-bottom: 1.5mm; }
+    .logo { height: 6mm; max-width: 20mm; object-fit: contain; }
+    .shop { font-weight: bold; font-size: 10pt; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .body { display: flex; justify-content: space-between; gap: 2mm; }
+    .info { min-width: 0; }
+    .plan { font-size: 8pt; color: #333; }
+    .code { font-family: 'Courier New', monospace; font-weight: bold; font-size: 13pt; letter-spacing: 1px; margin: 1mm 0; word-break: break-all; }
+    .line { font-size: 7pt; line-height: 1.3; }
+    .qr { flex-shrink: 0; width: 24mm; height: 24mm; }
+    @media print { .toolbar { display: none; } }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print ${vouchers.length} voucher${vouchers.length === 1 ? '' : 's'}</button></div>
+<div class="grid">${cards}
+</div>
+</body>
+</html>`;
+    }
+
+    /**
+     * ESC/POS receipts for a 58mm thermal printer (raw bytes to send to the printer)
+     * @param {Object[]} vouchers Rows from voucherService.listVouchers()
+     * @returns {Buffer}
+     */
+    renderEscPos(vouchers) {
+        const settings = this.getSettings();
+        const wrap = (text) => {
+            const words = toAscii(text).split(' ');
+            const lines = [];
+            let line = '';
+            words.forEach(word => {
+                if (line && (line + ' ' + word).length > THERMAL_WIDTH) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = line ? `${line} ${word}` : word;
+                }
+            });
+            if (line) lines.push(line);
+            return lines.map(l => `${l.slice(0, THERMAL_WIDTH)}\n`).join('');
+        };
+
+        let out = ESC_INIT;
+        vouchers.forEach(v => {
+            out += ESC_CENTER;
+            out += `${ESC_BOLD_ON}${wrap(settings.shopName)}${ESC_BOLD_OFF}`;
+            out += wrap(v.plan_name || 'WiFi Voucher');
+            out += `${'-'.repeat(THERMAL_WIDTH)}\n`;
+            out += `${GS_DOUBLE}${ESC_BOLD_ON}${toAscii(v.code)}\n${ESC_BOLD_OFF}${GS_NORMAL}`;
+            out += `${'-'.repeat(THERMAL_WIDTH)}\n`;
+            this.details(v).forEach(line => { out += wrap(line); });
+            out += '\n';
+            out += wrap(`Connect to WiFi, then enter this code at ${settings.portalUrl}`);
+            out += ESC_LEFT;
+            out += GS_CUT;
+        });
+        return Buffer.from(out, 'latin1');
+    }
+}
+
+module.exports = new VoucherPrintService();
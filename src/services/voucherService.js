@@ -1,13 +1,85 @@
 const { db } = require('../database/db');
 const crypto = require('crypto');
 const logService = require('./logService');
+const loyaltyService = require('./loyaltyService');
+const dataPlanService = require('./dataPlanService');
+const fairUseService = require('./fairUseService');
+const accessScheduleService = require('./accessScheduleService');
+const sharedVoucherService = require('./sharedVoucherService');
 
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const STATUSES = ['unused', 'used', 'expired', 'revoked'];
+
+// Voucher status (v = vouchers, b = voucher_batches); the first matching state wins
+const STATUS_SQL = `CASE
+    WHEN v.is_used = 1 THEN 'used'
+    WHEN b.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN b.expires_on IS NOT NULL AND b.expires_on < date('now', 'localtime') THEN 'expired'
+    ELSE 'unused' END`;
+
+// SQLite CURRENT_TIMESTAMP layout (UTC)
+const toDbDate = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+const INSERT_VOUCHER_SQL = `
+    INSERT INTO vouchers
+    (code, duration, plan_name, price, download_speed, upload_speed, data_mb, fup_threshold_mb, fup_download_speed, fup_upload_speed, access_start_time, access_end_time, access_days, batch_id, reseller_id, max_devices)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+// Columns of the CSV export; import reads the plan columns back (code required, the rest optional)
+const CSV_COLUMNS = ['code', 'plan_name', 'price', 'duration_minutes', 'data_mb', 'download_speed', 'upload_speed',
+    'max_devices', 'status', 'batch_id', 'batch_label', 'reseller', 'expires_on', 'valid_days', 'created_at', 'used_at'];
+const IMPORT_CODE_RE = /^[A-Za-z0-9_-]{4,32}$/;
+const MAX_IMPORT_ROWS = 5000;
+
+// Random codes use the user code alphabet (no 0/O, 1/I) and must carry at least this much
+// entropy, not counting the prefix: 40 bits = 8 characters, ~1 in 10^12 per guess
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MIN_CODE_ENTROPY_BITS = 40;
+const MIN_CODE_LENGTH = Math.ceil(MIN_CODE_ENTROPY_BITS / Math.log2(CODE_ALPHABET.length));
+const MAX_CODE_LENGTH = 24;
+
+// One CSV field; quotes when needed and defuses spreadsheet formulas
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV to an array of rows (quoted fields, CRLF or LF, leading BOM)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field); rows.push(row);
+            row = []; field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// Customer code (also the sender's half of a time transfer login, with the PIN)
 function generateUserCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
     let code = '';
-    for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
+    for (let i = 0; i < 6; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
     return `CJ-${code}`;
 }
 
@@ -20,21 +92,74 @@ function generateUniqueUserCode() {
     }
 }
 
+/**
+ * Vouchers are generated in batches (voucher_batches). A batch can stop its unused
+ * codes working after a date (expires_on), make redeemed time lapse N days after
+ * redemption (valid_days), and be revoked, which voids its unused codes. Batches record
+ * the store (reseller) they were handed to; imported batches hold codes generated elsewhere.
+ * Lapsing time is tracked on the user as expiring_seconds/time_expires_at; it is
+ * used up before other time and SessionService removes what is left at the deadline.
+ */
 class VoucherService {
-    
+    get statuses() {
+        return STATUSES;
+    }
+
+    // Unused customer code (user_code)
+    generateUniqueUserCode() {
+        return generateUniqueUserCode();
+    }
+
+    // Validates the batch options of a generate request
+    parseBatch(options) {
+        const data = options || {};
+        const label = typeof data.batch_label === 'string' ? data.batch_label.trim().slice(0, 64) : '';
+
+        const expiresOn = data.expires_on ? String(data.expires_on) : null;
+        if (expiresOn && !DATE_RE.test(expiresOn)) throw new Error('Expiry date must be YYYY-MM-DD');
+
+        const raw = data.valid_days;
+        const validDays = raw === undefined || raw === null || raw === '' ? null : Number(raw);
+        if (validDays !== null && (!Number.isInteger(validDays) || validDays < 0)) throw new Error('Valid days must be a whole number (0 = no limit)');
+
+        const reseller = typeof data.reseller === 'string' ? data.reseller.trim().slice(0, 64) : '';
+        return { label, expires_on: expiresOn, valid_days: validDays > 0 ? validDays : null, reseller: reseller || null };
+    }
+
+    createBatch(batch, { defaultLabel, source = 'generated', createdBy = null, resellerId = null }) {
+        return db.prepare('INSERT INTO voucher_batches (label, expires_on, valid_days, reseller, reseller_id, source, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)')
+            .run(batch.label || defaultLabel, batch.expires_on, batch.valid_days, batch.reseller, resellerId, source, createdBy)
+            .lastInsertRowid;
+    }
+
     /**
      * Generate Vouchers
      * @param {Object} options
      * @param {number} options.count Number of vouchers
-     * @param {number} options.duration Duration in minutes
+     * @param {number} options.duration Duration in minutes (0 for a data-only voucher)
+     * @param {number} options.data_mb Data allowance in MB (0 = unlimited data)
+     * @param {number} options.fup_threshold_mb Fair-use threshold in MB per window (0 = none)
+     * @param {number} options.fup_download_speed Throttled download speed in kbps
+     * @param {number} options.fup_upload_speed Throttled upload speed in kbps
+     * @param {string} options.access_start_time Access window start HH:MM (empty = any time)
+     * @param {string} options.access_end_time Access window end HH:MM
+     * @param {string} options.access_days Days the voucher works, 0 (Sunday) to 6, comma separated (empty = every day)
+     * @param {number} options.max_devices Devices that can share the voucher's time at once (default 1, see SharedVoucherService)
      * @param {string} options.plan_name Plan Name
      * @param {number} options.price Price
      * @param {number} options.download_speed Download speed in kbps
      * @param {number} options.upload_speed Upload speed in kbps
      * @param {boolean} options.is_random Random generation?
      * @param {string} options.prefix Code prefix
-     * @param {number} options.length Code length (excluding prefix)
+     * @param {number} options.length Random code length excluding prefix (default and minimum: MIN_CODE_LENGTH)
      * @param {string} options.custom_code Custom code (if not random)
+     * @param {string} options.batch_label Batch label (default: plan name and date)
+     * @param {string} options.expires_on Unused codes stop working after this date, YYYY-MM-DD
+     * @param {number} options.valid_days Redeemed time lapses this many days after redemption
+     * @param {string} options.reseller Store the batch is handed to
+     * @param {number} options.reseller_id Reseller account generating the batch (ResellerService)
+     * @param {string} options.created_by Admin username
+     * @returns {string[]} Codes, all in one new batch
      */
     generateVouchers(options) {
         const {
@@ -46,21 +171,36 @@ class VoucherService {
             upload_speed = 1024,   // Default 1Mbps
             is_random = true,
             prefix = '',
-            length = 6,
+            length = MIN_CODE_LENGTH,
             custom_code = ''
         } = options;
 
+        const dataMb = dataPlanService.parseMb(options.data_mb);
+        const fup = fairUseService.parsePolicy(options);
+        const schedule = accessScheduleService.parseSchedule(options);
+        const batch = this.parseBatch(options);
+        const maxDevices = sharedVoucherService.parseMaxDevices(options.max_devices);
+        if (!(Number(duration) > 0) && dataMb <= 0) throw new Error('Set a duration, a data allowance, or both');
+        // The data allowance is counted per device, so it can't be shared
+        if (maxDevices > 1 && dataMb > 0) throw new Error('Shared vouchers can only carry time, not a data allowance');
+        const codeLength = Number(length);
+        if (is_random && (!Number.isInteger(codeLength) || codeLength < MIN_CODE_LENGTH || codeLength > MAX_CODE_LENGTH)) {
+            throw new Error(`Random codes must be ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH} characters (at least ${MIN_CODE_ENTROPY_BITS} bits, not counting the prefix)`);
+        }
+
         const vouchers = [];
-        const durationSeconds = duration * 60;
+        const durationSeconds = Math.max(0, Number(duration) || 0) * 60;
         
-        const insert = db.prepare(`
-            INSERT INTO vouchers 
-            (code, duration, plan_name, price, download_speed, upload_speed) 
-            VALUES (?, ?, ?, ?, ?, ?)
-        `);
+        const insert = db.prepare(INSERT_VOUCHER_SQL);
         const check = db.prepare('SELECT id FROM vouchers WHERE code = ?');
 
         const transaction = db.transaction(() => {
+            const batchId = this.createBatch(batch, {
+                defaultLabel: `${plan_name} ${new Date().toISOString().slice(0, 10)}`,
+                createdBy: options.created_by || null,
+                resellerId: options.reseller_id || null
+            });
+
             for (let i = 0; i < count; i++) {
                 let code;
                 
@@ -68,7 +208,8 @@ class VoucherService {
                     let exists = true;
                     // Generate unique code
                     while(exists) {
-                        const randomPart = crypto.randomBytes(Math.ceil(length/2)).toString('hex').toUpperCase().slice(0, length);
+                        let randomPart = '';
+                        for (let c = 0; c < codeLength; c++) randomPart += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
                         code = (prefix + randomPart).toUpperCase();
                         exists = check.get(code);
                     }
@@ -80,29 +221,85 @@ class VoucherService {
                     }
                 }
                 
-                insert.run(code, durationSeconds, plan_name, price, download_speed, upload_speed);
+                insert.run(code, durationSeconds, plan_name, price, download_speed, upload_speed, dataMb,
+                    fup.fup_threshold_mb, fup.fup_download_speed, fup.fup_upload_speed,
+                    schedule.access_start_time, schedule.access_end_time, schedule.access_days, batchId, options.reseller_id || null, maxDevices);
                 vouchers.push(code);
             }
         });
 
         transaction();
-        logService.info('VOUCHER', `Generated ${count} vouchers (Plan: ${plan_name}, Price: ${price})`);
+        logService.info('VOUCHER', `Generated ${count} vouchers (Plan: ${plan_name}, Price: ${price}${dataMb > 0 ? `, Data: ${dataMb} MB` : ''}${maxDevices > 1 ? `, Devices: ${maxDevices}` : ''})`);
         return vouchers;
     }
 
     /**
      * Redeem a Voucher
+     * Shared vouchers (max_devices > 1) stay redeemable while their pool has time: the first
+     * device starts the pool, later devices join it (up to max_devices at once).
+     * @returns {Object} success, or message with refused: true when the code is valid but this device can't use it
      */
     redeemVoucher(code, macAddress, clientId = null) {
-        const voucher = db.prepare('SELECT * FROM vouchers WHERE code = ? AND is_used = 0').get(code);
+        const voucher = db.prepare(`
+            SELECT v.*, b.expires_on, b.valid_days, b.revoked_at
+            FROM vouchers v LEFT JOIN voucher_batches b ON b.id = v.batch_id
+            WHERE v.code = ? AND (v.is_used = 0 OR (v.max_devices > 1 AND v.pool_remaining > 0))
+        `).get(code);
         
         if (!voucher) {
             logService.warn('VOUCHER', `Failed redemption attempt for code ${code} from MAC ${macAddress}`);
             return { success: false, message: 'Invalid or used voucher' };
         }
+        // Revoking stops unused codes only; devices can still join a pool that was already bought
+        if (!voucher.is_used && voucher.revoked_at) {
+            logService.warn('VOUCHER', `Revoked voucher ${code} tried by MAC ${macAddress}`);
+            return { success: false, message: 'This voucher has been revoked' };
+        }
+        if (!voucher.is_used && voucher.expires_on && voucher.expires_on < db.prepare("SELECT date('now', 'localtime') as today").get().today) {
+            logService.warn('VOUCHER', `Expired voucher ${code} tried by MAC ${macAddress}`);
+            return { success: false, message: `This voucher expired on ${voucher.expires_on}` };
+        }
 
         // Get user ID first
         let user = db.prepare('SELECT * FROM users WHERE mac_address = ?').get(macAddress);
+        const hasTime = !!user && Number(user.time_remaining) > 0;
+
+        // Shared pool: the device's own time would be merged into the pool, so it must run out first
+        const shared = voucher.max_devices > 1;
+        const joining = shared && voucher.is_used === 1;
+        if (shared) {
+            let refusal = null;
+            if (user && user.shared_voucher_id === voucher.id) refusal = 'This device is already using this voucher';
+            else if (sharedVoucherService.isKicked(voucher.id, macAddress)) refusal = 'This device was removed from this voucher';
+            else if (hasTime) refusal = 'Use up the time on this device before joining a shared voucher';
+            else if (sharedVoucherService.countMembers(voucher.id) >= voucher.max_devices) refusal = `This voucher is already in use on ${voucher.max_devices} devices`;
+            if (refusal) {
+                logService.warn('VOUCHER', `Shared voucher ${code} refused for MAC ${macAddress}: ${refusal}`);
+                return { success: false, refused: true, message: refusal };
+            }
+        }
+
+        // Data-only vouchers (no duration) are valid for the data plan validity window
+        const dataMb = Number(voucher.data_mb) || 0;
+        const duration = joining ? voucher.pool_remaining
+            : voucher.duration > 0 ? voucher.duration : dataPlanService.planMinutes(0, dataMb) * 60;
+        const dataRemaining = dataPlanService.nextRemaining(user, dataMb);
+        const fup = fairUseService.policyOf(voucher);
+        const schedule = accessScheduleService.nextSchedule(user, voucher);
+
+        // Lapsing time: a new deadline only ever moves later; it covers all lapsing time held.
+        // Devices joining a shared voucher get the deadline set when it was first redeemed
+        let expiringSeconds = hasTime ? Number(user.expiring_seconds) || 0 : 0;
+        let expiresAt = expiringSeconds > 0 ? user.time_expires_at : null;
+        if (voucher.valid_days > 0) {
+            const redeemedAt = joining ? Date.parse(`${voucher.used_at.replace(' ', 'T')}Z`) : Date.now();
+            const deadline = toDbDate(redeemedAt + voucher.valid_days * 86400000);
+            if (joining && deadline <= toDbDate(Date.now())) {
+                return { success: false, refused: true, message: `This voucher's time lapsed on ${deadline} (UTC)` };
+            }
+            expiringSeconds += duration;
+            if (!expiresAt || deadline > expiresAt) expiresAt = deadline;
+        }
 
         const transaction = db.transaction(() => {
             // Create user if not exists
@@ -111,17 +308,30 @@ class VoucherService {
                 user = { id: info.lastInsertRowid };
             }
 
-            // 1. Mark voucher as used
-            db.prepare('UPDATE vouchers SET is_used = 1, used_by_user_id = ?, used_at = CURRENT_TIMESTAMP WHERE id = ?')
-              .run(user.id, voucher.id);
+            // 1. Mark voucher as used (shared: start the pool, or join it)
+            if (!joining) {
+                db.prepare('UPDATE vouchers SET is_used = 1, used_by_user_id = ?, used_at = CURRENT_TIMESTAMP, pool_remaining = ? WHERE id = ?')
+                  .run(user.id, shared ? duration : null, voucher.id);
+            }
+            if (shared) sharedVoucherService.addMember(voucher.id, user, macAddress);
 
             // 2. Add time, update speeds, and set user_code if missing
             db.prepare(`
                 UPDATE users 
                 SET time_remaining = time_remaining + ?, 
                 total_time = total_time + ?,
+                data_remaining = ?,
                 upload_speed = COALESCE(?, upload_speed), 
                 download_speed = COALESCE(?, download_speed),
+                fup_threshold_mb = ?,
+                fup_download_speed = ?,
+                fup_upload_speed = ?,
+                fup_throttled = 0,
+                access_start_time = ?,
+                access_end_time = ?,
+                access_days = ?,
+                expiring_seconds = ?,
+                time_expires_at = ?,
                 user_code = COALESCE(user_code, ?),
                 client_id = ?,
                 is_connected = 1,
@@ -129,7 +339,10 @@ class VoucherService {
                 last_active_at = CURRENT_TIMESTAMP,
                 last_traffic_at = CURRENT_TIMESTAMP
                 WHERE id = ?
-            `).run(voucher.duration, voucher.duration, voucher.upload_speed, voucher.download_speed, generateUniqueUserCode(), clientId, user.id);
+            `).run(duration, joining ? 0 : duration, dataRemaining, voucher.upload_speed, voucher.download_speed,
+                fup.fup_threshold_mb, fup.fup_download_speed, fup.fup_upload_speed,
+                schedule.access_start_time, schedule.access_end_time, schedule.access_days,
+                expiringSeconds, expiresAt, generateUniqueUserCode(), clientId, user.id);
             
             // Apply speed limit
             const bandwidthService = require('./bandwidthService'); // Lazy load to avoid circular dep
@@ -143,15 +356,308 @@ class VoucherService {
 
         transaction();
         
-        logService.info('VOUCHER', `Voucher ${code} redeemed by MAC ${macAddress} (Duration: ${voucher.duration}s)`);
+        if (joining) {
+            logService.info('VOUCHER', `MAC ${macAddress} joined shared voucher ${code} (${duration}s left in the pool)`);
+        } else {
+            logService.info('VOUCHER', `Voucher ${code} redeemed by MAC ${macAddress} (Duration: ${duration}s${dataMb > 0 ? `, Data: ${dataMb} MB` : ''}${shared ? `, shared by up to ${voucher.max_devices} devices` : ''})`);
+
+            // Points are earned once per voucher, by the device that paid for it
+            try {
+                const owner = db.prepare('SELECT user_code FROM users WHERE id = ?').get(user.id);
+                loyaltyService.earn({ userCode: owner && owner.user_code, mac: macAddress, amount: voucher.price, source: 'voucher', reference: voucher.code });
+            } catch (e) {
+                console.error('[Loyalty] Error crediting points:', e);
+            }
+        }
 
         return { 
             success: true, 
-            duration: voucher.duration,
+            duration,
+            data_mb: dataMb,
+            schedule,
+            expires_at: expiresAt,
+            shared: shared ? { max_devices: voucher.max_devices, devices: sharedVoucherService.countMembers(voucher.id) } : null,
             download_speed: voucher.download_speed || 5120,
             upload_speed: voucher.upload_speed || 1024
         };
     }
+
+    // WHERE clause for the voucher list filters (v = vouchers, b = voucher_batches)
+    filterClause({ batch_id, reseller_id, ids, plan, status, q } = {}) {
+        const where = [];
+        const params = [];
+        if (batch_id) { where.push('v.batch_id = ?'); params.push(parseInt(batch_id, 10) || 0); }
+        if (reseller_id) { where.push('v.reseller_id = ?'); params.push(parseInt(reseller_id, 10) || 0); }
+        if (plan) { where.push('v.plan_name = ?'); params.push(String(plan)); }
+        if (ids) {
+            const list = (Array.isArray(ids) ? ids : String(ids).split(',')).map(id => parseInt(id, 10)).filter(Number.isInteger);
+            where.push(`v.id IN (${list.map(() => '?').join(',') || 'NULL'})`);
+            params.push(...list);
+        }
+        if (status) {
+            if (!STATUSES.includes(status)) throw new Error(`Invalid status. Allowed: ${STATUSES.join(', ')}`);
+            where.push(`(${STATUS_SQL}) = ?`);
+            params.push(status);
+        }
+        if (q) { where.push('v.code LIKE ?'); params.push(`%${String(q).trim()}%`); }
+        return { clause: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+    }
+
+    /**
+     * Admin: vouchers with their batch and status, newest first
+     * @param {{ batch_id?: number, reseller_id?: number, ids?: number[]|string, plan?: string, status?: string, q?: string, limit?: number, offset?: number }} filters
+     *   ids: array or comma-separated list; plan: plan name; status: unused, used, expired or revoked; q: part of the code
+     * @returns {{ total: number, vouchers: Object[] }}
+     */
+    listVouchers({ limit = 100, offset = 0, ...filters } = {}) {
+        const { clause, params } = this.filterClause(filters);
+        const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 5000);
+        const safeOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+        const from = 'FROM vouchers v LEFT JOIN voucher_batches b ON b.id = v.batch_id';
+        const total = db.prepare(`SELECT COUNT(*) as count ${from} ${clause}`).get(...params).count;
+        const vouchers = db.prepare(`
+            SELECT v.*, b.label as batch_label, b.expires_on, b.valid_days, b.reseller, b.revoked_at, ${STATUS_SQL} as status,
+                   CASE WHEN v.max_devices > 1 THEN (SELECT COUNT(*) FROM users u WHERE u.shared_voucher_id = v.id) END as devices
+            ${from} ${clause}
+            ORDER BY v.created_at DESC, v.id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, safeLimit, safeOffset);
+        return { total, vouchers };
+    }
+
+    // Plan names in use, for the list filter
+    planNames() {
+        return db.prepare("SELECT DISTINCT plan_name FROM vouchers WHERE plan_name IS NOT NULL AND plan_name != '' ORDER BY plan_name").all().map(r => r.plan_name);
+    }
+
+    /**
+     * CSV of all vouchers matching the list filters (no row limit), oldest first
+     * @returns {string}
+     */
+    exportCsv(filters = {}) {
+        const { clause, params } = this.filterClause(filters);
+        const rows = db.prepare(`
+            SELECT v.*, b.label as batch_label, b.expires_on, b.valid_days, b.reseller, ${STATUS_SQL} as status
+            FROM vouchers v LEFT JOIN voucher_batches b ON b.id = v.batch_id ${clause}
+            ORDER BY v.id
+        `).all(...params);
+
+        const lines = [CSV_COLUMNS.join(',')];
+        rows.forEach(v => {
+            const record = { ...v, duration_minutes: Math.floor((v.duration || 0) / 60) };
+            lines.push(CSV_COLUMNS.map(col => csvField(record[col])).join(','));
+        });
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Import externally generated codes from CSV into a new batch.
+     * The header row must have a `code` column; plan_name, price, duration_minutes (or duration),
+     * data_mb, download_speed, upload_speed and max_devices override the defaults per row, other columns
+     * are ignored. Codes already on the box or repeated in the file (ignoring case) are
+     * skipped and reported.
+     * @param {string} csv
+     * @param {Object} options Defaults for every row, as for generateVouchers() (no count/code options)
+     * @param {boolean} options.dry_run Only check the file
+     * @returns {{ batch_id: number|null, imported: number, duplicates: Object[], errors: Object[] }}
+     *   duplicates/errors: { line, code, reason }
+     */
+    importVouchers(csv, options = {}) {
+        const rows = parseCsv(csv);
+        if (rows.length < 2) throw new Error('CSV needs a header row and at least one code');
+        if (rows.length - 1 > MAX_IMPORT_ROWS) throw new Error(`Import at most ${MAX_IMPORT_ROWS} codes at a time`);
+
+        const header = rows[0].map(h => h.trim().toLowerCase());
+        const col = (name) => header.indexOf(name);
+        if (col('code') === -1) throw new Error('CSV header must include a "code" column');
+
+        const dataMb = dataPlanService.parseMb(options.data_mb);
+        const fup = fairUseService.parsePolicy(options);
+        const schedule = accessScheduleService.parseSchedule(options);
+        const batch = this.parseBatch(options);
+        const defaults = {
+            plan_name: options.plan_name || 'Imported',
+            price: Number(options.price) || 0,
+            duration: options.duration === undefined || options.duration === '' ? 60 : Number(options.duration),
+            data_mb: dataMb,
+            download_speed: options.download_speed || 5120,
+            upload_speed: options.upload_speed || 1024,
+            max_devices: sharedVoucherService.parseMaxDevices(options.max_devices)
+        };
+
+        const existing = new Set(db.prepare('SELECT upper(code) as code FROM vouchers').all().map(r => r.code));
+        const seen = new Set();
+        const accepted = [];
+        const duplicates = [];
+        const errors = [];
+
+        rows.slice(1).forEach((row, index) => {
+            const line = index + 2;
+            const cell = (name) => {
+                const i = col(name);
+                return i === -1 || row[i] === undefined ? '' : row[i].trim();
+            };
+            const num = (name, fallback) => {
+                const raw = cell(name);
+                return raw === '' ? fallback : Number(raw);
+            };
+
+            const code = cell('code');
+            if (!IMPORT_CODE_RE.test(code)) return errors.push({ line, code, reason: 'Code must be 4-32 letters, digits, - or _' });
+            const key = code.toUpperCase();
+            if (existing.has(key)) return duplicates.push({ line, code, reason: 'Already on this box' });
+            if (seen.has(key)) return duplicates.push({ line, code, reason: 'Repeated in file' });
+
+            const voucher = {
+                code,
+                plan_name: cell('plan_name') || defaults.plan_name,
+                price: num('price', defaults.price),
+                duration: col('duration_minutes') !== -1 ? num('duration_minutes', defaults.duration) : num('duration', defaults.duration),
+                data_mb: num('data_mb', defaults.data_mb),
+                download_speed: num('download_speed', defaults.download_speed),
+                upload_speed: num('upload_speed', defaults.upload_speed),
+                max_devices: num('max_devices', defaults.max_devices)
+            };
+            const bad = ['price', 'duration', 'data_mb', 'download_speed', 'upload_speed'].find(k => !Number.isFinite(voucher[k]) || voucher[k] < 0);
+            if (bad) return errors.push({ line, code, reason: `Invalid ${bad}` });
+            if (!(voucher.duration > 0) && !(voucher.data_mb > 0)) return errors.push({ line, code, reason: 'Needs a duration or a data allowance' });
+            if (!Number.isInteger(voucher.max_devices) || voucher.max_devices < 1 || voucher.max_devices > sharedVoucherService.maxDevices) {
+                return errors.push({ line, code, reason: 'Invalid max_devices' });
+            }
+            if (voucher.max_devices > 1 && voucher.data_mb > 0) return errors.push({ line, code, reason: 'Shared vouchers can only carry time' });
+
+            seen.add(key);
+            accepted.push(voucher);
+        });
+
+        if (options.dry_run || accepted.length === 0) {
+            return { batch_id: null, imported: 0, importable: accepted.length, duplicates, errors };
+        }
+
+        const insert = db.prepare(INSERT_VOUCHER_SQL);
+        const batchId = db.transaction(() => {
+            const id = this.createBatch(batch, {
+                defaultLabel: `Import ${new Date().toISOString().slice(0, 10)}`,
+                source: 'imported',
+                createdBy: options.created_by || null
+            });
+            accepted.forEach(v => {
+                insert.run(v.code, Math.round(v.duration * 60), v.plan_name, v.price, v.download_speed, v.upload_speed, Math.round(v.data_mb),
+                    fup.fup_threshold_mb, fup.fup_download_speed, fup.fup_upload_speed,
+                    schedule.access_start_time, schedule.access_end_time, schedule.access_days, id, null, v.max_devices);
+            });
+            return id;
+        })();
+
+        logService.info('VOUCHER', `Imported ${accepted.length} vouchers into batch ${batchId} (${duplicates.length} duplicates, ${errors.length} errors skipped)`);
+        return { batch_id: batchId, imported: accepted.length, importable: accepted.length, duplicates, errors };
+    }
+
+    /**
+     * Admin report: issued, redeemed, expired, revoked and outstanding codes with their
+     * peso value (vouchers.price), per batch and per reseller
+     * @param {{ from?: string, to?: string }} period Batch creation dates (local, inclusive)
+     */
+    reconciliation({ from, to } = {}) {
+        const where = [];
+        const params = [];
+        if (from) { where.push("date(COALESCE(b.created_at, v.created_at), 'localtime') >= date(?)"); params.push(String(from)); }
+        if (to) { where.push("date(COALESCE(b.created_at, v.created_at), 'localtime') <= date(?)"); params.push(String(to)); }
+        const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+        const sums = ['used', 'expired', 'revoked', 'unused'].map(status => `
+            COALESCE(SUM(CASE WHEN status = '${status}' THEN 1 ELSE 0 END), 0) as ${status},
+            COALESCE(SUM(CASE WHEN status = '${status}' THEN price ELSE 0 END), 0) as ${status}_value`).join(',');
+        const base = `
+            SELECT v.batch_id, COALESCE(v.price, 0) as price, b.label, b.reseller, b.source, b.created_at as batch_created_at,
+                ${STATUS_SQL} as status
+            FROM vouchers v LEFT JOIN voucher_batches b ON b.id = v.batch_id ${clause}
+        `;
+        const shape = (r) => ({
+            issued: r.issued,
+            issued_value: r.issued_value,
+            redeemed: r.used,
+            redeemed_value: r.used_value,
+            expired: r.expired,
+            expired_value: r.expired_value,
+            revoked: r.revoked,
+            revoked_value: r.revoked_value,
+            outstanding: r.unused,
+            outstanding_value: r.unused_value
+        });
+
+        const byBatch = db.prepare(`
+            SELECT batch_id, label, reseller, source, batch_created_at, COUNT(*) as issued, SUM(price) as issued_value, ${sums}
+            FROM (${base}) GROUP BY batch_id ORDER BY batch_id DESC
+        `).all(...params).map(r => ({
+            batch_id: r.batch_id,
+            label: r.batch_id ? r.label : 'No batch',
+            reseller: r.reseller || null,
+            source: r.source || null,
+            created_at: r.batch_created_at,
+            ...shape(r)
+        }));
+
+        const byReseller = db.prepare(`
+            SELECT reseller, COUNT(DISTINCT batch_id) as batches, COUNT(*) as issued, SUM(price) as issued_value, ${sums}
+            FROM (${base}) GROUP BY COALESCE(reseller, '') ORDER BY issued_value DESC
+        `).all(...params).map(r => ({ reseller: r.reseller || null, batches: r.batches, ...shape(r) }));
+
+        const totals = db.prepare(`SELECT COUNT(*) as issued, COALESCE(SUM(price), 0) as issued_value, ${sums} FROM (${base})`).get(...params);
+        return { from: from || null, to: to || null, totals: shape(totals), by_batch: byBatch, by_reseller: byReseller };
+    }
+
+    // The per-batch rows of reconciliation() as CSV
+    reconciliationCsv(period = {}) {
+        const report = this.reconciliation(period);
+        const columns = ['batch_id', 'label', 'reseller', 'source', 'created_at', 'issued', 'issued_value', 'redeemed', 'redeemed_value',
+            'expired', 'expired_value', 'revoked', 'revoked_value', 'outstanding', 'outstanding_value'];
+        const lines = [columns.join(',')];
+        report.by_batch.forEach(row => lines.push(columns.map(c => csvField(row[c])).join(',')));
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    // Set or clear the store a batch was handed to
+    setBatchReseller(id, reseller) {
+        const batch = db.prepare('SELECT * FROM voucher_batches WHERE id = ?').get(id);
+        if (!batch) return null;
+        if (batch.reseller_id) throw new Error('This batch was generated by a reseller account; rename the reseller instead');
+        const name = typeof reseller === 'string' ? reseller.trim().slice(0, 64) : '';
+        db.prepare('UPDATE voucher_batches SET reseller = ? WHERE id = ?').run(name || null, id);
+        return db.prepare('SELECT * FROM voucher_batches WHERE id = ?').get(id);
+    }
+
+    // Batches with code counts per status, newest first (reseller_id: only that reseller's)
+    listBatches({ reseller_id } = {}) {
+        return db.prepare(`
+            SELECT b.*,
+                COUNT(v.id) as total,
+                COALESCE(SUM(CASE WHEN v.is_used = 1 THEN 1 ELSE 0 END), 0) as used,
+                COALESCE(SUM(CASE WHEN v.is_used = 0 THEN 1 ELSE 0 END), 0) as unused,
+                COALESCE(SUM(CASE WHEN v.is_used = 1 THEN v.price ELSE 0 END), 0) as redeemed_value
+            FROM voucher_batches b LEFT JOIN vouchers v ON v.batch_id = b.id
+            ${reseller_id ? 'WHERE b.reseller_id = ?' : ''}
+            GROUP BY b.id
+            ORDER BY b.created_at DESC, b.id DESC
+        `).all(...(reseller_id ? [reseller_id] : []));
+    }
+
+    /**
+     * Revoke a batch: its unused codes can no longer be redeemed. Time already
+     * redeemed from it is left alone.
+     * @returns {Object|null} The batch, or null if it doesn't exist
+     */
+    revokeBatch(id, revokedBy = null) {
+        const batch = db.prepare('SELECT * FROM voucher_batches WHERE id = ?').get(id);
+        if (!batch) return null;
+        if (batch.revoked_at) throw new Error('Batch is already revoked');
+
+        db.prepare('UPDATE voucher_batches SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ? WHERE id = ?').run(revokedBy, id);
+        const unused = db.prepare('SELECT COUNT(*) as count FROM vouchers WHERE batch_id = ? AND is_used = 0').get(id).count;
+        logService.warn('VOUCHER', `Batch ${id} (${batch.label}) revoked${revokedBy ? ` by ${revokedBy}` : ''}: ${unused} unused codes voided`);
+        return db.prepare('SELECT * FROM voucher_batches WHERE id = ?').get(id);
+    }
 }
 
 module.exports = new VoucherService();
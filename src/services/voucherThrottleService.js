@@ -0,0 +1,87 @@
+const configService = require('./configService');
+const authThrottleService = require('./authThrottleService');
+
+/**
+ * Brute-force protection for voucher redemption.
+ * Failed codes count against the client IP, its subnet (/24, or /64 for IPv6) and the
+ * whole box, so changing the MAC address doesn't buy more guesses. Each scope locks
+ * when it reaches its limit within the failure window, with cool-downs that double on
+ * each repeat (stored in auth_attempts like the admin login throttle).
+ * The per-MAC ban (access_control, ban_counter / ban_duration) still applies on top.
+ */
+class VoucherThrottleService {
+    getSettings() {
+        const num = (key, def) => {
+            const v = parseInt(configService.get(key), 10);
+            return Number.isInteger(v) && v > 0 ? v : def;
+        };
+        return {
+            ipMaxAttempts: num('voucher_ip_max_attempts', 5),
+            subnetMaxAttempts: num('voucher_subnet_max_attempts', 20),
+            boxMaxAttempts: num('voucher_box_max_attempts', 60),
+            lockoutMinutes: num('voucher_lockout_minutes', 1),
+            lockoutMaxMinutes: num('voucher_lockout_max_minutes', 60)
+        };
+    }
+
+    subnetOf(ip) {
+        const clean = String(ip || '').replace(/^::ffff:/, '');
+        if (/^\d+\.\d+\.\d+\.\d+$/.test(clean)) return `${clean.split('.').slice(0, 3).join('.')}.0/24`;
+        if (clean.includes(':')) {
+            // Expand "::" so the first four groups are the /64 prefix
+            const [head, tail = ''] = clean.split('::');
+            const headGroups = head ? head.split(':') : [];
+            const tailGroups = tail ? tail.split(':') : [];
+            const groups = clean.includes('::')
+                ? [...headGroups, ...new Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0'), ...tailGroups]
+                : headGroups;
+            return `${groups.slice(0, 4).map(g => g.toLowerCase() || '0').join(':')}::/64`;
+        }
+        return 'unknown';
+    }
+
+    // Keys tracked for one redemption attempt, with their limits
+    keysFor(ip) {
+        const settings = this.getSettings();
+        const clean = String(ip || 'unknown').replace(/^::ffff:/, '');
+        return [
+            { key: `voucher:ip:${clean}`, type: 'ip', limit: settings.ipMaxAttempts },
+            { key: `voucher:subnet:${this.subnetOf(clean)}`, type: 'subnet', limit: settings.subnetMaxAttempts },
+            { key: 'voucher:box', type: 'box', limit: settings.boxMaxAttempts }
+        ];
+    }
+
+    /**
+     * @returns {{ locked: boolean, retryAfterSeconds: number }}
+     */
+    check(keys) {
+        return authThrottleService.check(keys);
+    }
+
+    /**
+     * Record a wrong code
+     * @returns {{ locked: boolean, retryAfterSeconds: number, alert: string|null }}
+     *   alert: set when this looks like a guessing attack (a subnet or the whole box locked,
+     *   or one IP locked again) and the admins should be told
+     */
+    recordFailure(keys, context = '') {
+        const result = authThrottleService.recordFailure(keys, context, this.getSettings());
+        const attack = result.lockouts.filter(l => l.type !== 'ip' || l.count >= 2);
+        const alert = attack.length > 0
+            ? `Voucher guessing suspected: ${attack.map(l => `${l.type === 'box' ? 'all redemptions' : l.key.replace('voucher:', '')} locked for ${l.minutes} min (#${l.count})`).join(', ')}${context ? ` - ${context}` : ''}`
+            : null;
+        return { locked: result.locked, retryAfterSeconds: result.retryAfterSeconds, alert };
+    }
+
+    // A valid code clears the IP's pending failures; the subnet and box counts keep running
+    recordSuccess(keys) {
+        authThrottleService.recordSuccess(keys.filter(k => k.type === 'ip'));
+    }
+
+    lockoutMessage(retryAfterSeconds) {
+        const minutes = Math.max(1, Math.ceil(retryAfterSeconds / 60));
+        return `Too many wrong voucher codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+    }
+}
+
+module.exports = new VoucherThrottleService();